@@ -1,30 +1,211 @@
-const fs = require("fs");
-const path = require("path");
+const { createHash } = require("crypto");
 const nacl = require("tweetnacl");
 const naclUtil = require("tweetnacl-util");
-const logger = require("../utils/logger");
+const bs58 = require("bs58");
 
-const loadPrivateKey = async () => {
-  // Use environment variable if set, otherwise use default path
-  const privateKeyPath = process.env.PRIVATE_KEY_PATH || 
-    path.resolve(__dirname, "../config/privateKey.txt");
+// Secret keys are 64 bytes; seeds are the 32 bytes they are derived from
+const SECRET_KEY_LENGTH = nacl.sign.secretKeyLength;
+const SEED_LENGTH = nacl.sign.seedLength;
 
-  if (!fs.existsSync(privateKeyPath)) {
-    logger.error(`Private key file not found! Make sure it's at: ${privateKeyPath}`);
-    process.exit(1);
+/**
+ * Sign a message with the validator's keypair
+ * @param {string} message - Message to sign
+ * @param {object} keypair - Nacl keypair
+ * @returns {string} - JSON stringified signature
+ */
+const signMessage = (message, keypair) => {
+  const messageBytes = naclUtil.decodeUTF8(message);
+  const signature = nacl.sign.detached(messageBytes, keypair.secretKey);
+  return JSON.stringify(Array.from(signature));
+};
+
+/**
+ * Decode a base64 or base58 string into bytes
+ * @param {string} value - Encoded key
+ * @param {string} format - "base64", "base58" or "auto"
+ * @returns {Uint8Array} - Decoded bytes
+ */
+const decodeKeyString = (value, format = "auto") => {
+  const trimmed = value.trim();
+
+  if (format === "base64") {
+    return naclUtil.decodeBase64(trimmed);
+  }
+  if (format === "base58") {
+    return bs58.decode(trimmed);
+  }
+  if (format !== "auto") {
+    throw new Error(`Unknown key format "${format}" (use base64, base58 or auto)`);
   }
 
-  try {
-    const privateKeyBase64 = fs.readFileSync(privateKeyPath, "utf-8").trim();
-    const privateKeyBytes = naclUtil.decodeBase64(privateKeyBase64);
-    const keypair = nacl.sign.keyPair.fromSecretKey(privateKeyBytes);
+  // Padded base64 of 32 or 64 bytes is unambiguous; anything else is tried as base58
+  if (/^[A-Za-z0-9+/]+={1,2}$/.test(trimmed) && trimmed.length % 4 === 0) {
+    const bytes = naclUtil.decodeBase64(trimmed);
+    if (bytes.length === SECRET_KEY_LENGTH || bytes.length === SEED_LENGTH) {
+      return bytes;
+    }
+  }
+  return bs58.decode(trimmed);
+};
+
+/**
+ * Build a keypair from an encoded secret key or seed
+ * @param {string} value - Base64 or base58 encoded 64 byte secret key or 32 byte seed
+ * @param {string} format - "base64", "base58" or "auto"
+ * @returns {object} - Nacl keypair
+ */
+const keypairFromString = (value, format = "auto") => {
+  const bytes = decodeKeyString(value, format);
 
-    logger.success("Private key loaded successfully.");
+  if (bytes.length === SECRET_KEY_LENGTH) {
+    const keypair = nacl.sign.keyPair.fromSecretKey(bytes);
+    // A secret key carries its public key; make sure the two halves belong together
+    const derived = nacl.sign.keyPair.fromSeed(bytes.slice(0, SEED_LENGTH));
+    if (!nacl.verify(derived.publicKey, keypair.publicKey)) {
+      throw new Error("Secret key is corrupted: its public half doesn't match its seed");
+    }
     return keypair;
+  }
+  if (bytes.length === SEED_LENGTH) {
+    return nacl.sign.keyPair.fromSeed(bytes);
+  }
+
+  throw new Error(`Expected a ${SECRET_KEY_LENGTH} byte secret key or ${SEED_LENGTH} byte seed, got ${bytes.length} bytes`);
+};
+
+/**
+ * Encode a keypair's secret for export
+ * @param {object} keypair - Nacl keypair
+ * @param {string} format - "base64" or "base58"
+ * @param {boolean} seedOnly - Export the 32 byte seed instead of the full secret key
+ * @returns {string} - Encoded secret
+ */
+const encodeSecret = (keypair, format = "base64", seedOnly = false) => {
+  const bytes = seedOnly ? keypair.secretKey.slice(0, SEED_LENGTH) : keypair.secretKey;
+
+  if (format === "base64") {
+    return naclUtil.encodeBase64(bytes);
+  }
+  if (format === "base58") {
+    return bs58.encode(bytes);
+  }
+  throw new Error(`Unknown key format "${format}" (use base64 or base58)`);
+};
+
+/**
+ * Fingerprint a public key for humans to compare
+ * @param {string} publicKeyBase64 - Base64 encoded public key
+ * @returns {string} - SHA256 fingerprint, e.g. "SHA256:3q2+7w..."
+ */
+const fingerprint = (publicKeyBase64) => {
+  const digest = createHash("sha256")
+    .update(naclUtil.decodeBase64(publicKeyBase64))
+    .digest("base64")
+    .replace(/=+$/, "");
+  return `SHA256:${digest}`;
+};
+
+/**
+ * Verify a detached signature produced by signMessage
+ * @param {string} message - Message that was signed
+ * @param {string} signedMessage - JSON stringified signature bytes
+ * @param {string} publicKeyBase64 - Base64 encoded public key of the signer
+ * @returns {boolean} - True if the signature is valid for the public key
+ */
+const verifySignature = (message, signedMessage, publicKeyBase64) => {
+  try {
+    const signature = Uint8Array.from(JSON.parse(signedMessage));
+    const publicKey = naclUtil.decodeBase64(publicKeyBase64);
+
+    if (signature.length !== nacl.sign.signatureLength ||
+        publicKey.length !== nacl.sign.publicKeyLength) {
+      return false;
+    }
+
+    return nacl.sign.detached.verify(naclUtil.decodeUTF8(message), signature, publicKey);
   } catch (error) {
-    logger.error(`Failed to load private key: ${error.message}`);
-    process.exit(1);
+    // Malformed signatures or keys are simply invalid
+    return false;
+  }
+};
+
+/**
+ * Message a validator signs to sign up. The challenge is a random value the
+ * hub hands out in its hello reply and accepts once, so a captured signup
+ * can't be replayed on another connection
+ * @param {string} challenge - Challenge the hub sent on this connection
+ * @param {string} publicKeyBase64 - Base64 encoded public key of the validator
+ * @returns {string} - Message text
+ */
+const signupMessage = (challenge, publicKeyBase64) => `Sign up with challenge ${challenge}, ${publicKeyBase64}`;
+
+/**
+ * Derive the validator ID bound to a public key, so it survives reconnects
+ * @param {string} publicKeyBase64 - Base64 encoded public key
+ * @returns {string} - Validator ID
+ */
+const validatorIdFor = (publicKeyBase64) => {
+  const digest = createHash("sha256")
+    .update(naclUtil.decodeBase64(publicKeyBase64))
+    .digest("hex");
+  return `validator-${digest.substring(0, 12)}`;
+};
+
+/**
+ * Message both keys sign to link an old validator key to a new one
+ * @param {object} statement - Rotation statement ({ oldPublicKey, newPublicKey, timestamp })
+ * @returns {string} - Message text
+ */
+const rotationMessage = ({ oldPublicKey, newPublicKey, timestamp }) =>
+  `Rotate validator key ${oldPublicKey} to ${newPublicKey} at ${timestamp}`;
+
+/**
+ * Create a statement, signed by both keys, that the new key replaces the old one
+ * @param {object} oldKeypair - Current nacl keypair
+ * @param {object} newKeypair - Replacement nacl keypair
+ * @returns {object} - Rotation statement
+ */
+const createRotationStatement = (oldKeypair, newKeypair) => {
+  const statement = {
+    type: "key-rotation",
+    oldPublicKey: naclUtil.encodeBase64(oldKeypair.publicKey),
+    newPublicKey: naclUtil.encodeBase64(newKeypair.publicKey),
+    timestamp: new Date().toISOString(),
+  };
+
+  const message = rotationMessage(statement);
+  return {
+    ...statement,
+    oldSignature: signMessage(message, oldKeypair),
+    newSignature: signMessage(message, newKeypair),
+  };
+};
+
+/**
+ * Check that a rotation statement is signed by both the old and the new key
+ * @param {object} statement - Rotation statement
+ * @returns {boolean} - True if both signatures are valid
+ */
+const verifyRotationStatement = (statement) => {
+  if (!statement || statement.type !== "key-rotation" ||
+      typeof statement.oldPublicKey !== "string" || typeof statement.newPublicKey !== "string" ||
+      typeof statement.timestamp !== "string" || statement.oldPublicKey === statement.newPublicKey) {
+    return false;
   }
+
+  const message = rotationMessage(statement);
+  return verifySignature(message, statement.oldSignature, statement.oldPublicKey) &&
+    verifySignature(message, statement.newSignature, statement.newPublicKey);
 };
 
-module.exports = { loadPrivateKey };
\ No newline at end of file
+module.exports = {
+  signMessage,
+  verifySignature,
+  signupMessage,
+  validatorIdFor,
+  keypairFromString,
+  encodeSecret,
+  fingerprint,
+  createRotationStatement,
+  verifyRotationStatement,
+};
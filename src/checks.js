@@ -0,0 +1,503 @@
+const dns = require("dns");
+const net = require("net");
+const tls = require("tls");
+const { measureLatency, performHttpRequest, getTcpConnectionTime, portFor } = require("../utils/network");
+const { validateCheck } = require("./protocol");
+
+// Days of certificate validity a tls check wants left unless it says otherwise
+const DEFAULT_MIN_DAYS_REMAINING = 14;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Options that make an HTTP check send its own request instead of the latency probe
+const HTTP_REQUEST_OPTIONS = ["method", "headers", "body", "auth", "expectedStatus", "expectHeaders", "maxResponseTime"];
+
+/**
+ * Work out the host and port a check connects to. The website URL names the
+ * target; the check's own host and port override it
+ * @param {string} url - Website URL, e.g. https://example.com or tcp://db.example.com:5432
+ * @param {object} check - Check definition ({ type, ...options })
+ * @returns {object} - { host, port }
+ */
+const resolveTarget = (url, check = {}) => {
+  const urlObj = new URL(url);
+  const host = check.host || urlObj.hostname;
+  const isWeb = urlObj.protocol === "http:" || urlObj.protocol === "https:";
+
+  if (!host) {
+    throw new Error(`${url} does not name a host`);
+  }
+
+  let port = check.port || (urlObj.port ? parseInt(urlObj.port, 10) : null);
+  if (!port && check.type === "tls") {
+    port = urlObj.protocol === "http:" ? 80 : 443;
+  } else if (!port && isWeb) {
+    port = portFor(urlObj);
+  } else if (!port && check.type === "tcp") {
+    throw new Error(`tcp check of ${url} needs a port`);
+  }
+
+  return { host, port };
+};
+
+/**
+ * Whether an HTTP status counts as the site being up
+ * @param {number} statusCode - HTTP status, 0 if there was no response
+ * @returns {boolean}
+ */
+const isUp = (statusCode) => statusCode > 0 && !(statusCode >= 400 && statusCode < 600);
+
+/**
+ * Build a matcher for an expectedStatus list of codes (200) and ranges
+ * ("2xx", "200-299")
+ * @param {Array<number|string>} expected - Accepted statuses
+ * @returns {Function} - Takes a status code, returns whether it is accepted
+ */
+const statusMatcher = (expected) => {
+  const ranges = expected.map((entry) => {
+    const text = String(entry).trim().toLowerCase();
+    let match;
+    if ((match = text.match(/^(\d{3})$/))) {
+      return [Number(match[1]), Number(match[1])];
+    }
+    if ((match = text.match(/^([1-5])xx$/))) {
+      return [Number(match[1]) * 100, Number(match[1]) * 100 + 99];
+    }
+    if ((match = text.match(/^(\d{3})\s*-\s*(\d{3})$/)) && Number(match[1]) <= Number(match[2])) {
+      return [Number(match[1]), Number(match[2])];
+    }
+    throw new Error(`Invalid expected status ${JSON.stringify(entry)}; use a code (200), a class (2xx) or a range (200-299)`);
+  });
+
+  return (statusCode) => ranges.some(([low, high]) => statusCode >= low && statusCode <= high);
+};
+
+/**
+ * Judge a response against a check's assertions
+ * @param {object} response - Response from performHttpRequest
+ * @param {object} check - Check definition ({ expectedStatus, expectHeaders, maxResponseTime })
+ * @returns {object} - { status, failures }; failures explain anything short of Good
+ */
+const judgeResponse = (response, check) => {
+  const failures = [];
+
+  if (check.expectedStatus) {
+    if (!statusMatcher(check.expectedStatus)(response.status)) {
+      failures.push(`status ${response.status} is not one of ${check.expectedStatus.join(", ")}`);
+    }
+  } else if (!isUp(response.status)) {
+    failures.push(`status ${response.status}`);
+  }
+
+  Object.entries(check.expectHeaders || {}).forEach(([name, text]) => {
+    const value = response.headers[name.toLowerCase()];
+    if (value === undefined) {
+      failures.push(`header ${name} is missing`);
+    } else if (!String(value).includes(text)) {
+      failures.push(`header ${name} is "${value}", expected it to contain "${text}"`);
+    }
+  });
+
+  if (failures.length > 0) {
+    return { status: "Bad", failures };
+  }
+  if (check.maxResponseTime && response.time > check.maxResponseTime) {
+    return { status: "Degraded", failures: [`took ${response.time}ms, over the ${check.maxResponseTime}ms limit`] };
+  }
+  return { status: "Good", failures };
+};
+
+/**
+ * Timings of the hops that completed before a request failed, e.g. the
+ * redirects before a hop that timed out
+ * @param {Error} error - Error from performHttpRequest
+ * @returns {object} - { timings } if any hop completed, else nothing
+ */
+const timingsOf = (error) => {
+  const completed = (error.hops || []).filter((hop) => hop.status !== null);
+  return completed.length > 0 ? { timings: completed } : {};
+};
+
+/**
+ * Send the request a check describes
+ * @param {string} url - Website URL
+ * @param {object} check - Check definition
+ * @param {object} settings - latencySettings
+ * @returns {Promise<object>} - Response from performHttpRequest
+ */
+const requestFor = (url, check, settings) => performHttpRequest(url, {
+  method: check.method,
+  headers: check.headers,
+  body: check.body,
+  auth: check.auth,
+  timeout: settings.timeout,
+  maxRedirects: settings.maxRedirects,
+  disableCache: settings.disableCache,
+});
+
+/**
+ * Check that a website answers the way the check expects. Without request
+ * options it is the latency probe from latencySettings
+ * @param {string} url - Website URL
+ * @param {object} check - Check definition
+ * @param {object} settings - latencySettings
+ * @returns {Promise<object>} - Check outcome
+ */
+const runHttpCheck = async (url, check, settings) => {
+  if (HTTP_REQUEST_OPTIONS.some((option) => check[option] !== undefined)) {
+    try {
+      const response = await requestFor(url, check, settings);
+      const { status, failures } = judgeResponse(response, check);
+      return {
+        status,
+        statusCode: response.status,
+        latency: response.time,
+        result: { type: "http", statusCode: response.status, latency: response.time, failures, timings: response.hops },
+      };
+    } catch (error) {
+      return {
+        status: "Bad",
+        statusCode: 0,
+        latency: 0,
+        result: { type: "http", statusCode: 0, latency: 0, failures: [], ...timingsOf(error), error: error.message },
+      };
+    }
+  }
+
+  const pingResult = await measureLatency(url, settings);
+  const statusCode = pingResult.status || 0;
+  const latency = pingResult.bestLatency || 0;
+  const up = isUp(statusCode);
+
+  return {
+    status: up ? "Good" : "Bad",
+    statusCode,
+    latency,
+    result: {
+      type: "http",
+      statusCode,
+      latency,
+      failures: up ? [] : [`status ${statusCode}`],
+      ...(pingResult.timings ? { timings: pingResult.timings } : {}),
+      ...(pingResult.error ? { error: pingResult.error } : {}),
+    },
+  };
+};
+
+/**
+ * Check that a page does, or does not, contain a keyword, on top of the
+ * HTTP assertions
+ * @param {string} url - Website URL
+ * @param {object} check - Check definition ({ keyword, present, caseSensitive, ...HTTP options })
+ * @param {object} settings - latencySettings
+ * @returns {Promise<object>} - Check outcome
+ */
+const runKeywordCheck = async (url, check, settings) => {
+  const wanted = check.present !== false;
+
+  try {
+    const response = await requestFor(url, check, settings);
+    const found = check.caseSensitive
+      ? response.body.includes(check.keyword)
+      : response.body.toLowerCase().includes(check.keyword.toLowerCase());
+
+    const judged = judgeResponse(response, check);
+    const status = found === wanted ? judged.status : "Bad";
+    const failures = found === wanted
+      ? judged.failures
+      : [`keyword "${check.keyword}" is ${found ? "present" : "missing"}`, ...judged.failures];
+
+    return {
+      status,
+      statusCode: response.status,
+      latency: response.time,
+      result: { type: "keyword", statusCode: response.status, latency: response.time, found, failures, timings: response.hops },
+    };
+  } catch (error) {
+    return {
+      status: "Bad",
+      statusCode: 0,
+      latency: 0,
+      result: { type: "keyword", statusCode: 0, latency: 0, found: false, failures: [], ...timingsOf(error), error: error.message },
+    };
+  }
+};
+
+/**
+ * Check that a TCP port accepts connections
+ * @param {string} url - Target URL
+ * @param {object} check - Check definition ({ host, port })
+ * @param {object} settings - latencySettings
+ * @returns {Promise<object>} - Check outcome
+ */
+const runTcpCheck = async (url, check, settings) => {
+  const { host, port } = resolveTarget(url, check);
+  const connectTime = await getTcpConnectionTime(host, port, settings.timeout);
+  const connected = connectTime !== null;
+
+  return {
+    status: connected ? "Good" : "Bad",
+    statusCode: 0,
+    latency: connectTime || 0,
+    result: {
+      type: "tcp",
+      host,
+      port,
+      connected,
+      connectTime,
+      ...(connected ? {} : { error: `Connection refused or no answer within ${settings.timeout}ms` }),
+    },
+  };
+};
+
+/**
+ * Flatten a DNS record to the string a check's expected values are written as
+ * @param {*} record - Record from dns.promises.Resolver
+ * @param {string} recordType - Record type
+ * @returns {string}
+ */
+const formatRecord = (record, recordType) => {
+  if (recordType === "MX") return record.exchange;
+  if (recordType === "TXT") return record.join("");
+  return String(record);
+};
+
+/**
+ * Normalize a DNS value for comparison: case and the trailing dot don't matter
+ * @param {string} value - Record value
+ * @returns {string}
+ */
+const normalizeRecord = (value) => value.toLowerCase().replace(/\.$/, "");
+
+/**
+ * Check that a DNS name resolves, and to the expected values if any are given
+ * @param {string} url - Target URL
+ * @param {object} check - Check definition ({ host, recordType, expected })
+ * @param {object} settings - latencySettings
+ * @returns {Promise<object>} - Check outcome
+ */
+const runDnsCheck = async (url, check, settings) => {
+  const { host } = resolveTarget(url, check);
+  const recordType = check.recordType || "A";
+  const expected = check.expected || [];
+  const resolver = new dns.promises.Resolver({ timeout: settings.timeout, tries: 1 });
+  const startTime = Date.now();
+
+  let records = [];
+  let resolveTime = null;
+  let error = null;
+  try {
+    records = (await resolver.resolve(host, recordType)).map((record) => formatRecord(record, recordType));
+    resolveTime = Date.now() - startTime;
+  } catch (resolveError) {
+    error = resolveError.code || resolveError.message;
+  }
+
+  const found = records.map(normalizeRecord);
+  const missing = expected.filter((value) => !found.includes(normalizeRecord(value)));
+
+  return {
+    status: records.length > 0 && missing.length === 0 ? "Good" : "Bad",
+    statusCode: 0,
+    latency: resolveTime || 0,
+    result: { type: "dns", host, recordType, records, missing, resolveTime, ...(error ? { error } : {}) },
+  };
+};
+
+/**
+ * Open a TLS connection and read the server's certificate
+ * @param {string} host - Host to connect to
+ * @param {number} port - Port to connect to
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise<object>} - { authorized, authorizationError, certificate, handshakeTime }
+ */
+const readCertificate = (host, port, timeout) => {
+  return new Promise((resolve, reject) => {
+    const startTime = Date.now();
+    const socket = tls.connect({
+      host,
+      port,
+      // SNI is only allowed for names
+      servername: net.isIP(host) ? undefined : host,
+      // Judge the certificate ourselves so a bad one is reported, not just refused
+      rejectUnauthorized: false,
+    });
+
+    socket.setTimeout(timeout, () => {
+      socket.destroy();
+      reject(new Error(`TLS handshake did not finish within ${timeout}ms`));
+    });
+
+    socket.once("secureConnect", () => {
+      const details = {
+        authorized: socket.authorized,
+        authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+        certificate: socket.getPeerCertificate(),
+        handshakeTime: Date.now() - startTime,
+      };
+      socket.end();
+      resolve(details);
+    });
+
+    socket.once("error", (error) => {
+      socket.destroy();
+      reject(error);
+    });
+  });
+};
+
+/**
+ * Check that a TLS certificate is trusted and has enough validity left
+ * @param {string} url - Target URL
+ * @param {object} check - Check definition ({ host, port, minDaysRemaining })
+ * @param {object} settings - latencySettings
+ * @returns {Promise<object>} - Check outcome
+ */
+const runTlsCheck = async (url, check, settings) => {
+  const { host, port } = resolveTarget(url, check);
+  const minDaysRemaining = check.minDaysRemaining !== undefined ? check.minDaysRemaining : DEFAULT_MIN_DAYS_REMAINING;
+  const result = {
+    type: "tls",
+    host,
+    port,
+    authorized: false,
+    authorizationError: null,
+    subject: null,
+    issuer: null,
+    validFrom: null,
+    validTo: null,
+    daysRemaining: null,
+    handshakeTime: null,
+  };
+
+  try {
+    const { authorized, authorizationError, certificate, handshakeTime } = await readCertificate(host, port, settings.timeout);
+    Object.assign(result, { authorized, authorizationError, handshakeTime });
+
+    if (certificate && certificate.valid_to) {
+      const validTo = new Date(certificate.valid_to);
+      result.subject = (certificate.subject && certificate.subject.CN) || null;
+      result.issuer = (certificate.issuer && (certificate.issuer.O || certificate.issuer.CN)) || null;
+      result.validFrom = new Date(certificate.valid_from).toISOString();
+      result.validTo = validTo.toISOString();
+      result.daysRemaining = Math.floor((validTo.getTime() - Date.now()) / DAY);
+    }
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  return {
+    status: result.authorized && result.daysRemaining !== null && result.daysRemaining >= minDaysRemaining ? "Good" : "Bad",
+    statusCode: 0,
+    latency: result.handshakeTime || 0,
+    result,
+  };
+};
+
+/**
+ * Empty result for a check that could not run
+ * @param {object} check - Check definition
+ * @returns {object} - Result with every field present
+ */
+const failedResult = (check) => {
+  switch (check.type) {
+    case "keyword":
+      return { type: "keyword", statusCode: 0, latency: 0, found: false, failures: [] };
+    case "tcp":
+      return { type: "tcp", host: check.host || "", port: check.port || 0, connected: false, connectTime: null };
+    case "dns":
+      return { type: "dns", host: check.host || "", recordType: check.recordType || "A", records: [], missing: check.expected || [], resolveTime: null };
+    case "tls":
+      return {
+        type: "tls", host: check.host || "", port: check.port || 0, authorized: false, authorizationError: null,
+        subject: null, issuer: null, validFrom: null, validTo: null, daysRemaining: null, handshakeTime: null,
+      };
+    default:
+      return { type: "http", statusCode: 0, latency: 0, failures: [] };
+  }
+};
+
+// Runner for each check type
+const RUNNERS = {
+  http: runHttpCheck,
+  keyword: runKeywordCheck,
+  tcp: runTcpCheck,
+  dns: runDnsCheck,
+  tls: runTlsCheck,
+};
+
+/**
+ * Run a check. Every check reports Good, Degraded or Bad, a latency and a
+ * result whose fields depend on the check type
+ * @param {string} url - Website URL the check targets
+ * @param {object} check - Check definition ({ type, ...options }); null runs an HTTP check
+ * @param {object} latencySettings - latencySettings from the validator config
+ * @returns {Promise<object>} - { status, statusCode, latency, result }
+ */
+const runCheck = async (url, check = null, latencySettings = {}) => {
+  const definition = check || { type: "http" };
+  const runner = RUNNERS[definition.type];
+  if (!runner) {
+    throw new Error(`Unknown check type ${definition.type}`);
+  }
+
+  const settings = { timeout: 3000, maxRedirects: 5, disableCache: true, ...latencySettings };
+  try {
+    return await runner(url, definition, settings);
+  } catch (error) {
+    // Targets the check can't even be aimed at count as down
+    return {
+      status: "Bad",
+      statusCode: 0,
+      latency: 0,
+      result: { ...failedResult(definition), error: error.message },
+    };
+  }
+};
+
+/**
+ * List what an HTTP result fell short on, for describeResult
+ * @param {object} result - http or keyword result
+ * @returns {string}
+ */
+const describeFailures = (result) => (result.failures.length > 0 ? ` (${result.failures.join("; ")})` : "");
+
+/**
+ * Summarize a check result in one line for logs
+ * @param {object} result - Check result
+ * @returns {string}
+ */
+const describeResult = (result) => {
+  if (result.error) {
+    return `${result.type} check failed: ${result.error}`;
+  }
+
+  switch (result.type) {
+    case "keyword":
+      return `status ${result.statusCode}, keyword ${result.found ? "found" : "not found"} in ${result.latency}ms${describeFailures(result)}`;
+    case "tcp":
+      return `${result.host}:${result.port} ${result.connected ? `accepted a connection in ${result.connectTime}ms` : "refused the connection"}`;
+    case "dns":
+      return `${result.host} ${result.recordType} -> ${result.records.join(", ") || "nothing"}${result.missing.length ? ` (missing ${result.missing.join(", ")})` : ""}`;
+    case "tls":
+      return `certificate for ${result.subject || result.host} ${result.authorized ? "trusted" : `not trusted (${result.authorizationError})`}, ${result.daysRemaining} days left`;
+    default:
+      return `status ${result.statusCode} in ${result.latency}ms${describeFailures(result)}`;
+  }
+};
+
+/**
+ * Check a check definition before it is used: its options, its expected
+ * statuses and that its target can be connected to
+ * @param {string} url - Website URL the check targets
+ * @param {object} check - Check definition ({ type, ...options })
+ */
+const verifyCheck = (url, check) => {
+  validateCheck(check);
+  if (check.expectedStatus) {
+    statusMatcher(check.expectedStatus);
+  }
+  resolveTarget(url, check);
+};
+
+module.exports = { runCheck, verifyCheck, resolveTarget, describeResult, isUp, DEFAULT_MIN_DAYS_REMAINING };
@@ -1,4 +1,4 @@
-const { program } = require("commander");
+const { program, InvalidArgumentError, Option } = require("commander");
 const path = require("path");
 const fs = require("fs");
 const nacl = require("tweetnacl");
@@ -8,15 +8,28 @@ const ora = require("ora");
 const figlet = require("figlet");
 const Table = require('cli-table3');
 const chalk = require('chalk');
-const dns = require('dns');
+const bs58 = require('bs58');
 const { startValidator, getValidatorStatus, loadPrivateKeyFromFile } = require("./validator");
+const { loadConfig, resolveConfig, getConfigFiles, setConfigValue, listKeys, getPath, getHubServers } = require("./config");
+const { fetchRewards, submitRotation } = require("./connection");
+const { queryControl } = require("./control");
+const { startDaemon, waitForDaemon, stopDaemon, getRunningDaemon } = require("./daemon");
+const { isKeyFileEncrypted, encryptSecretKey, readSecretKey, readPublicKey, writeKeyFiles, promptPassphrase, resolvePassphrase } = require("./keystore");
+const { keypairFromString, encodeSecret, fingerprint, validatorIdFor, createRotationStatement } = require("./auth");
 const logger = require("../utils/logger");
 const packageJson = require('../package.json');
-const { execSync } = require('child_process');
 const network = require('../utils/network');
+const { probeLatency, summarizeSamples } = require('../utils/ping');
+const { runCheck, verifyCheck, describeResult, isUp } = require('./checks');
+const { OUTPUT_FORMATS, formatOutput } = require('./output');
+const { startHub } = require('./server');
+const { adminUrlFor, createAdminClient } = require('./hub/client');
 
 // Helper function to display ASCII art banner
 function displayBanner() {
+  if (!program.opts().banner || getOutputFormat() !== "table") {
+    return;
+  }
   console.log(chalk.magentaBright(figlet.textSync('Validator CLI', {
     font: 'Standard',
     horizontalLayout: 'default',
@@ -34,6 +47,397 @@ function ensureDirectoryExists(dirPath) {
   return dirPath;
 }
 
+/**
+ * Display where a keypair was written
+ * @param {object} files - { privateKeyPath, publicKeyPath }
+ */
+function displayKeyFiles({ privateKeyPath, publicKeyPath }) {
+  // Display key info in a table with improved colors
+  const table = new Table({
+    head: [chalk.cyanBright('Key Type'), chalk.cyanBright('Location')],
+    colWidths: [15, 60],
+    style: { head: [], border: [] }
+  });
+  
+  table.push(
+    ['Private Key', privateKeyPath],
+    ['Public Key', publicKeyPath]
+  );
+  
+  console.log(table.toString());
+  logger.warn("Keep your private key safe and do not share it with anyone!");
+}
+
+/**
+ * Send a rotation statement to the hub and report the outcome
+ * @param {string} statementPath - Absolute path to the rotation statement
+ * @returns {Promise<object>} - { statementPath, validatorId } of the moved validator
+ */
+async function submitRotationStatement(statementPath) {
+  const config = loadConfig(getConfigOptions());
+  const hubServer = getHubServers(config)[0];
+  const spinner = ora({text: `Submitting key rotation to ${hubServer}...`, color: 'cyan'}).start();
+  
+  try {
+    const statement = JSON.parse(fs.readFileSync(statementPath, "utf-8"));
+    const result = await submitRotation(statement, hubServer);
+    spinner.succeed(chalk.greenBright(`Hub moved ${result.validatorId} to the new key`));
+    
+    const running = await queryControl("/status").catch(() => null);
+    if (running && running.publicKey === statement.oldPublicKey) {
+      logger.warn("The running validator still uses the old key. Restart it: validator-cli restart");
+    }
+    return { statementPath, validatorId: result.validatorId };
+  } catch (error) {
+    spinner.fail(`Hub did not accept the rotation: ${error.message}`);
+    logger.log(`Retry with: validator-cli keys submit-rotation ${statementPath}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Get the passphrase for a key file, if it is encrypted
+ * @param {string} keyPath - Absolute path to the private key file
+ * @param {object} options - Command options ({ passphraseFile })
+ * @returns {Promise<string|null>} - Passphrase, or null for plaintext key files
+ */
+async function getPassphrase(keyPath, options) {
+  if (!isKeyFileEncrypted(keyPath)) {
+    return null;
+  }
+  
+  try {
+    return await resolvePassphrase(options);
+  } catch (error) {
+    logger.error(`Could not read passphrase: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Config options given by the global --config, --profile, --hub-server, --set
+ * and --log-* flags
+ * @returns {object} - { configPath, profile, overrides } for loadConfig
+ */
+function getConfigOptions() {
+  const { config, profile, hubServer, logLevel, logFormat, logFile, set = [] } = program.opts();
+  const overrides = {};
+  
+  set.forEach((setting) => {
+    const separator = setting.indexOf("=");
+    if (separator < 1) {
+      logger.error(`--set expects key=value, got "${setting}"`);
+      process.exit(1);
+    }
+    overrides[setting.substring(0, separator)] = setting.substring(separator + 1);
+  });
+  if (hubServer) {
+    overrides.hubServer = hubServer;
+  }
+  if (logLevel) {
+    overrides["logging.level"] = logLevel;
+  }
+  if (logFormat) {
+    overrides["logging.format"] = logFormat;
+  }
+  if (logFile) {
+    overrides["logging.file"] = path.resolve(logFile);
+  }
+  
+  return { configPath: config ? path.resolve(config) : undefined, profile, overrides };
+}
+
+/**
+ * Output format given by the global --output and --json flags
+ * @returns {string} - One of OUTPUT_FORMATS
+ */
+function getOutputFormat() {
+  const { output, json } = program.opts();
+  return json ? "json" : output;
+}
+
+/**
+ * Print a command's result: drawn by the command itself for table output,
+ * or in the machine-readable format asked for
+ * @param {*} result - Structured result of the command
+ * @param {function} renderTable - Draws the result for people
+ */
+function emit(result, renderTable) {
+  const format = getOutputFormat();
+  if (format === "table") {
+    renderTable(result);
+  } else {
+    console.log(formatOutput(result, format));
+  }
+}
+
+/**
+ * Turn config options back into command line flags, for the background validator
+ * @param {object} configOptions - Options from getConfigOptions
+ * @returns {string[]} - Command line arguments
+ */
+function toConfigArgs({ configPath, profile, overrides }) {
+  // Pin the project file so a later restart doesn't depend on the working directory
+  const projectPath = configPath || getConfigFiles().project;
+  const args = fs.existsSync(projectPath) ? ["--config", projectPath] : [];
+  if (profile) {
+    args.push("--profile", profile);
+  }
+  Object.entries(overrides).forEach(([keyPath, value]) => args.push("--set", `${keyPath}=${value}`));
+  return args;
+}
+
+/**
+ * Collect a repeatable option into an array
+ * @param {string} value - This occurrence's value
+ * @param {string[]} previous - Values so far
+ * @returns {string[]} - All values
+ */
+function collect(value, previous = []) {
+  return previous.concat([value]);
+}
+
+/**
+ * Split a "Name: value" header option
+ * @param {string} header - Header as given on the command line
+ * @returns {string[]} - [name, value]
+ */
+function parseHeader(header) {
+  const colon = header.indexOf(":");
+  if (colon < 1) {
+    throw new Error(`Invalid header "${header}"; use "Name: value"`);
+  }
+  return [header.substring(0, colon).trim(), header.substring(colon + 1).trim()];
+}
+
+/**
+ * Add the HTTP request and assertion options shared by ping and check
+ * @param {object} command - Commander command
+ * @returns {object} - The command
+ */
+function addHttpOptions(command) {
+  return command
+    .option("-X, --method <method>", "HTTP method to send", (value) => value.toUpperCase())
+    .option("-H, --header <header>", "Request header as \"Name: value\" (repeatable)", collect)
+    .option("-d, --data <body>", "Request body")
+    .option("-u, --user <user:password>", "Basic auth credentials")
+    .option("--bearer <token>", "Bearer token to send")
+    .option("--expect-status <statuses>", "Accepted statuses, e.g. 200,204 or 2xx or 200-299")
+    .option("--expect-header <header>", "Response header that must contain text, as \"Name: text\" (repeatable)", collect)
+    .option("--max-response-time <ms>", "Report Degraded when the response takes longer", (value) => parseInt(value, 10));
+}
+
+/**
+ * Turn the shared HTTP command line options into check options
+ * @param {object} options - Parsed command options
+ * @returns {object} - Check options; empty when none were given
+ */
+function httpCheckOptions(options) {
+  const check = {};
+  if (options.method) check.method = options.method;
+  if (options.header) check.headers = Object.fromEntries(options.header.map(parseHeader));
+  if (options.data !== undefined) check.body = options.data;
+  if (options.user) {
+    const [username, ...password] = options.user.split(":");
+    check.auth = { type: "basic", username, password: password.join(":") };
+  }
+  if (options.bearer) check.auth = { type: "bearer", token: options.bearer };
+  if (options.expectStatus) {
+    check.expectedStatus = options.expectStatus.split(",").map((entry) => (/^\d+$/.test(entry.trim()) ? parseInt(entry, 10) : entry.trim()));
+  }
+  if (options.expectHeader) check.expectHeaders = Object.fromEntries(options.expectHeader.map(parseHeader));
+  if (options.maxResponseTime !== undefined) check.maxResponseTime = options.maxResponseTime;
+  return check;
+}
+
+// Request phases in the order they happen, with their waterfall colors
+const TIMING_PHASES = [
+  { key: "dns", label: "DNS lookup", color: chalk.cyan },
+  { key: "connect", label: "TCP connect", color: chalk.yellow },
+  { key: "tls", label: "TLS handshake", color: chalk.magenta },
+  { key: "ttfb", label: "Time to first byte", color: chalk.green },
+  { key: "download", label: "Content transfer", color: chalk.blue },
+];
+
+// Width of the waterfall bars, in characters
+const WATERFALL_WIDTH = 40;
+
+/**
+ * Draw request hops as a waterfall: one bar per phase, placed where it
+ * happened within the whole request
+ * @param {Array<object>} hops - Hop timings from probeHttp
+ * @returns {string} - Waterfall, ready to print
+ */
+function renderWaterfall(hops) {
+  const total = hops.reduce((sum, hop) => sum + (hop.total || 0), 0) || 1;
+  const scale = (ms) => Math.round((ms / total) * WATERFALL_WIDTH);
+  const lines = [];
+  let offset = 0;
+  
+  hops.forEach((hop, index) => {
+    lines.push(chalk.bold(`${index === 0 ? 'Request' : `Redirect ${index}`}: ${hop.method} ${hop.url} -> ${hop.status}`));
+    
+    TIMING_PHASES.forEach(({ key, label, color }) => {
+      const ms = hop[key];
+      if (ms === null) {
+        return;
+      }
+      
+      const start = scale(offset);
+      const width = Math.max(1, scale(offset + ms) - start);
+      const bar = ' '.repeat(start) + color('█'.repeat(width)) + ' '.repeat(Math.max(0, WATERFALL_WIDTH - start - width));
+      lines.push(`  ${label.padEnd(20)}${bar} ${String(ms).padStart(8)}ms`);
+      offset += ms;
+    });
+    
+    lines.push(`  ${'Total'.padEnd(20)}${' '.repeat(WATERFALL_WIDTH)} ${String(hop.total).padStart(8)}ms`);
+  });
+  
+  return lines.join('\n');
+}
+
+/**
+ * Show a check outcome and set a failing exit code unless it is Good
+ * @param {object} spinner - ora spinner that ran the check
+ * @param {string} url - URL the check ran against
+ * @param {object} outcome - Outcome from runCheck
+ */
+function showCheckOutcome(spinner, url, outcome) {
+  const summary = describeResult(outcome.result);
+  if (outcome.status === "Good") {
+    spinner.succeed(chalk.greenBright(`Check passed: ${summary}`));
+  } else if (outcome.status === "Degraded") {
+    spinner.warn(chalk.yellowBright(`Check degraded: ${summary}`));
+    process.exitCode = 1;
+  } else {
+    spinner.fail(chalk.redBright(`Check failed: ${summary}`));
+    process.exitCode = 1;
+  }
+  
+  emit({ url, ...outcome }, () => {
+    const table = new Table({
+      head: [chalk.hex('#FF00FF')('Field'), chalk.hex('#FF00FF')('Value')],
+      colWidths: [22, 60],
+      wordWrap: true,
+      style: { head: [], border: [] }
+    });
+    Object.entries(outcome.result).forEach(([field, value]) => {
+      table.push([field, value === null ? chalk.gray('N/A') : Array.isArray(value) ? value.join(', ') || chalk.gray('none') : String(value)]);
+    });
+    console.log(table.toString());
+  });
+}
+
+/**
+ * Parse a whole number option that must be at least a minimum
+ * @param {number} min - Smallest value allowed
+ * @returns {function} - Commander option parser
+ */
+function wholeNumber(min) {
+  return (value) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+      throw new InvalidArgumentError(`Must be a whole number of at least ${min}.`);
+    }
+    return number;
+  };
+}
+
+// Bars of the latency sparkline, lowest to highest
+const SPARK_BARS = "▁▂▃▄▅▆▇█";
+
+// Samples the watch sparkline shows
+const SPARKLINE_WIDTH = 60;
+
+/**
+ * Draw latencies as a sparkline scaled between their min and max. Samples
+ * that got no response show as a red cross
+ * @param {Array<number|null>} latencies - Latencies in ms, null for no response
+ * @returns {string} - Sparkline, ready to print
+ */
+function sparkline(latencies) {
+  const values = latencies.filter((latency) => latency !== null);
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  
+  return latencies.map((latency) => {
+    if (latency === null) {
+      return chalk.red('×');
+    }
+    return chalk.hex('#00FFFF')(SPARK_BARS[Math.round(((latency - min) / range) * (SPARK_BARS.length - 1))]);
+  }).join('');
+}
+
+/**
+ * Format one ping sample as a line, like the system ping command does
+ * @param {object} sample - Outcome from runCheck
+ * @param {number} seq - Sample number, from 1
+ * @returns {string}
+ */
+function formatSample(sample, seq) {
+  if (sample.statusCode === 0) {
+    return chalk.redBright(`seq=${seq} no response: ${sample.result.error || 'request failed'}`);
+  }
+  const color = sample.status === "Good" ? chalk.greenBright : sample.status === "Degraded" ? chalk.yellowBright : chalk.redBright;
+  return `seq=${seq} status=${color(sample.statusCode)} time=${chalk.hex('#00FFFF')(`${sample.latency}ms`)}${sample.status === "Good" ? '' : ` ${color(sample.status)}`}`;
+}
+
+/**
+ * Latencies of the ping samples that got a response
+ * @param {Array<object>} samples - Outcomes from runCheck
+ * @returns {number[]} - Latencies in ms
+ */
+function sampleLatencies(samples) {
+  return samples.filter((sample) => sample.statusCode !== 0).map((sample) => sample.latency);
+}
+
+/**
+ * Summarize ping samples in a one row table: loss rate and latency
+ * statistics over the samples that got a response
+ * @param {Array<object>} samples - Outcomes from runCheck
+ * @returns {string} - Table, ready to print
+ */
+function pingStatsTable(samples) {
+  const stats = summarizeSamples(sampleLatencies(samples), samples.length);
+  const ms = (value) => (value === null ? chalk.gray('N/A') : `${value}ms`);
+  
+  const table = new Table({
+    head: ['Samples', 'Loss', 'Min', 'Avg', 'Max', 'p50', 'p95', 'Std Dev'].map((label) => chalk.hex('#FF00FF')(label)),
+    style: { head: [], border: [] }
+  });
+  table.push([
+    `${stats.received}/${stats.sent}`,
+    (stats.loss > 0 ? chalk.redBright : chalk.greenBright)(`${Math.round(stats.loss * 100)}%`),
+    ms(stats.min), ms(stats.avg), ms(stats.max), ms(stats.p50), ms(stats.p95), ms(stats.stddev),
+  ]);
+  return table.toString();
+}
+
+/**
+ * Fork the validator into the background and wait until it is up
+ * @param {string} keyPath - Absolute path to the private key file
+ * @param {string[]} configArgs - Config flags for the validator, see toConfigArgs
+ * @param {string} passphrase - Passphrase for an encrypted key file
+ */
+async function detachValidator(keyPath, configArgs, passphrase = null) {
+  const spinner = ora({text: 'Starting background validator...', color: 'cyan'}).start();
+  
+  try {
+    // The daemon has no terminal to prompt on, so hand it the passphrase
+    const record = startDaemon(keyPath, configArgs, passphrase);
+    await waitForDaemon(record);
+    spinner.succeed(chalk.greenBright(`Validator running in the background (PID ${record.pid})`));
+    emit({ pid: record.pid, keyPath, logFile: record.logFile }, () => {
+      logger.log(`Log file: ${record.logFile}`);
+      logger.log("Check on it with: validator-cli status");
+      logger.log("Stop it with: validator-cli stop");
+    });
+  } catch (error) {
+    spinner.fail(`Failed to start validator: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 program
   .name("validator-cli")
   .description("A decentralized uptime validator CLI")
@@ -49,44 +453,74 @@ Examples:
 program
   .option('-help', 'Display help information', false);
 
+// Config layers, see src/config.js; these beat the config files and environment
+program
+  .option("-c, --config <path>", "Project config file (default: ./config/config.json)")
+  .option("--profile <name>", "Use a named profile from the config files")
+  .option("--hub-server <url>", "Hub WebSocket URL, overriding the config")
+  .option("--set <key=value>", "Override a config setting, e.g. latencySettings.timeout=5000 (repeatable)", collect);
+
+// Output options: tables for people, json, yaml or plain for scripts
+program
+  .addOption(new Option("-o, --output <format>", "Output format").choices(OUTPUT_FORMATS).default("table"))
+  .option("--json", "Same as --output json")
+  .option("--no-banner", "Don't print the banner")
+  .option("--no-color", "Don't color the output");
+
+// Logging options; the validator also reads these from the "logging" config key
+program
+  .addOption(new Option("--log-level <level>", "Lowest level of message to log").choices(logger.LEVELS))
+  .addOption(new Option("--log-format <format>", "Log as colored text or JSON lines").choices(logger.LOG_FORMATS))
+  .option("--log-file <path>", "Also write log messages to a file");
+
+// Keep stdout for the result when a script reads it: messages move to stderr
+program.hook("preAction", () => {
+  const { color, logLevel, logFormat, logFile } = program.opts();
+  if (!color || getOutputFormat() !== "table") {
+    chalk.level = 0;
+  }
+  if (getOutputFormat() !== "table") {
+    logger.toStderr();
+  }
+  try {
+    logger.configure({ level: logLevel, format: logFormat, file: logFile });
+  } catch (error) {
+    logger.error(`Could not set up logging: ${error.message}`);
+    process.exit(1);
+  }
+});
+
 program
   .command("generate-keys")
   .description("Generate new validator keypair")
-  .option("-o, --output <directory>", "Output directory for keys", "./config")
+  .option("--out-dir <directory>", "Output directory for keys", "./config")
+  .option("-e, --encrypt", "Encrypt the private key with a passphrase")
+  .option("--passphrase-file <path>", "Read the passphrase from a file instead of prompting")
   .action(async (options) => {
     displayBanner();
+    
+    let passphrase = null;
+    if (options.encrypt) {
+      try {
+        passphrase = await resolvePassphrase(options, true);
+      } catch (error) {
+        logger.error(`Could not read passphrase: ${error.message}`);
+        process.exit(1);
+      }
+    }
+    
     const spinner = ora({text: 'Generating new validator keypair...', color: 'cyan'}).start();
     
     try {
       const keyPair = nacl.sign.keyPair();
-      const privateKeyBase64 = naclUtil.encodeBase64(keyPair.secretKey);
-      const publicKeyBase64 = naclUtil.encodeBase64(keyPair.publicKey);
       
-      const outputDir = path.resolve(options.output);
+      const outputDir = path.resolve(options.outDir);
       ensureDirectoryExists(outputDir);
       
-      const privateKeyPath = path.join(outputDir, "privateKey.txt");
-      const publicKeyPath = path.join(outputDir, "publicKey.txt");
-      
-      fs.writeFileSync(privateKeyPath, privateKeyBase64);
-      fs.writeFileSync(publicKeyPath, publicKeyBase64);
+      const files = writeKeyFiles(path.join(outputDir, "privateKey.txt"), keyPair, passphrase);
       
       spinner.succeed(chalk.greenBright('Keys generated successfully'));
-      
-      // Display key info in a table with improved colors
-      const table = new Table({
-        head: [chalk.cyanBright('Key Type'), chalk.cyanBright('Location')],
-        colWidths: [15, 60],
-        style: { head: [], border: [] }
-      });
-      
-      table.push(
-        ['Private Key', privateKeyPath],
-        ['Public Key', publicKeyPath]
-      );
-      
-      console.log(table.toString());
-      logger.warn("Keep your private key safe and do not share it with anyone!");
+      emit({ ...files, fingerprint: fingerprint(naclUtil.encodeBase64(keyPair.publicKey)), encrypted: Boolean(passphrase) }, displayKeyFiles);
     } catch (error) {
       spinner.fail(`Failed to generate keys: ${error.message}`);
       process.exit(1);
@@ -97,12 +531,14 @@ program
   .command("start")
   .description("Start the validator node")
   .argument('<keypath>', 'Path to your private key file')
-  .option("-c, --config <path>", "Path to config file", "./config/config.json")
+  .option("-d, --detach", "Run the validator in the background")
+  .option("--passphrase-file <path>", "Read the key passphrase from a file instead of prompting")
+  .option("--passphrase-stdin", "Read the key passphrase from standard input instead of prompting")
   .action(async (keypath, options) => {
     displayBanner();
     
     const keyPath = path.resolve(keypath);
-    const configPath = path.resolve(options.config);
+    const configOptions = getConfigOptions();
 
     if (!fs.existsSync(keyPath)) {
       logger.error(`Private key file not found at: ${keyPath}`);
@@ -110,37 +546,36 @@ program
       process.exit(1);
     }
 
-    // Create config file if it doesn't exist
-    if (!fs.existsSync(configPath)) {
-      const defaultConfig = {
-        hubServer: "ws://localhost:8081",
-      };
-      
-      try {
-        const configDir = path.dirname(configPath);
-        if (!fs.existsSync(configDir)) {
-          fs.mkdirSync(configDir, { recursive: true });
-        }
-        fs.writeFileSync(configPath, JSON.stringify(defaultConfig, null, 2));
-        logger.success(`Created default config at: ${configPath}`);
-      } catch (error) {
-        logger.error(`Failed to create default config: ${error.message}`);
-      }
+    // Check the config here so a bad one fails before we detach
+    let resolved;
+    try {
+      resolved = resolveConfig(configOptions);
+    } catch (error) {
+      logger.error(`Failed to load config: ${error.message}`);
+      process.exit(1);
     }
+    const configFiles = [resolved.files.user, resolved.files.project].filter((file) => fs.existsSync(file));
 
     logger.log("Starting validator node...");
     logger.log(`Using private key: ${keyPath}`);
-    logger.log(`Using config: ${configPath}`);
+    logger.log(`Using config: ${configFiles.length > 0 ? configFiles.join(", ") : "built-in defaults"}`);
+    if (resolved.profile) {
+      logger.log(`Using profile: ${resolved.profile}`);
+    }
+    
+    const passphrase = await getPassphrase(keyPath, options);
+    
+    if (options.detach) {
+      await detachValidator(keyPath, toConfigArgs(configOptions), passphrase);
+      return;
+    }
     
     // Show a nice spinner while connecting
     const spinner = ora({text: 'Connecting to hub server...', color: 'cyan'}).start();
     
     try {
-      // Set the config path in environment
-      process.env.CONFIG_PATH = configPath;
-      
       // Start the validator with the spinner for feedback
-      await startValidator(keyPath, spinner);
+      await startValidator(keyPath, spinner, passphrase, configOptions);
     } catch (error) {
       spinner.fail(`Failed to start validator: ${error.message}`);
       process.exit(1);
@@ -148,319 +583,1446 @@ program
   });
 
 program
-  .command("ping <url>")
-  .description("Manually ping a specific URL")
-  .action(async (url) => {
+  .command("stop")
+  .description("Stop the background validator once in-flight validations finish")
+  .option("-t, --timeout <seconds>", "How long to wait for the validator to stop", "30")
+  .option("-f, --force", "Kill the validator if it doesn't stop in time")
+  .action(async (options) => {
     displayBanner();
-    logger.ping(`Pinging URL: ${url}...`);
+    
+    const spinner = ora({text: 'Stopping validator...', color: 'cyan'}).start();
     
     try {
-      const spinner = ora({text: 'Measuring network latency...', color: 'magenta'}).start();
-      
-      // Use our dedicated network module for network ping only
-      const results = await network.measureLatency(url);
-      
-      spinner.succeed(chalk.greenBright('Ping measurement complete'));
-      
-      // Display results in a table with improved colors
-      const table = new Table({
-        head: [chalk.hex('#FF00FF')('Metric'), chalk.hex('#FF00FF')('Value (ms)')],
-        colWidths: [30, 15],
-        style: { head: [], border: [] }
+      const stopped = await stopDaemon({
+        timeout: (parseInt(options.timeout, 10) || 30) * 1000,
+        force: options.force
       });
       
-      if (results.networkPing) {
-        table.push(['Network Ping (ICMP)', chalk.hex('#00FFFF')(results.networkPing)]);
-      } else {
-        table.push(['Network Ping (ICMP)', chalk.gray('N/A')]);
-      }
-      
-      if (results.dnsTime) {
-        table.push(['DNS Resolution', chalk.cyan(results.dnsTime)]);
-      }
-      
-      console.log(table.toString());
-      
-      // Show status information
-      if (results.status) {
-        const statusColor = results.status >= 200 && results.status < 300 ? 'greenBright' : 
-                           (results.status >= 300 && results.status < 400 ? 'yellowBright' : 'redBright');
-        logger.log(`Status: ${chalk[statusColor](results.status)}`);
-      }
-      
-      // Show recommendation based only on network ping
-      if (results.networkPing) {
-        if (results.networkPing < 100) {
-          logger.network(`Excellent latency: ${results.networkPing}ms`);
-        } else if (results.networkPing < 300) {
-          logger.network(`Good latency: ${results.networkPing}ms`);
-        } else {
-          logger.network(`High latency: ${results.networkPing}ms`);
-        }
+      if (!stopped) {
+        spinner.warn('No background validator is running');
       } else {
-        logger.warn('Network ping could not be measured');
+        spinner.succeed(chalk.greenBright(`Validator stopped (PID ${stopped.pid})`));
       }
+      emit({ stopped: Boolean(stopped), pid: stopped ? stopped.pid : null }, () => {});
     } catch (error) {
-      logger.error(`Failed to ping ${url}: ${error.message}`);
+      spinner.fail(error.message);
+      logger.log("Use --force to kill it");
+      process.exit(1);
     }
   });
 
 program
-  .command("info")
-  .description("Show validator information")
-  .argument('[keypath]', 'Path to your private key file', './config/privateKey.txt')
-  .action((keypath) => {
+  .command("restart")
+  .description("Restart the background validator")
+  .argument('[keypath]', 'Path to your private key file (defaults to the one it was started with)')
+  .addHelpText('after', '\nConfig flags (--config, --profile, --hub-server, --set) default to the ones it was started with.')
+  .option("-t, --timeout <seconds>", "How long to wait for the validator to stop", "30")
+  .option("--passphrase-file <path>", "Read the key passphrase from a file instead of prompting")
+  .action(async (keypath, options) => {
     displayBanner();
+    
+    const running = getRunningDaemon();
+    if (!running && !keypath) {
+      logger.error("No background validator is running and no key path was given");
+      logger.log("Use: validator-cli start <keypath> --detach");
+      process.exit(1);
+    }
+    
+    const keyPath = keypath ? path.resolve(keypath) : running.keyPath;
+    const passphrase = await getPassphrase(keyPath, options);
+    
+    // Config flags given now replace the ones it was started with
+    const { config, profile, hubServer, set, logLevel, logFormat, logFile } = program.opts();
+    const configArgs = config || profile || hubServer || set || logLevel || logFormat || logFile || !running
+      ? toConfigArgs(getConfigOptions())
+      : running.configArgs || [];
+    
+    if (running) {
+      const spinner = ora({text: 'Stopping validator...', color: 'cyan'}).start();
+      try {
+        await stopDaemon({ timeout: (parseInt(options.timeout, 10) || 30) * 1000 });
+        spinner.succeed(chalk.greenBright(`Validator stopped (PID ${running.pid})`));
+      } catch (error) {
+        spinner.fail(error.message);
+        process.exit(1);
+      }
+    }
+    
+    await detachValidator(keyPath, configArgs, passphrase);
+  });
+
+const keys = program
+  .command("keys")
+  .description("Manage validator key files");
+
+keys
+  .command("encrypt")
+  .description("Encrypt a plaintext private key file with a passphrase")
+  .argument('[keypath]', 'Path to your private key file', './config/privateKey.txt')
+  .option("--passphrase-file <path>", "Read the new passphrase from a file instead of prompting")
+  .action(async (keypath, options) => {
     const keyPath = path.resolve(keypath);
     
     if (!fs.existsSync(keyPath)) {
       logger.error(`Private key file not found at: ${keyPath}`);
+      process.exit(1);
+    }
+    if (isKeyFileEncrypted(keyPath)) {
+      emit({ keyPath, encrypted: true, changed: false }, () => logger.warn(`${keyPath} is already encrypted`));
       return;
     }
     
     try {
-      const keypair = loadPrivateKeyFromFile(keyPath);
-      const publicKeyBase64 = naclUtil.encodeBase64(keypair.publicKey);
+      const secretKey = readSecretKey(keyPath);
+      const passphrase = await resolvePassphrase(options, true);
+      const keystore = encryptSecretKey(secretKey, passphrase);
       
-      // Let's retrieve the IP separately
-      axios.get("https://ipinfo.io/json")
-        .then(response => {
-          const ip = response.data.ip || "Unknown";
-          const location = `${response.data.city}, ${response.data.region}, ${response.data.country}`;
-          
-          const status = getValidatorStatus();
-          
-          logger.title("Validator Information");
-          
-          const table = new Table({
-            head: [chalk.cyanBright('Property'), chalk.cyanBright('Value')],
-            colWidths: [20, 60],
-            style: { head: [], border: [] }
-          });
-          
-          table.push(
-            ['Public Key', publicKeyBase64],
-            ['IP Address', ip],
-            ['Location', location]
-          );
-          
-          if (status.validatorId) {
-            table.push(
-              ['Validator ID', status.validatorId],
-              ['Connected', status.connected ? chalk.green('Yes') : chalk.red('No')],
-              ['Pending Rewards', `${status.pendingPayouts} lamports`]
-            );
-          }
-          
-          console.log(table.toString());
-          
-          if (!status.connected) {
-            logger.log(`To start the validator: validator-cli start ${keyPath}`);
-          }
-        })
-        .catch(error => {
-          logger.log("Validator information:");
-          logger.log(`Public key: ${publicKeyBase64}`);
-          logger.log(`IP address: Unknown (${error.message})`);
-        });
+      fs.writeFileSync(keyPath, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+      fs.chmodSync(keyPath, 0o600);
+      emit({ keyPath, encrypted: true, changed: true }, () => {
+        logger.success(`Encrypted ${keyPath}`);
+        logger.warn("There is no way to recover the key without the passphrase. Keep a backup!");
+      });
     } catch (error) {
-      logger.error(`Failed to read private key: ${error.message}`);
+      logger.error(`Failed to encrypt key: ${error.message}`);
+      process.exit(1);
     }
   });
 
-program
-  .command("rewards")
-  .description("Show your validator rewards")
-  .action(() => {
-    displayBanner();
-    
-    const status = getValidatorStatus();
+keys
+  .command("decrypt")
+  .description("Decrypt an encrypted private key file back to plaintext")
+  .argument('[keypath]', 'Path to your private key file', './config/privateKey.txt')
+  .option("--passphrase-file <path>", "Read the passphrase from a file instead of prompting")
+  .action(async (keypath, options) => {
+    const keyPath = path.resolve(keypath);
     
-    if (!status.validatorId) {
-      logger.warn("Validator is not connected to the hub. Start the validator first.");
-      logger.log("Use: validator-cli start <keypath>");
+    if (!fs.existsSync(keyPath)) {
+      logger.error(`Private key file not found at: ${keyPath}`);
+      process.exit(1);
+    }
+    if (!isKeyFileEncrypted(keyPath)) {
+      emit({ keyPath, encrypted: false, changed: false }, () => logger.warn(`${keyPath} is not encrypted`));
       return;
     }
     
-    logger.title("Validator Rewards");
-    
-    const table = new Table({
-      head: [chalk.cyanBright('Property'), chalk.cyanBright('Value')],
-      colWidths: [20, 60],
-      style: { head: [], border: [] }
-    });
-    
-    table.push(
-      ['Validator ID', status.validatorId],
-      ['Pending Rewards', `${status.pendingPayouts} lamports`],
-      ['Estimated USD', `$${(status.pendingPayouts * 0.000001).toFixed(6)}`]
-    );
-    
-    console.log(table.toString());
-    
-    if (status.connected) {
-      logger.success("Your validator is online and earning rewards!");
-    } else {
-      logger.warn("Your validator is currently offline.");
-      logger.log("Start it again to continue earning rewards.");
+    try {
+      const passphrase = await resolvePassphrase(options);
+      const secretKey = readSecretKey(keyPath, passphrase);
+      
+      fs.writeFileSync(keyPath, naclUtil.encodeBase64(secretKey), { mode: 0o600 });
+      emit({ keyPath, encrypted: false, changed: true }, () => {
+        logger.success(`Decrypted ${keyPath}`);
+        logger.warn("The private key is now stored in plaintext.");
+      });
+    } catch (error) {
+      logger.error(`Failed to decrypt key: ${error.message}`);
+      process.exit(1);
     }
   });
 
-program
-  .command("status")
-  .description("Check the current status of the validator")
-  .action(() => {
-    displayBanner();
-    
-    const status = getValidatorStatus();
-    
-    const table = new Table({
-      head: [chalk.cyanBright('Property'), chalk.cyanBright('Value')],
-      colWidths: [20, 60],
-      style: { head: [], border: [] }
-    });
-    
-    table.push(
-      ['Connected', status.connected ? chalk.green('Yes') : chalk.red('No')],
-      ['Validator ID', status.validatorId || 'Not registered'],
-      ['Location', status.location],
-      ['IP Address', status.ipAddress],
-      ['Pending Rewards', status.pendingPayouts ? `${status.pendingPayouts} lamports` : 'Not available']
-    );
+keys
+  .command("show")
+  .description("Show the public key, fingerprint and validator ID of a key file")
+  .argument('[keypath]', 'Path to your private key file', './config/privateKey.txt')
+  .action((keypath) => {
+    const keyPath = path.resolve(keypath);
     
-    console.log(table.toString());
+    if (!fs.existsSync(keyPath)) {
+      logger.error(`Private key file not found at: ${keyPath}`);
+      process.exit(1);
+    }
     
-    if (!status.connected) {
-      logger.log("Validator is not connected to the hub.");
-      logger.log("Start it with: validator-cli start <keypath>");
+    try {
+      // Encrypted keystores carry the public key, so no passphrase is needed
+      const publicKeyBase64 = readPublicKey(keyPath);
+      const key = {
+        keyPath,
+        encrypted: isKeyFileEncrypted(keyPath),
+        publicKey: publicKeyBase64,
+        publicKeyBase58: bs58.encode(naclUtil.decodeBase64(publicKeyBase64)),
+        fingerprint: fingerprint(publicKeyBase64),
+        validatorId: validatorIdFor(publicKeyBase64),
+      };
+      
+      emit(key, () => {
+        const table = new Table({
+          head: [chalk.cyanBright('Property'), chalk.cyanBright('Value')],
+          colWidths: [22, 60],
+          style: { head: [], border: [] }
+        });
+        
+        table.push(
+          ['Key File', key.keyPath],
+          ['Encrypted', key.encrypted ? chalk.green('Yes') : chalk.yellow('No')],
+          ['Public Key (base64)', key.publicKey],
+          ['Public Key (base58)', key.publicKeyBase58],
+          ['Fingerprint', key.fingerprint],
+          ['Derived Validator ID', key.validatorId]
+        );
+        
+        console.log(table.toString());
+      });
+    } catch (error) {
+      logger.error(`Failed to read key: ${error.message}`);
+      process.exit(1);
     }
   });
 
-program
-  .command("debug-ping <url>")
-  .description("Perform a detailed latency analysis of a URL")
-  .action(async (url) => {
-    displayBanner();
-    
-    logger.title("Detailed Latency Analysis");
-    logger.ping(`Target URL: ${chalk.hex('#00FFFF')(url)}`);
+keys
+  .command("import")
+  .description("Import a base64 or base58 secret key or 32 byte seed")
+  .argument('[secret]', 'Encoded secret key or seed (prompted for if omitted)')
+  .option("--out-dir <directory>", "Output directory for keys", "./config")
+  .option("-f, --format <format>", "Encoding of the secret: auto, base64 or base58", "auto")
+  .option("-e, --encrypt", "Encrypt the imported private key with a passphrase")
+  .option("--passphrase-file <path>", "Read the passphrase from a file instead of prompting")
+  .option("--force", "Overwrite an existing private key file")
+  .action(async (secret, options) => {
+    const privateKeyPath = path.join(path.resolve(options.outDir), "privateKey.txt");
     
-    const spinner = ora({text: 'Analyzing latency components...', color: 'magenta'}).start();
+    if (fs.existsSync(privateKeyPath) && !options.force) {
+      logger.error(`${privateKeyPath} already exists; use --force to overwrite it`);
+      process.exit(1);
+    }
     
     try {
-      // Get the hostname from the URL
-      const { hostname } = new URL(url);
+      // Reading the secret interactively keeps it out of shell history
+      const value = secret || await promptPassphrase("Secret key or seed: ");
+      const keypair = keypairFromString(value, options.format);
+      const passphrase = options.encrypt ? await resolvePassphrase(options, true) : null;
       
-      // First try the Windows-friendly command
-      spinner.text = 'Measuring network latency...';
-      const isWindows = process.platform === 'win32';
-      let pingCmd, pingOutput, networkLatency = null;
-      
-      try {
-        // Try appropriate ping command for the OS
-        pingCmd = isWindows ? `ping -n 1 ${hostname}` : `ping -c 1 ${hostname}`;
-        pingOutput = execSync(pingCmd, { timeout: 3000 }).toString();
-        
-        logger.log("Ping output sample:");
-        console.log(pingOutput.split('\n').slice(0, 4).join('\n'));
-        
-        // Extract latency using the correct pattern for the OS
-        if (isWindows) {
-          const avgMatch = pingOutput.match(/Average\s*=\s*(\d+)ms/);
-          if (avgMatch && avgMatch[1]) {
-            networkLatency = parseInt(avgMatch[1], 10);
-          } else {
-            const timeMatch = pingOutput.match(/time[=<](\d+)ms/);
-            if (timeMatch && timeMatch[1]) {
-              networkLatency = parseInt(timeMatch[1], 10);
-            }
-          }
-        } else {
-          const timeMatch = pingOutput.match(/time=(\d+(\.\d+)?)\s*ms/);
-          if (timeMatch && timeMatch[1]) {
-            networkLatency = parseFloat(timeMatch[1]);
-          }
+      const files = writeKeyFiles(privateKeyPath, keypair, passphrase);
+      const imported = { ...files, fingerprint: fingerprint(naclUtil.encodeBase64(keypair.publicKey)), encrypted: Boolean(passphrase) };
+      emit(imported, () => {
+        displayKeyFiles(files);
+        logger.success(`Imported key ${imported.fingerprint}`);
+      });
+    } catch (error) {
+      logger.error(`Failed to import key: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+keys
+  .command("export")
+  .description("Print the secret key of a key file")
+  .argument('[keypath]', 'Path to your private key file', './config/privateKey.txt')
+  .option("-f, --format <format>", "Encoding to print: base64 or base58", "base64")
+  .option("--seed", "Print the 32 byte seed instead of the full 64 byte secret key")
+  .option("--passphrase-file <path>", "Read the key passphrase from a file instead of prompting")
+  .action(async (keypath, options) => {
+    const keyPath = path.resolve(keypath);
+    
+    if (!fs.existsSync(keyPath)) {
+      logger.error(`Private key file not found at: ${keyPath}`);
+      process.exit(1);
+    }
+    
+    try {
+      const passphrase = await getPassphrase(keyPath, options);
+      const keypair = nacl.sign.keyPair.fromSecretKey(readSecretKey(keyPath, passphrase));
+      
+      // Only the secret goes to stdout so it can be piped
+      process.stderr.write(chalk.yellowBright("[WARNING] Anyone with this secret controls your validator and its rewards\n"));
+      const secret = encodeSecret(keypair, options.format, options.seed);
+      emit({ format: options.format, seed: Boolean(options.seed), secret }, () => console.log(secret));
+    } catch (error) {
+      logger.error(`Failed to export key: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+keys
+  .command("rotate")
+  .description("Replace your key with a new one and carry your validator ID and rewards over to it")
+  .argument('[keypath]', 'Path to your private key file', './config/privateKey.txt')
+  .option("--no-submit", "Only write the signed rotation statement, don't send it to the hub")
+  .option("--passphrase-file <path>", "Read the key passphrase from a file instead of prompting")
+  .action(async (keypath, options) => {
+    displayBanner();
+    const keyPath = path.resolve(keypath);
+    
+    if (!fs.existsSync(keyPath)) {
+      logger.error(`Private key file not found at: ${keyPath}`);
+      process.exit(1);
+    }
+    
+    const passphrase = await getPassphrase(keyPath, options);
+    const oldKeypair = loadPrivateKeyFromFile(keyPath, passphrase);
+    const newKeypair = nacl.sign.keyPair();
+    const statement = createRotationStatement(oldKeypair, newKeypair);
+    
+    // Keep the old key around and write the new one before telling the hub,
+    // so a failed submission never leaves us without the key the hub expects
+    const keyDir = path.dirname(keyPath);
+    const stamp = statement.timestamp.replace(/[-:]/g, "").replace(/\..*$/, "");
+    const backupPath = `${keyPath}.${stamp}.bak`;
+    const statementPath = path.join(keyDir, `rotation-${stamp}.json`);
+    
+    fs.copyFileSync(keyPath, backupPath);
+    fs.chmodSync(backupPath, 0o600);
+    fs.writeFileSync(statementPath, JSON.stringify(statement, null, 2));
+    const files = writeKeyFiles(keyPath, newKeypair, passphrase);
+    
+    const rotation = { ...files, backupPath, statementPath, fingerprint: fingerprint(statement.newPublicKey), submitted: false };
+    
+    // Show the new files before asking the hub, so they are on screen even if it refuses
+    if (getOutputFormat() === "table") {
+      displayKeyFiles(files);
+      logger.log(`Old key backed up to: ${backupPath}`);
+      logger.log(`Rotation statement: ${statementPath}`);
+      logger.log(`New key fingerprint: ${rotation.fingerprint}`);
+      
+      if (!options.submit) {
+        logger.log(`Submit it later with: validator-cli keys submit-rotation ${statementPath}`);
+      }
+    }
+    
+    if (options.submit) {
+      Object.assign(rotation, await submitRotationStatement(statementPath), { submitted: true });
+    }
+    emit(rotation, () => {});
+  });
+
+keys
+  .command("submit-rotation")
+  .description("Send a signed rotation statement to the hub")
+  .argument('<statement>', 'Path to the rotation statement written by keys rotate')
+  .action(async (statement, options) => {
+    displayBanner();
+    emit(await submitRotationStatement(path.resolve(statement)), () => {});
+  });
+
+/**
+ * Resolve the config from the global flags, exiting with the problems if it is invalid
+ * @returns {object} - { config, origins, files, profile } from resolveConfig
+ */
+function resolveConfigOrExit() {
+  try {
+    return resolveConfig(getConfigOptions());
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Format a config value for display
+ * @param {*} value - Config value
+ * @returns {string} - Printable value
+ */
+function formatConfigValue(value) {
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+const configCommand = program
+  .command("config")
+  .description("Show and change validator settings");
+
+configCommand
+  .command("path")
+  .description("Show which config files are read, lowest precedence first")
+  .action(() => {
+    const { files } = resolveConfigOrExit();
+    const layers = {
+      user: { path: files.user, exists: fs.existsSync(files.user) },
+      project: { path: files.project, exists: fs.existsSync(files.project) },
+    };
+    
+    emit(layers, () => {
+      const table = new Table({
+        head: [chalk.cyanBright('Layer'), chalk.cyanBright('File'), chalk.cyanBright('Status')],
+        colWidths: [12, 60, 12],
+        style: { head: [], border: [] }
+      });
+      
+      table.push(
+        ['User', layers.user.path, layers.user.exists ? chalk.green('Found') : chalk.gray('Not found')],
+        ['Project', layers.project.path, layers.project.exists ? chalk.green('Found') : chalk.gray('Not found')]
+      );
+      
+      console.log(table.toString());
+      logger.log("VALIDATOR_* environment variables and command line flags override both");
+    });
+  });
+
+configCommand
+  .command("list")
+  .description("Show every setting, its effective value and where it came from")
+  .action(() => {
+    const { config, origins, profile } = resolveConfigOrExit();
+    const settings = Object.fromEntries(listKeys().map((keyPath) => [keyPath, { value: getPath(config, keyPath), source: origins[keyPath] }]));
+    
+    emit({ profile: profile || null, settings }, () => {
+      const table = new Table({
+        head: [chalk.cyanBright('Setting'), chalk.cyanBright('Value'), chalk.cyanBright('Source')],
+        colWidths: [36, 30, 50],
+        style: { head: [], border: [] }
+      });
+      
+      Object.entries(settings).forEach(([keyPath, { value, source }]) => {
+        table.push([keyPath, formatConfigValue(value), source === "default" ? chalk.gray(source) : source]);
+      });
+      
+      if (profile) {
+        logger.log(`Profile: ${profile}`);
+      }
+      console.log(table.toString());
+    });
+  });
+
+configCommand
+  .command("get")
+  .description("Print the effective value of a setting")
+  .argument('<key>', 'Setting, e.g. hubServer or latencySettings.timeout')
+  .action((key) => {
+    const { config } = resolveConfigOrExit();
+    
+    if (!listKeys().includes(key)) {
+      logger.error(`Unknown setting "${key}". Settings: ${listKeys().join(", ")}`);
+      process.exit(1);
+    }
+    const value = getPath(config, key);
+    emit(value, () => console.log(formatConfigValue(value)));
+  });
+
+configCommand
+  .command("set")
+  .description("Change a setting in the project config file (or the user file with --user)")
+  .argument('<key>', 'Setting, e.g. hubServer or latencySettings.timeout')
+  .argument('<value>', 'New value')
+  .option("--user", "Write to the user config file instead of the project one")
+  .action((key, value, options) => {
+    const configOptions = getConfigOptions();
+    const files = getConfigFiles(configOptions);
+    const filePath = options.user ? files.user : files.project;
+    
+    let stored;
+    try {
+      stored = setConfigValue(filePath, key, value, configOptions.profile);
+    } catch (error) {
+      logger.error(`Failed to set ${key}: ${error.message}`);
+      process.exit(1);
+    }
+    
+    const { config, origins } = resolveConfigOrExit();
+    const change = {
+      key,
+      value: stored,
+      file: filePath,
+      profile: configOptions.profile || null,
+      effective: getPath(config, key),
+      source: origins[key],
+    };
+    
+    emit(change, () => {
+      logger.success(`Set ${key} = ${formatConfigValue(stored)} in ${filePath}${change.profile ? ` (profile ${change.profile})` : ''}`);
+      
+      // A higher layer can still hide the new value; say so rather than leave it a mystery
+      if (!change.source.startsWith(filePath)) {
+        logger.warn(`${key} is still ${formatConfigValue(change.effective)}, set by ${change.source}`);
+      }
+    });
+  });
+
+/**
+ * Ping a URL over several samples and report the loss rate and latency
+ * statistics. Each sample runs the check a validate job would. In watch mode
+ * it samples until Ctrl+C and, on a terminal, redraws a sparkline and the
+ * statistics after every sample
+ * @param {string} url - URL to ping
+ * @param {object} check - Check to run; null for a plain HTTP check
+ * @param {object} options - Parsed ping options
+ */
+async function samplePing(url, check, options) {
+  const { latencySettings } = loadConfig(getConfigOptions());
+  const table = getOutputFormat() === "table";
+  const live = table && options.watch && process.stdout.isTTY;
+  const samples = [];
+  let stopped = false;
+  let wake = null;
+  let drawnLines = 0;
+  
+  const stop = () => {
+    stopped = true;
+    if (wake) wake();
+  };
+  
+  if (options.watch) {
+    process.once('SIGINT', stop);
+    logger.ping(`Watching ${url} every ${options.interval}ms, press Ctrl+C to stop...`);
+  } else {
+    logger.ping(`Pinging ${url} ${options.count} times...`);
+  }
+  
+  while (!stopped && (options.watch || samples.length < options.count)) {
+    if (samples.length > 0) {
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, options.interval);
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      if (stopped) {
+        break;
+      }
+    }
+    
+    const sample = await runCheck(url, check, latencySettings);
+    samples.push(sample);
+    
+    if (live) {
+      const recent = samples.slice(-SPARKLINE_WIDTH).map((entry) => (entry.statusCode === 0 ? null : entry.latency));
+      const frame = [
+        `${chalk.bold('Latency')} ${sparkline(recent)}`,
+        formatSample(sample, samples.length),
+        pingStatsTable(samples),
+      ].join('\n');
+      
+      // Move the cursor back over the previous frame and draw over it
+      if (drawnLines > 0) {
+        process.stdout.write(`\x1b[${drawnLines}A\x1b[0J`);
+      }
+      process.stdout.write(`${frame}\n`);
+      drawnLines = frame.split('\n').length;
+    } else if (table) {
+      console.log(formatSample(sample, samples.length));
+    }
+  }
+  process.removeListener('SIGINT', stop);
+  
+  const failed = samples.filter((sample) => sample.status !== "Good").length;
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+  
+  emit({
+    url,
+    samples: samples.map((sample, index) => ({ seq: index + 1, status: sample.status, statusCode: sample.statusCode, latency: sample.latency })),
+    stats: summarizeSamples(sampleLatencies(samples), samples.length),
+    failed,
+  }, () => {
+    if (!live) {
+      console.log(pingStatsTable(samples));
+    }
+    
+    if (failed > 0) {
+      logger.warn(`${failed} of ${samples.length} samples were not Good`);
+    } else {
+      logger.success(`All ${samples.length} samples were Good`);
+    }
+  });
+}
+
+addHttpOptions(program
+  .command("ping <url>")
+  .description("Manually ping a specific URL")
+  .option("-n, --count <count>", "Samples to take", wholeNumber(1), 1)
+  .option("-i, --interval <ms>", "Wait between samples, in ms", wholeNumber(0), 1000)
+  .option("-w, --watch", "Keep sampling until Ctrl+C, with a live sparkline and statistics"))
+  .addHelpText('after', `
+With any of the request or assertion options, ping sends that request and
+judges the response the way a validate job with the same options would.
+
+With --count above 1 or --watch, ping prints a line per sample and then the
+loss rate and min, avg, max, p50, p95 and standard deviation of the latency.
+It exits with status 1 when any sample isn't Good.
+  `)
+  .action(async (url, options) => {
+    displayBanner();
+    
+    let check;
+    try {
+      check = { type: "http", ...httpCheckOptions(options) };
+      verifyCheck(url, check);
+    } catch (error) {
+      logger.error(error.message);
+      process.exit(1);
+    }
+    
+    if (options.watch || options.count > 1) {
+      await samplePing(url, Object.keys(check).length > 1 ? check : null, options);
+      return;
+    }
+    
+    logger.ping(`Pinging URL: ${url}...`);
+    
+    // A single sample is judged like each sample of --count and --watch: by the
+    // check a validate job would run, with latencySettings from the config
+    const { latencySettings } = loadConfig(getConfigOptions());
+    
+    if (Object.keys(check).length > 1) {
+      const spinner = ora({text: `Sending ${check.method || 'GET'} ${url}...`, color: 'magenta'}).start();
+      showCheckOutcome(spinner, url, await runCheck(url, check, latencySettings));
+      return;
+    }
+    
+    const spinner = ora({text: 'Measuring network latency...', color: 'magenta'}).start();
+    const { status, statusCode, latency, result } = await runCheck(url, null, latencySettings);
+    
+    // A site that didn't answer, or answered with an error, is down
+    const up = status === "Good";
+    if (up) {
+      spinner.succeed(chalk.greenBright('Ping measurement complete'));
+    } else {
+      spinner.fail(chalk.redBright(`${url} is down`));
+      process.exitCode = 1;
+    }
+    
+    const hops = result.timings || [];
+    const ping = {
+      url,
+      up,
+      status: statusCode,
+      latency: up ? latency : null,
+      finalUrl: hops.length > 0 ? hops[hops.length - 1].url : url,
+      timings: hops,
+      ...(result.error ? { error: result.error } : {}),
+    };
+    
+    emit(ping, () => {
+      // Display results in a table with improved colors
+      const table = new Table({
+        head: [chalk.hex('#FF00FF')('Metric'), chalk.hex('#FF00FF')('Value (ms)')],
+        colWidths: [30, 15],
+        style: { head: [], border: [] }
+      });
+      
+      table.push(['Latency', up ? chalk.hex('#00FFFF')(latency) : chalk.gray('N/A')]);
+      
+      // Phases of the first request, when the probe got that far
+      if (hops.length > 0) {
+        TIMING_PHASES.forEach(({ key, label, color }) => {
+          if (hops[0][key] !== null && hops[0][key] !== undefined) {
+            table.push([label, color(hops[0][key])]);
+          }
+        });
+      }
+      
+      console.log(table.toString());
+      
+      // Show status information
+      if (statusCode) {
+        const statusColor = statusCode >= 200 && statusCode < 300 ? 'greenBright' : 
+                           (statusCode >= 300 && statusCode < 400 ? 'yellowBright' : 'redBright');
+        logger.log(`Status: ${chalk[statusColor](statusCode)}`);
+      } else {
+        logger.error(`No response from ${url}${result.error ? `: ${result.error}` : ''}`);
+      }
+      
+      // Show recommendation based on the latency the check reports
+      if (!up) {
+        return;
+      }
+      if (latency < 100) {
+        logger.network(`Excellent latency: ${latency}ms`);
+      } else if (latency < 300) {
+        logger.network(`Good latency: ${latency}ms`);
+      } else {
+        logger.network(`High latency: ${latency}ms`);
+      }
+    });
+  });
+
+// URL scheme assumed for bare hostnames, by check type
+const CHECK_SCHEMES = { http: "https", keyword: "https", tcp: "tcp", dns: "dns", tls: "https" };
+
+/**
+ * Add the check type and check options shared by check and hub websites add
+ * @param {object} command - Commander command
+ * @returns {object} - The command
+ */
+function addCheckOptions(command) {
+  return addHttpOptions(command)
+    .option("-t, --type <type>", "Check type: http, keyword, tcp, dns or tls", "http")
+    .option("--host <host>", "Host to check instead of the target's")
+    .option("-p, --port <port>", "Port for tcp and tls checks", (value) => parseInt(value, 10))
+    .option("-k, --keyword <text>", "Text a keyword check looks for in the page")
+    .option("--absent", "Keyword check passes when the text is missing")
+    .option("--case-sensitive", "Match the keyword case-sensitively")
+    .option("--record-type <type>", "DNS record type: A, AAAA, CNAME, MX, NS or TXT")
+    .option("--expect <value>", "Value a DNS check expects among the records (repeatable)", collect)
+    .option("--min-days <days>", "Days of certificate validity a tls check wants left", (value) => parseInt(value, 10));
+}
+
+/**
+ * Turn a check target and the check options into a URL and check, exiting
+ * when they don't make a valid check
+ * @param {string} target - URL, or a bare hostname
+ * @param {object} options - Parsed command options
+ * @returns {object} - { url, check }
+ */
+function checkFromOptions(target, options) {
+  let check;
+  try {
+    check = { type: options.type, ...(options.type === "http" || options.type === "keyword" ? httpCheckOptions(options) : {}) };
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+  if (options.host) check.host = options.host;
+  if (options.port !== undefined) check.port = options.port;
+  if (options.keyword !== undefined) check.keyword = options.keyword;
+  if (options.absent) check.present = false;
+  if (options.caseSensitive) check.caseSensitive = true;
+  if (options.recordType) check.recordType = options.recordType.toUpperCase();
+  if (options.expect) check.expected = options.expect;
+  if (options.minDays !== undefined) check.minDaysRemaining = options.minDays;
+  
+  const url = target.includes("://") ? target : `${CHECK_SCHEMES[options.type] || "https"}://${target}`;
+  
+  try {
+    verifyCheck(url, check);
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+  return { url, check };
+}
+
+addCheckOptions(program
+  .command("check <target>")
+  .description("Run a check locally, the way the hub asks validators to"))
+  .addHelpText('after', `
+Examples:
+  $ validator-cli check https://example.com
+  $ validator-cli check example.com --type keyword --keyword "Example Domain"
+  $ validator-cli check db.example.com --type tcp --port 5432
+  $ validator-cli check example.com --type dns --record-type A --expect 93.184.215.14
+  $ validator-cli check example.com --type tls --min-days 30
+  $ validator-cli check https://api.example.com/health -X POST -H "Content-Type: application/json" -d '{}' --expect-status 2xx --max-response-time 500
+  `)
+  .action(async (target, options) => {
+    displayBanner();
+    
+    const { url, check } = checkFromOptions(target, options);
+    
+    const config = loadConfig(getConfigOptions());
+    const spinner = ora({text: `Running ${check.type} check of ${url}...`, color: 'magenta'}).start();
+    showCheckOutcome(spinner, url, await runCheck(url, check, config.latencySettings));
+  });
+
+program
+  .command("info")
+  .description("Show validator information")
+  .argument('[keypath]', 'Path to your private key file', './config/privateKey.txt')
+  .option("--passphrase-file <path>", "Read the key passphrase from a file instead of prompting")
+  .action(async (keypath, options) => {
+    displayBanner();
+    const keyPath = path.resolve(keypath);
+    
+    if (!fs.existsSync(keyPath)) {
+      logger.error(`Private key file not found at: ${keyPath}`);
+      process.exit(1);
+    }
+    
+    const passphrase = await getPassphrase(keyPath, options);
+    
+    try {
+      const keypair = loadPrivateKeyFromFile(keyPath, passphrase);
+      const publicKeyBase64 = naclUtil.encodeBase64(keypair.publicKey);
+      
+      // Only report the running validator if it uses this key
+      let status = {};
+      try {
+        const running = await queryControl("/status");
+        if (running && running.publicKey === publicKeyBase64) {
+          status = running;
         }
-      } catch (pingError) {
-        logger.warn(`System ping failed: ${pingError.message}`);
+      } catch (error) {
+        logger.warn(`Could not reach the running validator: ${error.message}`);
+      }
+      
+      const info = {
+        keyPath,
+        publicKey: publicKeyBase64,
+        ipAddress: null,
+        location: null,
+        validatorId: status.validatorId || null,
+        connected: Boolean(status.connected),
+        pendingPayouts: status.validatorId ? status.pendingPayouts : null,
+      };
+      
+      // Let's retrieve the IP separately
+      try {
+        const response = await axios.get("https://ipinfo.io/json");
+        info.ipAddress = response.data.ip || null;
+        info.location = `${response.data.city}, ${response.data.region}, ${response.data.country}`;
+      } catch (error) {
+        logger.warn(`Could not look up the IP address: ${error.message}`);
       }
       
-      spinner.text = 'Running DNS lookup...';
-      // Use our network module for DNS resolution
-      const startDns = Date.now();
-      await new Promise((resolve, reject) => {
-        dns.lookup(hostname, (err) => {
-          if (err) reject(err);
-          else resolve();
+      emit(info, () => {
+        logger.title("Validator Information");
+        
+        const table = new Table({
+          head: [chalk.cyanBright('Property'), chalk.cyanBright('Value')],
+          colWidths: [20, 60],
+          style: { head: [], border: [] }
         });
+        
+        table.push(
+          ['Public Key', info.publicKey],
+          ['IP Address', info.ipAddress || 'Unknown'],
+          ['Location', info.location || 'Unknown']
+        );
+        
+        if (info.validatorId) {
+          table.push(
+            ['Validator ID', info.validatorId],
+            ['Connected', info.connected ? chalk.green('Yes') : chalk.red('No')],
+            ['Pending Rewards', `${info.pendingPayouts} lamports`]
+          );
+        }
+        
+        console.log(table.toString());
+        
+        if (!info.connected) {
+          logger.log(`To start the validator: validator-cli start ${keyPath}`);
+        }
       });
-      const dnsTime = Date.now() - startDns;
-      
-      // Get status only, no latency measurement
-      spinner.text = 'Checking website status...';
-      const response = await axios.head(url, { 
-        timeout: 3000,
-        headers: { 'Cache-Control': 'no-cache' },
-        validateStatus: () => true
-      });
+    } catch (error) {
+      logger.error(`Failed to read private key: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("rewards")
+  .description("Show your validator rewards from the hub's ledger")
+  .argument('[keypath]', 'Path to your private key file', './config/privateKey.txt')
+  .option("-d, --days <days>", "Days of daily breakdown to show", "7")
+  .option("--passphrase-file <path>", "Read the key passphrase from a file instead of prompting")
+  .action(async (keypath, options) => {
+    displayBanner();
+    
+    const days = parseInt(options.days, 10) || 7;
+    const spinner = ora({text: 'Querying hub ledger...', color: 'cyan'}).start();
+    
+    let ledger;
+    let localEstimate = null;
+    try {
+      const keyPath = path.resolve(keypath);
+      if (!fs.existsSync(keyPath)) {
+        spinner.fail(`Private key file not found at: ${keyPath}`);
+        process.exit(1);
+      }
+      
+      // Prefer the running validator: it has the live connection and the local
+      // estimate. Only ask it if it uses this key, or we'd show another validator's ledger
+      const publicKeyBase64 = readPublicKey(keyPath);
+      let status = null;
+      try {
+        status = await queryControl("/status");
+      } catch (error) {
+        logger.warn(`Could not reach the running validator: ${error.message}`);
+      }
+      const sameKey = status && status.publicKey === publicKeyBase64;
+      if (status && !sameKey) {
+        spinner.stop();
+        logger.warn(`The running validator uses another key (${status.keyPath}); asking the hub directly`);
+        spinner.start();
+      }
+      const running = sameKey ? await queryControl(`/rewards?days=${days}`) : null;
       
-      spinner.succeed('Analysis complete');
+      if (running) {
+        ledger = running.ledger;
+        localEstimate = running.localEstimate;
+      } else {
+        spinner.stop();
+        const keypair = loadPrivateKeyFromFile(keyPath, await getPassphrase(keyPath, options));
+        spinner.start();
+        
+        const config = loadConfig(getConfigOptions());
+        ledger = await fetchRewards(keypair, getHubServers(config)[0], days);
+      }
+      
+      spinner.succeed(chalk.greenBright('Ledger received from hub'));
+    } catch (error) {
+      spinner.fail(`Could not query the hub ledger: ${error.message}`);
+      process.exit(1);
+    }
+    
+    emit({ ...ledger, localEstimate }, () => {
+      logger.title("Validator Rewards");
       
-      // Create a table with OS-specific info, showing only network metrics
       const table = new Table({
-        head: [chalk.hex('#FF00FF')('Component'), chalk.hex('#FF00FF')('Time (ms)'), chalk.hex('#FF00FF')('Notes')],
-        colWidths: [25, 15, 40],
+        head: [chalk.cyanBright('Property'), chalk.cyanBright('Value')],
+        colWidths: [20, 60],
         style: { head: [], border: [] }
       });
       
-      if (networkLatency !== null) {
-        table.push([
-          'Network Ping', 
-          chalk.hex('#00FFFF')(networkLatency), 
-          `From ${isWindows ? 'Windows' : 'system'} ping command`
-        ]);
+      table.push(
+        ['Validator ID', ledger.validatorId],
+        ['Pending Rewards', `${ledger.pendingPayouts} lamports`],
+        ['Total Earned', `${ledger.totalEarned} lamports`],
+        ['Estimated USD', `$${(ledger.pendingPayouts * 0.000001).toFixed(6)}`]
+      );
+      
+      console.log(table.toString());
+      
+      if (ledger.daily.length > 0) {
+        logger.title("Daily Breakdown");
+        
+        const dailyTable = new Table({
+          head: [chalk.cyanBright('Date (UTC)'), chalk.cyanBright('Validations'), chalk.cyanBright('Rewards')],
+          colWidths: [20, 15, 25],
+          style: { head: [], border: [] }
+        });
+        
+        ledger.daily.forEach((day) => {
+          dailyTable.push([day.date, day.validations, `${day.amount} lamports`]);
+        });
+        
+        console.log(dailyTable.toString());
       } else {
-        table.push([
-          'Network Ping', 
-          'N/A', 
-          'Could not measure network ping'
-        ]);
+        logger.log(`No rewards credited in the last ${days} days`);
       }
+    });
+    
+    // Compare against what the running validator has counted locally
+    if (localEstimate !== null && localEstimate !== ledger.pendingPayouts) {
+      const difference = localEstimate - ledger.pendingPayouts;
+      logger.warn(`Local estimate (${localEstimate} lamports) differs from the hub ledger by ${difference > 0 ? '+' : ''}${difference} lamports`);
+      logger.log("The hub's figures are authoritative; unanswered or rejected validations are not credited.");
+    }
+  });
+
+program
+  .command("status")
+  .description("Check the current status of the validator")
+  .action(async () => {
+    displayBanner();
+    
+    let status;
+    try {
+      status = await queryControl("/status");
+    } catch (error) {
+      logger.error(`Could not reach the running validator: ${error.message}`);
+    }
+    
+    // Nothing running: report this process's idle state
+    if (!status) {
+      status = getValidatorStatus();
+    }
+    
+    // Scripts can tell from the exit status whether the validator is up and connected
+    if (!status.connected) {
+      process.exitCode = 1;
+    }
+    
+    emit(status, () => {
+      const table = new Table({
+        head: [chalk.cyanBright('Property'), chalk.cyanBright('Value')],
+        colWidths: [20, 60],
+        style: { head: [], border: [] }
+      });
       
-      table.push(['DNS Resolution', dnsTime, 'Time to resolve hostname to IP']);
+      table.push(
+        ['Connected', status.connected ? chalk.green('Yes') : chalk.red('No')],
+        ['Validator ID', status.validatorId || 'Not registered'],
+        ['Location', status.location],
+        ['IP Address', status.ipAddress],
+        ['Pending Rewards', status.pendingPayouts ? `${status.pendingPayouts} lamports` : 'Not available']
+      );
+      
+      if (status.pid) {
+        const { connection } = status;
+        let connectionText = `${connection.state} since ${new Date(connection.since).toLocaleTimeString()}`;
+        if (connection.state === 'reconnecting') {
+          connectionText += `, attempt ${connection.attempt} at ${new Date(connection.nextRetryAt).toLocaleTimeString()}`;
+        }
+        if (connection.reason && connection.state !== 'connected') {
+          connectionText += ` (${connection.reason})`;
+        }
+        
+        table.push(
+          ['Hub Server', status.hubServer],
+          ['Connection', connectionText],
+          ['Process ID', status.pid],
+          ['Started', new Date(status.startedAt).toLocaleString()],
+          ['Last Validation', status.lastPingTime ? new Date(status.lastPingTime).toLocaleString() : 'N/A']
+        );
+      }
       
       console.log(table.toString());
       
-      // Show response details
-      logger.log(`Response Status: ${response.status}`);
+      if (!status.pid) {
+        logger.log("No validator is running.");
+        logger.log("Start it with: validator-cli start <keypath>");
+      } else if (!status.connected) {
+        logger.warn("Validator is running but not connected to the hub.");
+      }
+    });
+  });
+
+program
+  .command("debug-ping <url>")
+  .description("Perform a detailed latency analysis of a URL")
+  .action(async (url) => {
+    displayBanner();
+    
+    logger.title("Detailed Latency Analysis");
+    logger.ping(`Target URL: ${chalk.hex('#00FFFF')(url)}`);
+    
+    const spinner = ora({text: 'Analyzing latency components...', color: 'magenta'}).start();
+    
+    try {
+      const urlObj = new URL(url);
+      const { latencySettings } = loadConfig(getConfigOptions());
+      
+      spinner.text = 'Measuring network latency...';
+      const ping = await probeLatency(urlObj.hostname, {
+        count: 4,
+        timeout: latencySettings.timeout,
+        port: network.portFor(urlObj),
+      });
+      const networkLatency = ping.avg;
       
-      // Give a clear recommendation
-      logger.title("Recommendation");
+      // Time every phase of the request and of each redirect before it
+      spinner.text = 'Timing the request...';
+      let probe = null;
+      let hops;
+      try {
+        probe = await network.probeHttp(url, {
+          timeout: latencySettings.timeout,
+          maxRedirects: latencySettings.maxRedirects,
+          disableCache: latencySettings.disableCache,
+        });
+        hops = probe.hops;
+      } catch (error) {
+        hops = (error.hops || []).filter((hop) => hop.status !== null);
+        spinner.warn(`Request failed: ${error.message}`);
+      }
       
-      if (networkLatency !== null) {
-        logger.network(`Use network ping (${networkLatency}ms) as your reported latency`);
-        logger.log("Network ping is the most accurate measure of network latency");
+      if (probe) {
+        spinner.succeed('Analysis complete');
       } else {
-        logger.log("Network ping could not be determined");
-        logger.log("Try enabling ICMP on your system or target server");
+        process.exitCode = 1;
       }
       
-      // Configuration suggestion
-      logger.log("\nHere's the optimal config for your environment:");
-      console.log(JSON.stringify({
-        latencySettings: {
-          timeout: 3000,
-          preferNetworkPing: true
-        }
-      }, null, 2));
+      const analysis = {
+        url,
+        ping,
+        request: probe
+          ? { status: probe.status, time: probe.time, finalUrl: probe.finalUrl }
+          : { status: null, time: null, finalUrl: null },
+        hops,
+        recommendedSettings: {
+          latencySettings: {
+            timeout: 3000,
+            preferNetworkPing: networkLatency !== null
+          }
+        },
+      };
       
+      emit(analysis, () => {
+        const table = new Table({
+          head: [chalk.hex('#FF00FF')('Component'), chalk.hex('#FF00FF')('Time (ms)'), chalk.hex('#FF00FF')('Notes')],
+          colWidths: [25, 15, 40],
+          style: { head: [], border: [] }
+        });
+        
+        if (networkLatency !== null) {
+          const source = ping.method === 'icmp' ? 'ICMP echo' : `TCP connect to port ${ping.port} (no ICMP)`;
+          table.push(['Network Ping', chalk.hex('#00FFFF')(networkLatency), `Average of ${ping.received}, ${source}`]);
+          table.push(['Min / Max', `${ping.min} / ${ping.max}`, 'Fastest and slowest round trip']);
+          table.push(['Jitter', ping.jitter, 'Mean change between round trips']);
+        } else {
+          table.push(['Network Ping', 'N/A', 'Could not measure network ping']);
+        }
+        table.push(['Packet Loss', `${Math.round(ping.loss * 100)}%`, `${ping.received} of ${ping.sent} answered`]);
+        if (probe) {
+          table.push(['Full Request', probe.time, `${hops.length} request(s), ${hops.length - 1} redirect(s)`]);
+        }
+        
+        console.log(table.toString());
+        
+        if (hops.length > 0) {
+          logger.title("Request Waterfall");
+          console.log(renderWaterfall(hops));
+        }
+        
+        if (probe) {
+          logger.log(`Response Status: ${probe.status}`);
+        }
+        
+        // Give a clear recommendation
+        logger.title("Recommendation");
+        
+        if (networkLatency !== null) {
+          logger.network(`Use network ping (${networkLatency}ms) as your reported latency`);
+          logger.log("Network ping is the most accurate measure of network latency");
+        } else {
+          logger.log("Network ping could not be determined");
+          logger.log("Neither ICMP nor a TCP connect to the site's port got an answer");
+        }
+        
+        // Configuration suggestion
+        logger.log("\nHere's the optimal config for your environment:");
+        console.log(JSON.stringify(analysis.recommendedSettings, null, 2));
+      });
     } catch (error) {
       spinner.fail('Analysis failed');
       logger.error(`Error during analysis: ${error.message}`);
+      process.exitCode = 1;
     }
   });
 
-program.parse(process.argv);
+/**
+ * Add the options that say which hub's admin API to talk to
+ * @param {object} command - Commander command
+ * @returns {object} - The command
+ */
+function addAdminOptions(command) {
+  return command
+    .option("--admin-url <url>", "Hub admin API URL (default: $HUB_ADMIN_URL, or the configured hub server)")
+    .option("--token <token>", "Hub admin token (default: $HUB_ADMIN_TOKEN)");
+}
+
+/**
+ * Admin API client for the hub the options point at, exiting without a token
+ * @param {object} options - Parsed command options
+ * @returns {object} - Admin client
+ */
+function getAdminClient(options) {
+  const token = options.token || process.env.HUB_ADMIN_TOKEN;
+  if (!token) {
+    logger.error("The hub admin API needs a token: use --token or set HUB_ADMIN_TOKEN");
+    process.exit(1);
+  }
+  
+  let url = options.adminUrl || process.env.HUB_ADMIN_URL;
+  if (!url) {
+    const config = loadConfig(getConfigOptions());
+    url = adminUrlFor(getHubServers(config)[0]);
+  }
+  return createAdminClient({ url, token });
+}
+
+/**
+ * Find a monitored website by its ID or URL
+ * @param {object} client - Admin client
+ * @param {string} website - Website ID or URL
+ * @returns {Promise<object>} - Website; rejects when there is no single match
+ */
+async function findHubWebsite(client, website) {
+  const websites = await client.listWebsites();
+  const byId = websites.find((candidate) => candidate.id === website);
+  if (byId) {
+    return byId;
+  }
+  
+  const byUrl = websites.filter((candidate) => candidate.url === website);
+  if (byUrl.length === 0) {
+    throw new Error(`The hub doesn't monitor ${website}`);
+  }
+  if (byUrl.length > 1) {
+    throw new Error(`${website} is monitored with several checks; pick one by ID: ${byUrl.map((candidate) => candidate.id).join(", ")}`);
+  }
+  return byUrl[0];
+}
+
+/**
+ * Describe a website's check in a few words
+ * @param {object} website - Website from the admin API
+ * @returns {string}
+ */
+function describeWebsiteCheck(website) {
+  if (!website.check) {
+    return website.expectedStatus ? `http, status ${website.expectedStatus}` : "http";
+  }
+  const { type, ...settings } = website.check;
+  const details = Object.entries(settings).map(([key, value]) => `${key}=${typeof value === "object" ? JSON.stringify(value) : value}`);
+  return details.length > 0 ? `${type} (${details.join(", ")})` : type;
+}
+
+// Colors of tick statuses
+const TICK_COLORS = { Good: chalk.green, Degraded: chalk.yellow, Bad: chalk.red };
+
+const hub = program
+  .command("hub")
+  .description("Run a hub, or manage a running one through its admin API");
+
+hub
+  .command("start")
+  .description("Run the hub server in the foreground")
+  .option("-p, --port <port>", "Port to listen on, overriding $PORT and the hub config", wholeNumber(1))
+  .option("--hub-config <path>", "Hub config file (default: $HUB_CONFIG or config/hub.json)")
+  .action(async (options) => {
+    const { logLevel, logFormat, logFile, banner } = program.opts();
+    
+    let hubServer;
+    try {
+      hubServer = await startHub({
+        configPath: options.hubConfig ? path.resolve(options.hubConfig) : undefined,
+        port: options.port,
+        logging: { level: logLevel, format: logFormat, file: logFile ? path.resolve(logFile) : undefined },
+        banner,
+      });
+    } catch (error) {
+      logger.error(error.message);
+      process.exit(1);
+    }
+    
+    const shutdown = async (signal) => {
+      logger.log(`Received ${signal}, stopping hub...`);
+      await hubServer.close();
+      logger.success("Hub stopped");
+      process.exit(0);
+    };
+    ["SIGINT", "SIGTERM"].forEach((signal) => process.once(signal, () => shutdown(signal)));
+  });
+
+addAdminOptions(hub
+  .command("validators")
+  .description("List the validators that have signed up with a running hub"))
+  .action(async (options) => {
+    displayBanner();
+    
+    const client = getAdminClient(options);
+    let validators;
+    try {
+      validators = await client.listValidators();
+    } catch (error) {
+      logger.error(`Could not list validators: ${error.message}`);
+      process.exit(1);
+    }
+    
+    emit(validators, () => {
+      if (validators.length === 0) {
+        logger.log("No validator has signed up with this hub yet");
+        return;
+      }
+      
+      const table = new Table({
+        head: ['Validator ID', 'Status', 'Location', 'IP Address', 'Pending Rewards', 'Missed Checks', 'Last Seen'].map((title) => chalk.cyanBright(title)),
+        style: { head: [], border: [] }
+      });
+      
+      validators.forEach((validator) => {
+        let state = validator.session ? chalk.green('online') : chalk.gray('offline');
+        if (validator.rotatedTo) {
+          state = chalk.yellow('rotated');
+        }
+        table.push([
+          validator.validatorId,
+          state,
+          validator.location || 'Unknown',
+          validator.ip || 'Unknown',
+          `${validator.pendingPayouts || 0} lamports`,
+          validator.session ? validator.session.missedChecks : '-',
+          validator.lastSeen ? new Date(validator.lastSeen).toLocaleString() : 'N/A'
+        ]);
+      });
+      
+      console.log(table.toString());
+    });
+  });
+
+const hubWebsites = hub
+  .command("websites")
+  .description("Manage the websites a running hub monitors");
+
+addAdminOptions(hubWebsites
+  .command("list")
+  .description("List monitored websites with their uptime over the last 24 hours"))
+  .action(async (options) => {
+    displayBanner();
+    
+    const client = getAdminClient(options);
+    let websites;
+    try {
+      websites = await client.listWebsites();
+      websites = await Promise.all(websites.map(async (website) => ({ ...website, uptime: await client.getUptime(website.id) })));
+    } catch (error) {
+      logger.error(`Could not list websites: ${error.message}`);
+      process.exit(1);
+    }
+    
+    emit(websites, () => {
+      if (websites.length === 0) {
+        logger.log("The hub doesn't monitor any websites");
+        return;
+      }
+      
+      const table = new Table({
+        head: ['Website ID', 'URL', 'Check', 'Interval', 'Uptime (24h)', 'Results'].map((title) => chalk.cyanBright(title)),
+        style: { head: [], border: [] }
+      });
+      
+      websites.forEach((website) => {
+        const { uptime, total } = website.uptime;
+        const color = uptime === null ? chalk.gray : uptime >= 99 ? chalk.green : uptime >= 90 ? chalk.yellow : chalk.red;
+        table.push([
+          website.id,
+          website.url,
+          describeWebsiteCheck(website),
+          `${website.interval / 1000}s`,
+          color(uptime === null ? 'N/A' : `${uptime}%`),
+          total
+        ]);
+      });
+      
+      console.log(table.toString());
+    });
+  });
+
+addAdminOptions(addCheckOptions(hubWebsites
+  .command("add <target>")
+  .description("Start monitoring a website"))
+  .option("-i, --interval <ms>", "Time between checks", wholeNumber(1)))
+  .addHelpText('after', `
+Check options are the same as for the check command. Examples:
+  $ validator-cli hub websites add https://example.com --interval 30000
+  $ validator-cli hub websites add example.com --type keyword --keyword "Example Domain"
+  $ validator-cli hub websites add db.example.com --type tcp --port 5432
+  `)
+  .action(async (target, options) => {
+    displayBanner();
+    
+    const { url, check } = checkFromOptions(target, options);
+    const client = getAdminClient(options);
+    
+    let website;
+    try {
+      website = await client.addWebsite({ url, check, ...(options.interval ? { interval: options.interval } : {}) });
+    } catch (error) {
+      logger.error(`Could not add ${url}: ${error.message}`);
+      process.exit(1);
+    }
+    
+    emit(website, () => {
+      logger.success(`The hub now monitors ${website.url} (${describeWebsiteCheck(website)}) every ${website.interval / 1000}s as ${website.id}`);
+    });
+  });
+
+addAdminOptions(hubWebsites
+  .command("remove <website>")
+  .description("Stop monitoring a website, given its ID or URL"))
+  .action(async (website, options) => {
+    displayBanner();
+    
+    const client = getAdminClient(options);
+    let removed;
+    try {
+      removed = await findHubWebsite(client, website);
+      await client.removeWebsite(removed.id);
+    } catch (error) {
+      logger.error(`Could not remove ${website}: ${error.message}`);
+      process.exit(1);
+    }
+    
+    emit({ removed: true, ...removed }, () => {
+      logger.success(`The hub no longer monitors ${removed.url} (${removed.id})`);
+      logger.log("Its tick history is kept. It stays removed when the hub restarts, even if hub.json lists it, until you add it again with hub websites add.");
+    });
+  });
+
+addAdminOptions(hub
+  .command("ticks <website>")
+  .description("Show the latest validation results for a website, given its ID or URL"))
+  .option("-n, --limit <count>", "Results to show", wholeNumber(1), 20)
+  .option("--since <time>", "Only results since this ISO time; also the start of the uptime figure")
+  .addOption(new Option("--status <status>", "Only results with this status").choices(["Good", "Degraded", "Bad"]))
+  .action(async (website, options) => {
+    displayBanner();
+    
+    const client = getAdminClient(options);
+    let target;
+    let ticks;
+    let uptime;
+    try {
+      target = await findHubWebsite(client, website);
+      const range = options.since ? { since: options.since } : {};
+      ticks = await client.getTicks(target.id, { ...range, limit: options.limit, status: options.status });
+      uptime = await client.getUptime(target.id, range);
+    } catch (error) {
+      logger.error(`Could not get results for ${website}: ${error.message}`);
+      process.exit(1);
+    }
+    
+    emit({ website: target, uptime, ticks }, () => {
+      logger.title(`Results for ${target.url}`);
+      
+      if (ticks.length === 0) {
+        logger.log("No results recorded yet");
+      } else {
+        const table = new Table({
+          head: ['Time', 'Validator', 'Status', 'Code', 'Latency', 'Location'].map((title) => chalk.cyanBright(title)),
+          style: { head: [], border: [] }
+        });
+        
+        ticks.forEach((tick) => {
+          table.push([
+            new Date(tick.timestamp).toLocaleString(),
+            tick.validatorId,
+            (TICK_COLORS[tick.status] || chalk.white)(tick.status),
+            tick.statusCode || '-',
+            tick.status === 'Bad' ? '-' : `${tick.latency}ms`,
+            tick.location || 'Unknown'
+          ]);
+        });
+        
+        console.log(table.toString());
+      }
+      
+      const period = options.since ? `since ${new Date(uptime.since).toLocaleString()}` : 'over the last 24 hours';
+      if (uptime.total > 0) {
+        logger.data(`Uptime ${period}: ${uptime.uptime}% of ${uptime.total} results (${uptime.good} Good, ${uptime.degraded} Degraded, ${uptime.bad} Bad)`);
+      } else {
+        logger.data(`No results ${period}`);
+      }
+    });
+  });
+
+/**
+ * Before the global -o/--output format flag, generate-keys and keys import
+ * took -o/--output <directory>. Rewrite that spelling to --out-dir so old
+ * scripts keep working; a value that names an output format stays a format
+ * @param {string[]} argv - process.argv
+ * @returns {object} - { argv, remapped } with remapped true if anything was rewritten
+ */
+function remapDeprecatedOutputDir(argv) {
+  const args = argv.slice(2);
+  const commandIndex = args.findIndex((arg, index) => arg === "generate-keys" || (arg === "import" && args[index - 1] === "keys"));
+  if (commandIndex === -1) {
+    return { argv, remapped: false };
+  }
+  
+  let remapped = false;
+  const rewritten = args.slice(0, commandIndex + 1);
+  for (let index = commandIndex + 1; index < args.length; index++) {
+    const arg = args[index];
+    if (arg === "--") {
+      rewritten.push(...args.slice(index));
+      break;
+    }
+    const inline = /^--output=(.*)$/.exec(arg);
+    if (inline && !OUTPUT_FORMATS.includes(inline[1])) {
+      rewritten.push(`--out-dir=${inline[1]}`);
+      remapped = true;
+    } else if ((arg === "-o" || arg === "--output") && index + 1 < args.length && !OUTPUT_FORMATS.includes(args[index + 1])) {
+      rewritten.push("--out-dir", args[index + 1]);
+      index += 1;
+      remapped = true;
+    } else {
+      rewritten.push(arg);
+    }
+  }
+  return { argv: [...argv.slice(0, 2), ...rewritten], remapped };
+}
+
+const { argv, remapped: outputDirRemapped } = remapDeprecatedOutputDir(process.argv);
+if (outputDirRemapped) {
+  program.hook("preAction", () => {
+    logger.warn("-o/--output <directory> is deprecated for generate-keys and keys import; use --out-dir <directory>");
+  });
+}
+
+program.parse(argv);
 
 // Show help if no command provided or if -help flag is used
 if (!process.argv.slice(2).length || program.opts().help) {
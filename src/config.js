@@ -0,0 +1,681 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const { getUserConfigPath } = require("./paths");
+
+// Project config file, relative to the working directory
+const DEFAULT_PROJECT_CONFIG = path.join("config", "config.json");
+
+/**
+ * Validator config schema. Each key lists its type, default and, where it
+ * matters, the range or format it must satisfy
+ */
+const CONFIG_SCHEMA = {
+  hubServer: {
+    type: "string",
+    format: "ws-url",
+    default: "ws://localhost:8081",
+    description: "WebSocket URL of the hub",
+  },
+  hubServers: {
+    type: "array",
+    items: { type: "string", format: "ws-url" },
+    default: [],
+    description: "Hubs to fail over across, in order of preference; replaces hubServer when set",
+  },
+  pingInterval: {
+    type: "integer",
+    min: 1000,
+    default: 10000,
+    description: "How often to ping the hub to keep the connection alive and refresh the status line, in ms",
+  },
+  targetURL: {
+    type: "string",
+    format: "http-url",
+    default: null,
+    description: "URL checked once at startup to confirm this machine can reach the internet",
+  },
+  reconnect: {
+    type: "object",
+    description: "How the validator reconnects after losing its hub",
+    properties: {
+      initialDelay: {
+        type: "integer",
+        min: 100,
+        default: 1000,
+        description: "Delay before each attempt of the first pass over the hubs, in ms",
+      },
+      maxDelay: {
+        type: "integer",
+        min: 100,
+        default: 60000,
+        description: "Longest delay between attempts, in ms",
+      },
+      multiplier: {
+        type: "number",
+        min: 1,
+        default: 2,
+        description: "Delay growth after each pass over the hubs",
+      },
+      jitter: {
+        type: "number",
+        min: 0,
+        max: 1,
+        default: 0.2,
+        description: "Random spread of each delay, as a fraction of it",
+      },
+      maxAttempts: {
+        type: "integer",
+        min: 0,
+        default: 0,
+        description: "Give up and exit after this many attempts; 0 retries forever",
+      },
+    },
+  },
+  latencySettings: {
+    type: "object",
+    description: "How websites are checked",
+    properties: {
+      timeout: {
+        type: "integer",
+        min: 1,
+        default: 3000,
+        description: "Give up on a check after this many ms",
+      },
+      maxRedirects: {
+        type: "integer",
+        min: 0,
+        default: 5,
+        description: "Redirects to follow; with 0 the redirect status itself is reported",
+      },
+      disableCache: {
+        type: "boolean",
+        default: true,
+        description: "Send no-cache headers so intermediaries don't answer for the site",
+      },
+      useHeadRequest: {
+        type: "boolean",
+        default: true,
+        description: "Check with HEAD, falling back to GET; false always uses GET",
+      },
+      preferNetworkPing: {
+        type: "boolean",
+        default: true,
+        description: "Report the system ping time as latency when it is available",
+      },
+      forceLowLatency: {
+        type: "boolean",
+        default: false,
+        description: "Skip system ping and DNS timing and report the TCP connect time",
+      },
+    },
+  },
+  metrics: {
+    type: "object",
+    description: "Local HTTP endpoint for Prometheus to scrape",
+    properties: {
+      enabled: {
+        type: "boolean",
+        default: false,
+        description: "Serve metrics at http://host:port/metrics",
+      },
+      host: {
+        type: "string",
+        default: "127.0.0.1",
+        description: "Address the metrics endpoint listens on",
+      },
+      port: {
+        type: "integer",
+        min: 1,
+        max: 65535,
+        default: 9464,
+        description: "Port the metrics endpoint listens on",
+      },
+    },
+  },
+  logging: {
+    type: "object",
+    description: "What the validator logs and where",
+    properties: {
+      level: {
+        type: "string",
+        enum: logger.LEVELS,
+        default: "info",
+        description: "Lowest level logged: debug, info, warn, error or silent",
+      },
+      format: {
+        type: "string",
+        enum: logger.LOG_FORMATS,
+        default: "pretty",
+        description: "pretty for people, json for one JSON object per line",
+      },
+      file: {
+        type: "string",
+        default: null,
+        description: "Also write the log to this file",
+      },
+      maxSize: {
+        type: "integer",
+        min: 0,
+        default: 10 * 1024 * 1024,
+        description: "Rotate the log file before it grows past this many bytes; 0 for no limit",
+      },
+      maxFiles: {
+        type: "integer",
+        min: 0,
+        default: 5,
+        description: "Rotated log files to keep, as file.1 (newest) to file.N",
+      },
+      rotate: {
+        type: "string",
+        enum: logger.ROTATIONS,
+        default: "none",
+        description: "Also rotate the log file every hour or day: none, hourly or daily",
+      },
+    },
+  },
+};
+
+/**
+ * Describe a JSON value's type the way the schema names types
+ * @param {*} value - Value
+ * @returns {string} - Type name
+ */
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+/**
+ * Check a value against a URL format
+ * @param {string} value - Value to check
+ * @param {string} format - "ws-url" or "http-url"
+ * @returns {boolean} - True if the value is a URL of that kind
+ */
+const matchesFormat = (value, format) => {
+  const protocols = format === "ws-url" ? ["ws:", "wss:"] : ["http:", "https:"];
+  try {
+    return protocols.includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check one value against a non-object schema entry
+ * @param {*} value - Value to check
+ * @param {object} spec - Schema entry
+ * @param {string} name - Key path, for messages
+ * @returns {string|null} - The problem, or null if the value is fine
+ */
+const checkValue = (value, spec, name) => {
+  const actual = typeOf(value);
+  const typeMatches = spec.type === actual || (spec.type === "number" && actual === "integer");
+  if (!typeMatches) {
+    return `"${name}" must be ${spec.type === "integer" || spec.type === "array" ? "an" : "a"} ${spec.type}, got ${actual} ${JSON.stringify(value)}`;
+  }
+
+  if (spec.items) {
+    const problem = value.map((item, index) => checkValue(item, spec.items, `${name}[${index}]`)).find(Boolean);
+    return problem || null;
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    return `"${name}" must be at least ${spec.min}, got ${value}`;
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    return `"${name}" must be at most ${spec.max}, got ${value}`;
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    return `"${name}" must be one of ${spec.enum.join(", ")}, got ${JSON.stringify(value)}`;
+  }
+  if (spec.format && !matchesFormat(value, spec.format)) {
+    const expected = spec.format === "ws-url" ? "a ws:// or wss:// URL" : "an http:// or https:// URL";
+    return `"${name}" must be ${expected}, got ${JSON.stringify(value)}`;
+  }
+  return null;
+};
+
+/**
+ * Validate one object against its schema properties, collecting every problem
+ * @param {object} values - Values to check
+ * @param {object} properties - Schema properties
+ * @param {string} prefix - Key path of the object, for messages
+ * @param {string[]} problems - Collected problems
+ * @param {boolean} withDefaults - Fill in defaults for missing keys; false for a partial layer
+ * @returns {object} - Valid values, with defaults filled in if asked for
+ */
+const validateObject = (values, properties, prefix, problems, withDefaults) => {
+  const result = {};
+
+  Object.keys(values).forEach((key) => {
+    if (!properties[key]) {
+      const suggestion = Object.keys(properties).find((name) => name.toLowerCase() === key.toLowerCase());
+      problems.push(`unknown key "${prefix}${key}"${suggestion ? ` (did you mean "${prefix}${suggestion}"?)` : ""}`);
+    }
+  });
+
+  Object.entries(properties).forEach(([key, spec]) => {
+    const name = `${prefix}${key}`;
+    const value = values[key];
+
+    if (value === undefined || (value === null && spec.default === null)) {
+      if (!withDefaults) {
+        if (value === null) result[key] = null;
+        return;
+      }
+      result[key] = spec.type === "object"
+        ? validateObject({}, spec.properties, `${name}.`, problems, true)
+        : spec.default;
+      return;
+    }
+
+    if (spec.type === "object" && typeOf(value) === "object") {
+      result[key] = validateObject(value, spec.properties, `${name}.`, problems, withDefaults);
+      return;
+    }
+
+    const problem = checkValue(value, spec, name);
+    if (problem) {
+      problems.push(problem);
+      return;
+    }
+    result[key] = value;
+  });
+
+  return result;
+};
+
+/**
+ * Validate a config object
+ * @param {object} config - Parsed config
+ * @param {string} source - Where the config came from, for error messages
+ * @param {boolean} withDefaults - Fill in defaults; false to check a partial layer
+ * @returns {object} - Valid config
+ */
+const validateConfig = (config, source = "config", withDefaults = true) => {
+  if (typeOf(config) !== "object") {
+    throw new Error(`Invalid ${source}: expected a JSON object, got ${typeOf(config)}`);
+  }
+
+  const problems = [];
+  const result = validateObject(config, CONFIG_SCHEMA, "", problems, withDefaults);
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${source}:\n${problems.map((problem) => `  - ${problem}`).join("\n")}`);
+  }
+  return result;
+};
+
+/**
+ * List the dotted key paths of every setting, e.g. "latencySettings.timeout"
+ * @param {object} properties - Schema properties
+ * @param {string} prefix - Key path of the object
+ * @returns {string[]} - Key paths
+ */
+const listKeys = (properties = CONFIG_SCHEMA, prefix = "") => {
+  return Object.entries(properties).flatMap(([key, spec]) => (
+    spec.type === "object" ? listKeys(spec.properties, `${prefix}${key}.`) : [`${prefix}${key}`]
+  ));
+};
+
+/**
+ * Look up the schema entry of a key path
+ * @param {string} keyPath - Dotted key path
+ * @returns {object|null} - Schema entry, or null for unknown keys
+ */
+const getSpec = (keyPath) => {
+  return keyPath.split(".").reduce((spec, key) => {
+    const properties = spec ? spec.properties : null;
+    return properties && properties[key] ? properties[key] : null;
+  }, { properties: CONFIG_SCHEMA });
+};
+
+/**
+ * Read a dotted key path from an object
+ * @param {object} values - Object to read
+ * @param {string} keyPath - Dotted key path
+ * @returns {*} - Value, or undefined if missing
+ */
+const getPath = (values, keyPath) => {
+  return keyPath.split(".").reduce((value, key) => (value == null ? undefined : value[key]), values);
+};
+
+/**
+ * Set a dotted key path on an object, creating intermediate objects
+ * @param {object} values - Object to change
+ * @param {string} keyPath - Dotted key path
+ * @param {*} value - Value to set
+ * @returns {object} - The same object
+ */
+const setPath = (values, keyPath, value) => {
+  const keys = keyPath.split(".");
+  const parent = keys.slice(0, -1).reduce((target, key) => {
+    if (typeOf(target[key]) !== "object") {
+      target[key] = {};
+    }
+    return target[key];
+  }, values);
+  parent[keys[keys.length - 1]] = value;
+  return values;
+};
+
+/**
+ * Environment variable that overrides a setting: hubServer is
+ * VALIDATOR_HUB_SERVER, latencySettings.timeout is VALIDATOR_LATENCY_SETTINGS_TIMEOUT
+ * @param {string} keyPath - Dotted key path
+ * @returns {string} - Variable name
+ */
+const envVarFor = (keyPath) => {
+  const name = keyPath.split(".").map((key) => key.replace(/([a-z0-9])([A-Z])/g, "$1_$2")).join("_");
+  return `VALIDATOR_${name.toUpperCase()}`;
+};
+
+/**
+ * Turn a setting given as text (env var, flag, `config set`) into a checked value
+ * @param {string} keyPath - Dotted key path
+ * @param {string} raw - Text value
+ * @param {string} source - Where the value came from, for error messages
+ * @returns {object} - Partial config holding just that value
+ */
+const parseSetting = (keyPath, raw, source) => {
+  const spec = getSpec(keyPath);
+  if (!spec || spec.type === "object") {
+    throw new Error(`Unknown setting "${keyPath}" in ${source}. Settings: ${listKeys().join(", ")}`);
+  }
+
+  let value = raw;
+  if (spec.type === "integer" && /^-?\d+$/.test(raw.trim())) {
+    value = parseInt(raw, 10);
+  } else if (spec.type === "number" && raw.trim() !== "" && !Number.isNaN(Number(raw))) {
+    value = Number(raw);
+  } else if (spec.type === "array") {
+    // Comma separated, e.g. VALIDATOR_HUB_SERVERS=wss://a,wss://b
+    value = raw.split(",").map((item) => item.trim()).filter(Boolean);
+  } else if (spec.type === "boolean" && ["true", "false", "1", "0"].includes(raw.trim().toLowerCase())) {
+    value = ["true", "1"].includes(raw.trim().toLowerCase());
+  } else if (raw === "" && spec.default === null) {
+    value = null;
+  }
+
+  return validateConfig(setPath({}, keyPath, value), source, false);
+};
+
+/**
+ * Merge a partial config into a complete one, noting where each value came from
+ * @param {object} config - Config to merge into
+ * @param {object} layer - Partial config
+ * @param {string} source - Where the layer came from
+ * @param {object} origins - Map of key path to source, updated in place
+ * @returns {object} - Merged config
+ */
+const mergeLayer = (config, layer, source, origins) => {
+  listKeys().forEach((keyPath) => {
+    const value = getPath(layer, keyPath);
+    if (value !== undefined) {
+      setPath(config, keyPath, value);
+      origins[keyPath] = source;
+    }
+  });
+  return config;
+};
+
+/**
+ * Read a config file into its base settings and named profiles
+ * @param {string} filePath - Config file path
+ * @returns {object} - { settings, profiles } as written, without validation
+ */
+const readConfigFile = (filePath) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Cannot read ${filePath}: ${error.message}`);
+  }
+  if (typeOf(parsed) !== "object") {
+    throw new Error(`Invalid ${filePath}: expected a JSON object, got ${typeOf(parsed)}`);
+  }
+
+  const { profiles = {}, ...settings } = parsed;
+  if (typeOf(profiles) !== "object") {
+    throw new Error(`Invalid ${filePath}: "profiles" must be an object of named configs`);
+  }
+  return { settings, profiles };
+};
+
+/**
+ * Work out which files make up the config
+ * @param {object} options - { configPath } from the command line
+ * @returns {object} - { user, project } absolute file paths
+ */
+const getConfigFiles = (options = {}) => ({
+  user: getUserConfigPath(),
+  project: path.resolve(options.configPath || process.env.CONFIG_PATH || DEFAULT_PROJECT_CONFIG),
+});
+
+/**
+ * Build the effective config from, lowest precedence first: built-in defaults,
+ * the user config file, the project config file, VALIDATOR_* environment
+ * variables and command line flags. A profile's section of each file is applied
+ * on top of that file's own settings
+ * @param {object} options - Config options
+ * @param {string} options.configPath - Project config file, instead of ./config/config.json
+ * @param {string} options.profile - Profile name, instead of $VALIDATOR_PROFILE
+ * @param {object} options.overrides - Map of key path to text value from command line flags
+ * @returns {object} - { config, origins, files, profile }
+ */
+const resolveConfig = (options = {}) => {
+  const files = getConfigFiles(options);
+  const profile = options.profile || process.env.VALIDATOR_PROFILE || null;
+  const origins = {};
+  const config = mergeLayer({}, validateConfig({}), "default", origins);
+
+  if (options.configPath && !fs.existsSync(files.project)) {
+    throw new Error(`Config file not found: ${files.project}`);
+  }
+
+  let profileFound = false;
+  [files.user, files.project].forEach((filePath) => {
+    if (!fs.existsSync(filePath)) {
+      return;
+    }
+
+    const { settings, profiles } = readConfigFile(filePath);
+    mergeLayer(config, validateConfig(settings, filePath, false), filePath, origins);
+
+    if (profile && profiles[profile] !== undefined) {
+      const source = `${filePath} (profile ${profile})`;
+      mergeLayer(config, validateConfig(profiles[profile], source, false), source, origins);
+      profileFound = true;
+    }
+  });
+
+  if (profile && !profileFound) {
+    throw new Error(`Profile "${profile}" is not defined in ${files.user} or ${files.project}`);
+  }
+
+  listKeys().forEach((keyPath) => {
+    const name = envVarFor(keyPath);
+    if (process.env[name] !== undefined) {
+      mergeLayer(config, parseSetting(keyPath, process.env[name], `$${name}`), `$${name}`, origins);
+    }
+  });
+
+  Object.entries(options.overrides || {}).forEach(([keyPath, raw]) => {
+    mergeLayer(config, parseSetting(keyPath, raw, "command line"), "command line", origins);
+  });
+
+  return { config, origins, files, profile };
+};
+
+/**
+ * Change one setting in a config file, creating the file if needed
+ * @param {string} filePath - Config file to change
+ * @param {string} keyPath - Dotted key path
+ * @param {string} raw - Text value
+ * @param {string} profile - Write into this profile's section instead of the base settings
+ * @returns {*} - The value as stored
+ */
+const setConfigValue = (filePath, keyPath, raw, profile = null) => {
+  const contents = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf-8")) : {};
+  const value = getPath(parseSetting(keyPath, raw, filePath), keyPath);
+
+  setPath(contents, profile ? `profiles.${profile}.${keyPath}` : keyPath, value);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, `${JSON.stringify(contents, null, 2)}\n`);
+  fs.renameSync(tmpPath, filePath);
+  return value;
+};
+
+/**
+ * Load the effective config, exiting with the problems if it is invalid
+ * @param {object} options - Config options, see resolveConfig
+ * @returns {object} - Config object
+ */
+const loadConfig = (options = {}) => {
+  try {
+    return resolveConfig(options).config;
+  } catch (error) {
+    logger.error(`Failed to load config: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+/**
+ * List the settings that differ between two configs
+ * @param {object} before - Previous config
+ * @param {object} after - New config
+ * @returns {object[]} - [{ key, from, to }] for each changed setting
+ */
+const diffConfig = (before, after) => {
+  return listKeys()
+    .map((key) => ({ key, from: getPath(before, key), to: getPath(after, key) }))
+    .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+};
+
+/**
+ * The hubs a validator connects to, in order of preference
+ * @param {object} config - Complete config
+ * @returns {string[]} - hubServers if set, otherwise just hubServer
+ */
+const getHubServers = (config) => {
+  return config.hubServers.length > 0 ? config.hubServers : [config.hubServer];
+};
+
+/**
+ * Show how a file's text changed: the lines between the unchanged start and
+ * end, old ones prefixed with "-" and new ones with "+"
+ * @param {string} before - Previous text
+ * @param {string} after - New text
+ * @returns {string[]} - Diff lines
+ */
+const diffLines = (before, after) => {
+  const oldLines = before.split("\n");
+  const newLines = after.split("\n");
+
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start += 1;
+  }
+  let end = 0;
+  while (
+    end < oldLines.length - start && end < newLines.length - start &&
+    oldLines[oldLines.length - 1 - end] === newLines[newLines.length - 1 - end]
+  ) {
+    end += 1;
+  }
+
+  return [
+    ...oldLines.slice(start, oldLines.length - end).map((line) => `- ${line}`),
+    ...newLines.slice(start, newLines.length - end).map((line) => `+ ${line}`),
+  ];
+};
+
+/**
+ * Watch the config files of a running validator and reload on change or on
+ * request. A config that fails to load is logged with how the files changed,
+ * and the previous one stays in effect. So does one that onChange fails to
+ * apply, and the next reload tries its changes again
+ * @param {object} options - Config options, see resolveConfig
+ * @param {object} current - Config currently in effect
+ * @param {function} onChange - Called with (config, changes) after a successful reload that changed something; may return a promise
+ * @returns {object} - { reload, close }
+ */
+const watchConfig = (options, current, onChange) => {
+  const files = Object.values(getConfigFiles(options));
+  const readText = (filePath) => (fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf-8") : "");
+
+  let config = current;
+  let snapshots = new Map(files.map((filePath) => [filePath, readText(filePath)]));
+  let timer = null;
+
+  const reload = () => {
+    const texts = new Map(files.map((filePath) => [filePath, readText(filePath)]));
+
+    let next;
+    try {
+      next = resolveConfig(options).config;
+    } catch (error) {
+      logger.error(`Config change rejected, keeping the previous config: ${error.message}`);
+      texts.forEach((text, filePath) => {
+        const lines = diffLines(snapshots.get(filePath), text);
+        if (lines.length > 0) {
+          logger.log(`Changes in ${filePath}:\n${lines.join("\n")}`);
+        }
+      });
+      return;
+    }
+
+    snapshots = texts;
+    const changes = diffConfig(config, next);
+    if (changes.length === 0) {
+      return;
+    }
+
+    changes.forEach(({ key, from, to }) => {
+      logger.log(`Config: ${key} ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+    });
+    const previous = config;
+    config = next;
+
+    // A rejected reload must not become an unhandled rejection, which ends the process
+    Promise.resolve()
+      .then(() => onChange(next, changes))
+      .catch((error) => {
+        logger.error(`Could not apply the config change, keeping the previous config: ${error.message}`);
+        config = previous;
+      });
+  };
+
+  // Polling copes with editors and `config set` replacing the file, and with
+  // files that don't exist yet. Editors often write twice, so settle first
+  const onFileChange = () => {
+    clearTimeout(timer);
+    timer = setTimeout(reload, 200);
+  };
+  files.forEach((filePath) => fs.watchFile(filePath, { interval: 1000 }, onFileChange));
+
+  const close = () => {
+    clearTimeout(timer);
+    files.forEach((filePath) => fs.unwatchFile(filePath, onFileChange));
+  };
+
+  return { reload, close };
+};
+
+module.exports = {
+  CONFIG_SCHEMA,
+  validateConfig,
+  listKeys,
+  getPath,
+  envVarFor,
+  getConfigFiles,
+  resolveConfig,
+  setConfigValue,
+  loadConfig,
+  diffConfig,
+  getHubServers,
+  watchConfig,
+};
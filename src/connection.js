@@ -3,11 +3,15 @@ const nacl = require('tweetnacl');
 const naclUtil = require('tweetnacl-util');
 const axios = require('axios');
 const { randomUUID } = require('crypto');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').child('connection');
+const { signMessage, signupMessage } = require('./auth');
+const { runCheck, describeResult } = require('./checks');
+const { getHubServers } = require('./config');
+const { createReconnectPolicy } = require('./reconnect');
+const { createRegistry } = require('./metrics');
+const { SUPPORTED_VERSIONS, PROTOCOL_VERSION, CHECKS_VERSION, TO_HUB, TO_VALIDATOR, encodeMessage, decodeMessage } = require('./protocol');
+const packageJson = require('../package.json');
 const chalk = require('chalk');
-const net = require('net');
-const http = require('http');
-const https = require('https');
 
 // Connection state
 let validatorId = null;
@@ -17,131 +21,69 @@ let pendingPayouts = 0;
 let location = "Unknown";
 let ipAddress = "Unknown";
 let lastPingTime = null;
+let inFlight = 0;
+let drainWaiters = [];
+let keepaliveTimer = null;
+let activeConfig = null;
+let switchingHub = false;
+let keypair = null;
+let reconnectPolicy = null;
+let reconnectTimer = null;
+let onGiveUp = null;
+let lastError = null;
+let protocolVersion = null;
+let connectionState = { state: "idle", hubServer: null, since: null, attempt: 0, nextRetryAt: null, reason: null };
+let stateHistory = [];
 
 // Fixed value to match hub's COST_PER_VALIDATION
 const COST_PER_VALIDATION = 100;
 
-/**
- * Sign a message with the validator's keypair
- * @param {string} message - Message to sign
- * @param {object} keypair - Nacl keypair
- * @returns {string} - JSON stringified signature
- */
-const signMessage = (message, keypair) => {
-  const messageBytes = naclUtil.decodeUTF8(message);
-  const signature = nacl.sign.detached(messageBytes, keypair.secretKey);
-  return JSON.stringify(Array.from(signature));
-};
+// How long to wait for the hub to answer a query
+const QUERY_TIMEOUT = 10000;
 
-/**
- * Measure website latency more accurately using TCP connection
- * @param {string} url - URL to ping
- * @returns {Promise<{time: number, status: number}>} - Latency and status
- */
-const measureAccurateLatency = async (url) => {
-  try {
-    const urlObj = new URL(url);
-    const hostname = urlObj.hostname;
-    const port = urlObj.protocol === 'https:' ? 443 : 80;
-    
-    // First try a TCP connection for most accurate network latency
-    const tcpLatency = await getTcpLatency(hostname, port);
-    
-    // Then do a HEAD request to get status code
-    const statusCheck = await getStatusCode(url);
-    
-    return {
-      time: tcpLatency || statusCheck.time,
-      status: statusCheck.status
-    };
-  } catch (error) {
-    return { time: 0, status: 0 };
-  }
-};
+// Connection state transitions kept for `status`
+const STATE_HISTORY_LENGTH = 20;
 
-/**
- * Get TCP connection latency to server
- * @param {string} hostname - Hostname to connect to
- * @param {number} port - Port to connect to
- * @returns {Promise<number>} - TCP latency in ms
- */
-const getTcpLatency = (hostname, port) => {
-  return new Promise((resolve) => {
-    const startTime = Date.now();
-    const socket = new net.Socket();
-    
-    socket.setTimeout(2000);
-    
-    socket.on('connect', () => {
-      const latency = Date.now() - startTime;
-      socket.destroy();
-      resolve(latency);
-    });
-    
-    socket.on('timeout', () => {
-      socket.destroy();
-      resolve(null);
-    });
-    
-    socket.on('error', () => {
-      socket.destroy();
-      resolve(null);
-    });
-    
-    socket.connect(port, hostname);
-  });
-};
+// Sent with hello so the hub can tell which clients speak which versions
+const CLIENT_NAME = `${packageJson.name}/${packageJson.version}`;
+
+// Metrics served at /metrics when the metrics endpoint is enabled
+const metrics = createRegistry();
+const validationsTotal = metrics.counter({
+  name: "validator_validations_total",
+  help: "Validations handled, by check type and the status reported to the hub",
+  labels: ["check", "status"],
+});
+const checkLatency = metrics.histogram({
+  name: "validator_check_latency_seconds",
+  help: "Latency measured by checks, by check type",
+  labels: ["check"],
+});
+const reconnectsTotal = metrics.counter({
+  name: "validator_reconnects_total",
+  help: "Reconnect attempts after losing the hub",
+});
+metrics.gauge({
+  name: "validator_hub_connected",
+  help: "1 while connected to a hub, 0 otherwise",
+  collect: () => (connectionState.state === "connected" ? 1 : 0),
+});
+metrics.gauge({
+  name: "validator_in_flight_validations",
+  help: "Validations being checked right now",
+  collect: () => inFlight,
+});
+metrics.gauge({
+  name: "validator_estimated_rewards_lamports",
+  help: "Local estimate of rewards earned since startup",
+  collect: () => pendingPayouts,
+});
 
 /**
- * Get HTTP status code using HEAD request
- * @param {string} url - URL to check
- * @returns {Promise<{time: number, status: number}>} - Timing and status code
+ * Build the hello message offering every protocol version this client speaks
+ * @returns {string} - Encoded hello message
  */
-const getStatusCode = (url) => {
-  return new Promise((resolve) => {
-    const urlObj = new URL(url);
-    const startTime = Date.now();
-    
-    const options = {
-      method: 'HEAD',
-      hostname: urlObj.hostname,
-      path: urlObj.pathname + urlObj.search,
-      timeout: 3000,
-      headers: {
-        'Cache-Control': 'no-cache',
-        'Connection': 'close'
-      },
-      followRedirects: true, // Allow following redirects
-      maxRedirects: 5 // Limit the number of redirects to follow
-    };
-    
-    const protocol = urlObj.protocol === 'https:' ? https : http;
-    
-    const req = protocol.request(options, (res) => {
-      const time = Date.now() - startTime;
-      res.resume();
-      
-      // If the response is a redirect, follow it
-      if ([301, 302, 303, 307, 308].includes(res.statusCode)) {
-        const redirectUrl = new URL(res.headers.location, url);
-        return resolve(getStatusCode(redirectUrl.toString()));
-      }
-      
-      resolve({ time, status: res.statusCode });
-    });
-    
-    req.on('error', () => {
-      resolve({ time: Date.now() - startTime, status: 0 });
-    });
-    
-    req.on('timeout', () => {
-      req.destroy();
-      resolve({ time: 3000, status: 0 });
-    });
-    
-    req.end();
-  });
-};
+const helloMessage = () => encodeMessage(TO_HUB, "hello", { versions: SUPPORTED_VERSIONS, client: CLIENT_NAME });
 
 /**
  * Format latency with appropriate color coding
@@ -163,103 +105,213 @@ const formatLatency = (latency) => {
 };
 
 /**
- * Connect to the WebSocket hub server
+ * Ping the hub every pingInterval and drop the connection if the previous
+ * ping went unanswered, so a dead hub is noticed and reconnected to.
+ * Calling it again restarts the timer with the new interval
+ * @param {object} socket - WebSocket to the hub, with a pong handler setting isAlive
+ * @param {number} pingInterval - Ping interval in ms
+ */
+const startKeepalive = (socket, pingInterval) => {
+  clearInterval(keepaliveTimer);
+  socket.isAlive = true;
+  
+  keepaliveTimer = setInterval(() => {
+    if (!socket.isAlive) {
+      logger.warn(`Hub did not answer a ping within ${pingInterval}ms, dropping the connection`);
+      socket.terminate();
+      return;
+    }
+    socket.isAlive = false;
+    socket.ping();
+  }, pingInterval);
+};
+
+/**
+ * Record a connection state transition so `status` can show what the
+ * connection is doing and how it got there
+ * @param {string} state - connecting, connected, reconnecting, failed or stopped
+ * @param {object} details - { hubServer, attempt, nextRetryAt, reason }
+ */
+const setConnectionState = (state, details = {}) => {
+  connectionState = {
+    state,
+    hubServer: details.hubServer || connectionState.hubServer,
+    since: new Date().toISOString(),
+    attempt: details.attempt || 0,
+    nextRetryAt: details.nextRetryAt || null,
+    reason: details.reason || null,
+  };
+  
+  stateHistory.push({ state, hubServer: connectionState.hubServer, at: connectionState.since, reason: connectionState.reason });
+  if (stateHistory.length > STATE_HISTORY_LENGTH) {
+    stateHistory.shift();
+  }
+};
+
+/**
+ * Plan the next reconnect attempt and schedule it, or give up once the
+ * policy's attempts are used up
+ * @param {string} reason - Why the last connection ended
+ */
+const scheduleReconnect = (reason) => {
+  if (!reconnectPolicy) {
+    reconnectPolicy = createReconnectPolicy({ ...activeConfig.reconnect, hubServers: getHubServers(activeConfig) });
+  }
+  
+  const plan = reconnectPolicy.next();
+  if (!plan) {
+    setConnectionState("failed", { reason });
+    logger.error(`Giving up after ${activeConfig.reconnect.maxAttempts} reconnect attempts`);
+    if (onGiveUp) {
+      onGiveUp();
+    }
+    return;
+  }
+  
+  reconnectsTotal.inc();
+  const maxAttempts = activeConfig.reconnect.maxAttempts;
+  setConnectionState("reconnecting", {
+    hubServer: plan.hubServer,
+    attempt: plan.attempt,
+    nextRetryAt: new Date(Date.now() + plan.delay).toISOString(),
+    reason,
+  });
+  logger.warn(`Reconnecting to ${plan.hubServer} in ${(plan.delay / 1000).toFixed(1)}s (attempt ${plan.attempt}${maxAttempts ? ` of ${maxAttempts}` : ''})`);
+  reconnectTimer = setTimeout(() => openConnection(plan.hubServer), plan.delay);
+};
+
+/**
+ * Sign up with the hub once the protocol version is agreed
+ * @param {object} socket - Open WebSocket to the hub
+ * @param {string} challenge - Challenge from the hub's hello
+ * @param {object} spinner - Optional ora spinner for UI feedback
+ */
+const signUp = (socket, challenge, spinner = null) => {
+  // Generate a random callback ID using crypto UUID
+  const callbackId = randomUUID();
+  
+  // Sign the hub's challenge, so this signup is only good on this connection
+  const publicKeyBase64 = naclUtil.encodeBase64(keypair.publicKey);
+  const signedMessage = signMessage(signupMessage(challenge, publicKeyBase64), keypair);
+  
+  // Display styled public key info
+  const shortenedKey = publicKeyBase64.substring(0, 12) + '...' + publicKeyBase64.substring(publicKeyBase64.length - 8);
+  logger.log(`Public Key: ${chalk.yellowBright(shortenedKey)}`);
+  
+  if (spinner) {
+    spinner.text = 'Registering validator...';
+    spinner.color = 'yellow';
+  }
+  
+  // Send signup message
+  socket.send(
+    encodeMessage(TO_HUB, "signup", {
+      callbackId,
+      ip: ipAddress,
+      publicKey: publicKeyBase64,
+      signedMessage,
+      location,
+    }, protocolVersion)
+  );
+};
+
+/**
+ * Connect to the WebSocket hub server, then keep reconnecting according to
+ * the config's reconnect policy, failing over across its hubs
  * @param {string} privateKeyBase64 - Base64 encoded private key
- * @param {string} hubServer - WebSocket server URL
+ * @param {object} config - Validator config (hubServer(s), pingInterval, latencySettings, reconnect)
  * @param {object} spinner - Optional ora spinner for UI feedback
+ * @param {function} giveUp - Called when the reconnect policy runs out of attempts
  * @returns {object} - WebSocket connection
  */
-const connectWebsocket = async (privateKeyBase64, hubServer, spinner = null) => {
+const connectWebsocket = async (privateKeyBase64, config, spinner = null, giveUp = null) => {
+  activeConfig = config;
+  onGiveUp = giveUp;
+  
+  // Create keypair from private key
+  keypair = nacl.sign.keyPair.fromSecretKey(naclUtil.decodeBase64(privateKeyBase64));
+  
+  // Get location and IP info once; reconnects reuse it
   try {
-    // Create keypair from private key
-    const privateKeyBytes = naclUtil.decodeBase64(privateKeyBase64);
-    const keypair = nacl.sign.keyPair.fromSecretKey(privateKeyBytes);
-    
-    // Get location and IP info first
-    try {
-      if (spinner) {
-        spinner.text = 'Fetching location data...';
-      }
-      
-      const ipResponse = await axios.get("https://ipinfo.io/json");
-      ipAddress = ipResponse.data.ip || "Unknown";
-      location = `${ipResponse.data.city}, ${ipResponse.data.region}, ${ipResponse.data.country}`;
-      
-      // Display IP address with a clean box design
-      console.log(chalk.cyan('\n ┌─────────────────────────────────────┐'));
-      console.log(chalk.cyan(' │          VALIDATOR DETAILS          │'));
-      console.log(chalk.cyan(' └─────────────────────────────────────┘'));
-      console.log(chalk.bold.cyan(`\n   IP Address: `) + chalk.white.bold(ipAddress));
-      console.log(chalk.bold.cyan(`   Location:   `) + chalk.white(location));
-      console.log(chalk.cyan(' ─────────────────────────────────────\n'));
-    } catch (error) {
-      logger.warn(`Could not determine location: ${error.message}`);
+    if (spinner) {
+      spinner.text = 'Fetching location data...';
     }
     
+    const ipResponse = await axios.get("https://ipinfo.io/json");
+    ipAddress = ipResponse.data.ip || "Unknown";
+    location = `${ipResponse.data.city}, ${ipResponse.data.region}, ${ipResponse.data.country}`;
+    
+    logger.box("VALIDATOR DETAILS", { "IP Address": ipAddress, Location: location });
+  } catch (error) {
+    logger.warn(`Could not determine location: ${error.message}`);
+  }
+  
+  return openConnection(getHubServers(config)[0], spinner);
+};
+
+/**
+ * Open one connection to a hub and wire up its handlers
+ * @param {string} hubServer - WebSocket server URL
+ * @param {object} spinner - Optional ora spinner for UI feedback
+ * @returns {object} - WebSocket connection
+ */
+const openConnection = (hubServer, spinner = null) => {
+  try {
     if (spinner) {
       spinner.color = 'cyan';
       spinner.text = 'Connecting to hub server...';
     }
     
     logger.log(`Connecting to ${chalk.magenta.bold(hubServer)}`);
+    setConnectionState("connecting", { hubServer, attempt: connectionState.attempt });
     
     // Create WebSocket connection
-    wsConnection = new WebSocket(hubServer);
+    const socket = new WebSocket(hubServer);
+    wsConnection = socket;
     
     // Handle WebSocket open event
-    wsConnection.on("open", async () => {
+    socket.on("open", async () => {
       if (spinner) {
         spinner.succeed(chalk.greenBright('Connected to WebSocket hub!'));
       } else {
         logger.success("Connected to WebSocket hub!");
       }
       
-      // Generate a random callback ID using crypto UUID
-      const callbackId = randomUUID();
-      
-      // Sign the signup message with our keypair
-      const publicKeyBase64 = naclUtil.encodeBase64(keypair.publicKey);
-      const signedMessage = signMessage(
-        `Signed message for ${callbackId}, ${publicKeyBase64}`, 
-        keypair
-      );
-      
-      // Display styled public key info
-      const shortenedKey = publicKeyBase64.substring(0, 12) + '...' + publicKeyBase64.substring(publicKeyBase64.length - 8);
-      logger.log(`Public Key: ${chalk.yellowBright(shortenedKey)}`);
-      
-      if (spinner) {
-        spinner.text = 'Registering validator...';
-        spinner.color = 'yellow';
-      }
+      socket.on("pong", () => {
+        socket.isAlive = true;
+      });
+      startKeepalive(socket, activeConfig.pingInterval);
       
-      // Send signup message
-      wsConnection.send(
-        JSON.stringify({
-          type: "signup",
-          data: {
-            callbackId,
-            ip: ipAddress,
-            publicKey: publicKeyBase64,
-            signedMessage,
-            location,
-          },
-        })
-      );
+      // Agree on a protocol version first; signup follows the hub's hello
+      socket.send(helloMessage());
     });
     
     // Handle WebSocket messages
-    wsConnection.on("message", async (message) => {
+    socket.on("message", async (message) => {
+      let data;
       try {
-        const data = JSON.parse(message.toString());
-        
-        if (data.type === "signup") {
+        data = decodeMessage(TO_VALIDATOR, message, protocolVersion || PROTOCOL_VERSION);
+      } catch (error) {
+        logger.error(`Hub sent a message this client does not understand (${error.code}): ${error.message}`);
+        return;
+      }
+      logger.debug(`Received ${data.type} from the hub`);
+      
+      try {
+        if (data.type === "hello") {
+          protocolVersion = data.data.version;
+          logger.log(`Speaking protocol v${protocolVersion} with the hub`);
+          signUp(socket, data.data.challenge, spinner);
+        } else if (data.type === "signup") {
           validatorId = data.data.validatorId;
           
-          // Display styled validator ID
-          console.log(chalk.green('\n ┌─────────────────────────────────────┐'));
-          console.log(chalk.green(` │       VALIDATOR REGISTERED: ${validatorId.padEnd(10, ' ')} │`));
-          console.log(chalk.green(' └─────────────────────────────────────┘\n'));
+          // Only a hub that signed us up ends the outage; one that takes the socket and
+          // then refuses us counts as a failed attempt. The next outage gets a new policy,
+          // starting from the top of the hub list with the reconnect settings loaded then
+          reconnectPolicy = null;
+          setConnectionState("connected", { hubServer });
+          
+          logger.box("VALIDATOR REGISTERED", { "Validator ID": validatorId }, chalk.green);
           
           // Check if pending payouts were included in the signup response
           if (data.data.pendingPayouts !== undefined) {
@@ -268,55 +320,62 @@ const connectWebsocket = async (privateKeyBase64, hubServer, spinner = null) =>
           }
           
           // Show active status message
-          console.log(chalk.green(' ✓ ') + chalk.white('Validator is now ') + chalk.green.bold('ACTIVE') + chalk.white(' and ready for validation requests\n'));
+          logger.success(`Validator is now ${chalk.green.bold('ACTIVE')} and ready for validation requests`);
         } else if (data.type === "validate") {
-          const { url, callbackId } = data.data;
-          logger.ping(`Validating URL: ${chalk.cyan(url)}`);
+          const { url, callbackId, check } = data.data;
+          
+          // Shutting down: let the hub time this one out rather than start new work
+          if (!isValidating) {
+            logger.warn(`Ignoring validation of ${url} while stopping`);
+            return;
+          }
+          
+          const checkType = check ? check.type : "http";
+          logger.ping(`Validating ${checkType === "http" ? "URL" : `${checkType} check of`}: ${chalk.cyan(url)}`);
           
           // Sign the validation response
           const signature = signMessage(`Replying to ${callbackId}`, keypair);
           
+          inFlight += 1;
           try {
-            // Get more accurate ping measurements using TCP connection
-            const pingResult = await measureAccurateLatency(url);
-            
-            // As a fallback, we'll still do a full fetch but only for status verification
-            let responseStatus = pingResult.status;
-            if (responseStatus === 0) {
-              try {
-                const response = await fetch(url, {
-                  method: 'GET',
-                  cache: 'no-store',
-                  redirect: 'follow',
-                  headers: { 'Cache-Control': 'no-cache' },
-                  timeout: 5000
-                });
-                responseStatus = response.status;
-              } catch (fetchError) {
-                // Keep status as 0 if fetch fails
-              }
-            }
+            // Check the target the way latencySettings in the config asks for,
+            // read per check so a reloaded config applies straight away
+            const outcome = await runCheck(url, check, activeConfig.latencySettings);
+            const responseStatus = outcome.statusCode;
             
             lastPingTime = Date.now();
             
-            // Use the more accurate TCP connection time
-            const latency = pingResult.time;
-            logger.network(`TCP latency: ${formatLatency(latency)}`);
-            
-            // Style the response status
-            const statusColor = responseStatus >= 200 && responseStatus < 300 ? 
-                chalk.green : (responseStatus >= 300 && responseStatus < 400 ? 
-                chalk.yellow : chalk.red);
+            const latency = outcome.latency;
+            logger.network(`Latency: ${formatLatency(latency)}`);
+            validationsTotal.inc({ check: checkType, status: outcome.status });
+            // A failed check has no meaningful latency to bucket
+            if (typeof latency === "number" && outcome.status !== "Bad") {
+              checkLatency.observe(latency / 1000, { check: checkType });
+            }
             
-            logger.success(`Response status: ${statusColor(responseStatus || 'unknown')}`);
+            if (checkType === "http" || checkType === "keyword") {
+              // Style the response status
+              const statusColor = responseStatus >= 200 && responseStatus < 300 ? 
+                  chalk.green : (responseStatus >= 300 && responseStatus < 400 ? 
+                  chalk.yellow : chalk.red);
+              
+              logger.success(`Response status: ${statusColor(responseStatus || 'unknown')}`);
+            }
+            if (check) {
+              const verdicts = { Good: chalk.green('passed'), Degraded: chalk.yellow('degraded'), Bad: chalk.red('failed') };
+              const log = outcome.status === "Good" ? logger.success : logger.warn;
+              log(`Check ${verdicts[outcome.status]}: ${describeResult(outcome.result)}`);
+            }
             
-            // Increment our rewards counter
+            // Track a local estimate; the hub's ledger is authoritative
             pendingPayouts += COST_PER_VALIDATION;
-            logger.success(`Rewards: +${COST_PER_VALIDATION} lamports (Total: ${pendingPayouts})`);
+            logger.success(`Rewards: +${COST_PER_VALIDATION} lamports (Estimated total: ${pendingPayouts})`);
+            
+            // Results ride along from the protocol version that knows about them
+            const result = protocolVersion >= CHECKS_VERSION ? { result: outcome.result } : {};
             
             // Send validation result
-            if ((responseStatus >= 400 && responseStatus <600) || responseStatus == 0 || responseStatus == "unknown") {
-              console.log("Inside if condition")
+            if (outcome.status === "Bad") {
               // If bad status, get location again to ensure freshness
               let locationInfo = location;
               try {
@@ -326,42 +385,38 @@ const connectWebsocket = async (privateKeyBase64, hubServer, spinner = null) =>
                 logger.warn(`Could not update location: ${err.message}`);
               }
               
-              wsConnection.send(
-                JSON.stringify({
-                  type: "validate",
-                  data: {
-                    callbackId,
-                    status: "Bad",
-                    latency : 0,
-                    validatorId,
-                    signedMessage: signature,
-                    location: locationInfo,
-                    ipAddress,
-                  },
-                })
+              socket.send(
+                encodeMessage(TO_HUB, "validate", {
+                  callbackId,
+                  status: "Bad",
+                  statusCode: responseStatus,
+                  latency : 0,
+                  validatorId,
+                  signedMessage: signature,
+                  location: locationInfo,
+                  ipAddress,
+                  ...result,
+                }, protocolVersion)
               );
             } else {
-              // Good status
-              wsConnection.send(
-                JSON.stringify({
-                  type: "validate",
-                  data: {
-                    callbackId,
-                    status: "Good", 
-                    latency,
-                    validatorId,
-                    signedMessage: signature,
-                    location,
-                    ipAddress,
-                  },
-                })
+              // Good or Degraded status
+              socket.send(
+                encodeMessage(TO_HUB, "validate", {
+                  callbackId,
+                  status: outcome.status,
+                  statusCode: responseStatus,
+                  latency,
+                  validatorId,
+                  signedMessage: signature,
+                  location,
+                  ipAddress,
+                  ...result,
+                }, protocolVersion)
               );
             }
           } catch (error) {
             logger.error(`Website check failed: ${error.message}`);
-            
-            // Still increment our rewards counter
-            pendingPayouts += COST_PER_VALIDATION;
+            validationsTotal.inc({ check: checkType, status: "Bad" });
             
             // Try to get fresh location data
             let locationInfo = location;
@@ -374,20 +429,33 @@ const connectWebsocket = async (privateKeyBase64, hubServer, spinner = null) =>
             }
             
             // Send failure result
-            wsConnection.send(
-              JSON.stringify({
-                type: "validate",
-                data: {
-                  callbackId,
-                  status: "Bad",
-                  latency: 0,
-                  validatorId,
-                  signedMessage: signature,
-                  location: locationInfo,
-                  ipAddress,
-                },
-              })
+            socket.send(
+              encodeMessage(TO_HUB, "validate", {
+                callbackId,
+                status: "Bad",
+                statusCode: 0,
+                latency: 0,
+                validatorId,
+                signedMessage: signature,
+                location: locationInfo,
+                ipAddress,
+              }, protocolVersion)
             );
+          } finally {
+            inFlight -= 1;
+            if (inFlight === 0) {
+              drainWaiters.forEach((resolve) => resolve());
+              drainWaiters = [];
+            }
+          }
+        } else if (data.type === "error") {
+          const { code, message: reason, requestType, supportedVersions } = data.data;
+          logger.error(`Hub rejected ${requestType || 'message'} (${code}): ${reason}`);
+          
+          if (code === "UNSUPPORTED_VERSION") {
+            // The hub closes the connection; say why so the reconnect loop isn't a mystery
+            lastError = `Hub speaks protocol ${(supportedVersions || []).join(', ') || 'unknown'}, this client speaks ${SUPPORTED_VERSIONS.join(', ')}`;
+            logger.error(`${lastError}; upgrade the validator or the hub`);
           }
         }
       } catch (error) {
@@ -396,24 +464,33 @@ const connectWebsocket = async (privateKeyBase64, hubServer, spinner = null) =>
     });
     
     // Handle WebSocket close
-    wsConnection.on("close", () => {
-      if (isValidating) {
-        console.log(chalk.yellow('\n ┌─────────────────────────────────────┐'));
-        console.log(chalk.yellow(' │        CONNECTION INTERRUPTED        │'));
-        console.log(chalk.yellow(' └─────────────────────────────────────┘\n'));
+    socket.on("close", () => {
+      clearInterval(keepaliveTimer);
+      protocolVersion = null;
+      
+      if (!isValidating) {
+        setConnectionState("stopped");
+      } else if (switchingHub) {
+        switchingHub = false;
+        openConnection(getHubServers(activeConfig)[0]);
+      } else {
+        if (connectionState.state === "connected") {
+          logger.box("CONNECTION INTERRUPTED", {}, chalk.yellow);
+        }
         
-        logger.warn("Reconnecting in 5 seconds...");
-        setTimeout(() => connectWebsocket(privateKeyBase64, hubServer), 5000);
+        scheduleReconnect(lastError || "Connection closed");
       }
+      lastError = null;
     });
     
     // Handle WebSocket errors
-    wsConnection.on("error", (error) => {
+    socket.on("error", (error) => {
       logger.error(`WebSocket error: ${error.message}`);
-      wsConnection.close();
+      lastError = error.message;
+      socket.close();
     });
     
-    return wsConnection;
+    return socket;
   } catch (error) {
     if (spinner) spinner.fail(`Connection failed: ${error.message}`);
     logger.error(`Failed to connect: ${error.message}`);
@@ -421,13 +498,160 @@ const connectWebsocket = async (privateKeyBase64, hubServer, spinner = null) =>
   }
 };
 
+/**
+ * Send a request to the hub and wait for the reply carrying the same callbackId
+ * @param {object} socket - Open WebSocket to the hub
+ * @param {string} type - Message type
+ * @param {object} data - Message data, including its callbackId
+ * @returns {Promise<object>} - Data of the hub's reply
+ */
+const requestHub = (socket, type, data) => {
+  return new Promise((resolve, reject) => {
+    const onMessage = (message) => {
+      let reply;
+      try {
+        reply = decodeMessage(TO_VALIDATOR, message);
+      } catch (error) {
+        return;
+      }
+
+      // Ignore traffic that isn't the answer to this request
+      if (reply.data.callbackId !== data.callbackId) {
+        return;
+      }
+
+      cleanup();
+      if (reply.type === "error") {
+        reject(new Error(`${reply.data.message} (${reply.data.code})`));
+      } else {
+        resolve(reply.data);
+      }
+    };
+
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error("Timed out waiting for the hub"));
+    }, QUERY_TIMEOUT);
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      socket.removeListener("message", onMessage);
+    };
+
+    socket.on("message", onMessage);
+    try {
+      socket.send(encodeMessage(TO_HUB, type, data));
+    } catch (error) {
+      cleanup();
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Agree on a protocol version over a freshly opened socket
+ * @param {object} socket - Open WebSocket to the hub
+ * @returns {Promise<number>} - Agreed protocol version
+ */
+const handshake = (socket) => {
+  return new Promise((resolve, reject) => {
+    const onMessage = (message) => {
+      let reply;
+      try {
+        reply = decodeMessage(TO_VALIDATOR, message);
+      } catch (error) {
+        return;
+      }
+
+      if (reply.type === "hello") {
+        cleanup();
+        resolve(reply.data.version);
+      } else if (reply.type === "error" && reply.data.requestType === "hello") {
+        cleanup();
+        const supported = reply.data.supportedVersions ? `; the hub speaks ${reply.data.supportedVersions.join(", ")}` : "";
+        reject(new Error(`${reply.data.message} (${reply.data.code})${supported}`));
+      }
+    };
+
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error("Timed out waiting for the hub"));
+    }, QUERY_TIMEOUT);
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      socket.removeListener("message", onMessage);
+    };
+
+    socket.on("message", onMessage);
+    socket.send(helloMessage());
+  });
+};
+
+/**
+ * Run a request against the hub, reusing the validator's connection when it is open
+ * @param {string} hubServer - WebSocket server URL
+ * @param {string} type - Message type
+ * @param {object} data - Message data, including its callbackId
+ * @returns {Promise<object>} - Data of the hub's reply
+ */
+const queryHub = async (hubServer, type, data) => {
+  if (wsConnection && wsConnection.readyState === WebSocket.OPEN) {
+    return requestHub(wsConnection, type, data);
+  }
+
+  const socket = new WebSocket(hubServer);
+  await new Promise((resolve, reject) => {
+    socket.once("open", resolve);
+    socket.once("error", reject);
+  });
+
+  try {
+    await handshake(socket);
+    return await requestHub(socket, type, data);
+  } finally {
+    socket.close();
+  }
+};
+
+/**
+ * Fetch this validator's reward ledger from the hub
+ * @param {object} keypair - Nacl keypair
+ * @param {string} hubServer - WebSocket server URL
+ * @param {number} days - Days of daily breakdown to request
+ * @returns {Promise<object>} - Ledger summary from the hub
+ */
+const fetchRewards = (keypair, hubServer, days = 7) => {
+  const callbackId = randomUUID();
+  const publicKeyBase64 = naclUtil.encodeBase64(keypair.publicKey);
+
+  return queryHub(hubServer, "rewards", {
+    callbackId,
+    publicKey: publicKeyBase64,
+    signedMessage: signMessage(`Rewards query ${callbackId}, ${publicKeyBase64}`, keypair),
+    days,
+  });
+};
+
+/**
+ * Submit a key rotation statement so the hub moves the validator to its new key
+ * @param {object} statement - Rotation statement signed by both keys
+ * @param {string} hubServer - WebSocket server URL
+ * @returns {Promise<object>} - The hub's confirmation ({ validatorId, publicKey })
+ */
+const submitRotation = (statement, hubServer) => {
+  return queryHub(hubServer, "rotate", { callbackId: randomUUID(), statement });
+};
+
 /**
  * Get the current validator status
  * @returns {object} - Current validator status
  */
 const getValidatorStatus = () => {
   return {
-    connected: wsConnection && wsConnection.readyState === WebSocket.OPEN,
+    connected: Boolean(wsConnection && wsConnection.readyState === WebSocket.OPEN),
+    hubServer: connectionState.hubServer,
+    connection: { ...connectionState, history: stateHistory.slice() },
     validatorId,
     location,
     ipAddress,
@@ -437,12 +661,73 @@ const getValidatorStatus = () => {
 };
 
 /**
- * Stop the validator
+ * Wait for in-flight validations to finish and reply
+ * @param {number} drainTimeout - Longest time to wait, in ms
+ * @returns {Promise<void>}
+ */
+const drainInFlight = async (drainTimeout) => {
+  if (inFlight > 0) {
+    logger.log(`Waiting for ${inFlight} in-flight validation(s) to finish...`);
+    await Promise.race([
+      new Promise((resolve) => drainWaiters.push(resolve)),
+      new Promise((resolve) => setTimeout(resolve, drainTimeout).unref())
+    ]);
+  }
+};
+
+/**
+ * Apply a reloaded config to the running connection. Check settings apply to
+ * the next validation and reconnect settings to the next outage. Only losing
+ * the current hub from the hub list reconnects, after in-flight validations
+ * have replied to the old hub
+ * @param {object} config - New config
+ * @param {object[]} changes - Changed settings from diffConfig
+ * @returns {Promise<void>}
  */
-const stopValidator = () => {
+const updateConfig = async (config, changes) => {
+  activeConfig = config;
+  const changed = (key) => changes.some((change) => change.key === key);
+  const hubServers = getHubServers(config);
+  
+  if (connectionState.state === "reconnecting" && (changed("hubServer") || changed("hubServers"))) {
+    // Replan the outage against the new hub list
+    clearTimeout(reconnectTimer);
+    reconnectPolicy = null;
+    scheduleReconnect(connectionState.reason);
+    return;
+  }
+  
+  if (!hubServers.includes(connectionState.hubServer)) {
+    if (!wsConnection || wsConnection.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    logger.log(`Hub server changed, moving to ${chalk.magenta.bold(hubServers[0])}`);
+    await drainInFlight(30000);
+    switchingHub = true;
+    wsConnection.close();
+    return;
+  }
+  
+  if (changed("pingInterval") && wsConnection && wsConnection.readyState === WebSocket.OPEN) {
+    startKeepalive(wsConnection, config.pingInterval);
+  }
+};
+
+/**
+ * Stop the validator, letting in-flight validations finish and reply first
+ * @param {number} drainTimeout - Longest time to wait for in-flight validations, in ms
+ * @returns {Promise<void>}
+ */
+const stopValidator = async (drainTimeout = 30000) => {
   isValidating = false;
-  if (wsConnection) {
+  clearTimeout(reconnectTimer);
+  
+  await drainInFlight(drainTimeout);
+  
+  if (wsConnection && wsConnection.readyState !== WebSocket.CLOSED) {
     wsConnection.close();
+  } else {
+    setConnectionState("stopped");
   }
 };
 
@@ -450,5 +735,9 @@ module.exports = {
   connectWebsocket, 
   getValidatorStatus, 
   stopValidator,
-  signMessage
+  updateConfig,
+  signMessage,
+  fetchRewards,
+  submitRotation,
+  metrics
 };
\ No newline at end of file
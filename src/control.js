@@ -0,0 +1,136 @@
+const fs = require("fs");
+const http = require("http");
+const net = require("net");
+const logger = require("../utils/logger");
+const { getControlSocketPath } = require("./paths");
+
+// How long a CLI command waits for the running validator to answer
+const CONTROL_TIMEOUT = 15000;
+
+/**
+ * Check whether something is listening on a socket path
+ * @param {string} socketPath - Socket path
+ * @returns {Promise<boolean>} - True if a server accepted the connection
+ */
+const isSocketLive = (socketPath) => {
+  return new Promise((resolve) => {
+    const socket = net.connect(socketPath);
+    socket.once("connect", () => {
+      socket.destroy();
+      resolve(true);
+    });
+    socket.once("error", () => resolve(false));
+  });
+};
+
+/**
+ * Send a JSON response
+ * @param {object} res - HTTP response
+ * @param {number} statusCode - HTTP status code
+ * @param {object} body - Response body
+ */
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Expose the running validator on a local control socket. Only the owner of
+ * the state directory can reach it
+ * @param {object} routes - Map of "/path" to async handler(searchParams) returning a JSON-able result
+ * @returns {Promise<object>} - HTTP server listening on the control socket
+ */
+const startControlServer = async (routes) => {
+  const socketPath = getControlSocketPath();
+
+  if (process.platform !== "win32" && fs.existsSync(socketPath)) {
+    if (await isSocketLive(socketPath)) {
+      throw new Error(`Another validator is already running (control socket ${socketPath})`);
+    }
+    // Left behind by a validator that didn't shut down cleanly
+    fs.unlinkSync(socketPath);
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+    const handler = routes[pathname];
+
+    if (req.method !== "GET" || !handler) {
+      return sendJson(res, 404, { error: `Unknown control request ${req.method} ${pathname}` });
+    }
+
+    try {
+      sendJson(res, 200, await handler(searchParams));
+    } catch (error) {
+      sendJson(res, 500, { error: error.message });
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(socketPath, resolve);
+  });
+
+  if (process.platform !== "win32") {
+    fs.chmodSync(socketPath, 0o600);
+  }
+
+  // Remove the socket file on the way out so the next start doesn't trip over it
+  process.once("exit", () => {
+    try {
+      server.close();
+      if (process.platform !== "win32") {
+        fs.unlinkSync(socketPath);
+      }
+    } catch (error) {
+      // Nothing left to clean up
+    }
+  });
+
+  logger.log(`Control socket listening on ${socketPath}`);
+  return server;
+};
+
+/**
+ * Ask the running validator for something over its control socket
+ * @param {string} requestPath - Route and query string, e.g. "/status"
+ * @returns {Promise<object|null>} - Response body, or null if no validator is running
+ */
+const queryControl = (requestPath) => {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ socketPath: getControlSocketPath(), path: requestPath, timeout: CONTROL_TIMEOUT }, (res) => {
+      let body = "";
+      res.setEncoding("utf-8");
+      res.on("data", (chunk) => {
+        body += chunk;
+      });
+      res.on("end", () => {
+        try {
+          const data = JSON.parse(body);
+          if (res.statusCode !== 200) {
+            reject(new Error(data.error || `Control request failed with status ${res.statusCode}`));
+          } else {
+            resolve(data);
+          }
+        } catch (error) {
+          reject(new Error(`Invalid response from running validator: ${error.message}`));
+        }
+      });
+    });
+
+    req.on("timeout", () => {
+      req.destroy(new Error("Timed out waiting for the running validator"));
+    });
+
+    req.on("error", (error) => {
+      // No socket, or a stale one: nothing is running
+      if (["ENOENT", "ECONNREFUSED"].includes(error.code)) {
+        resolve(null);
+      } else {
+        reject(error);
+      }
+    });
+  });
+};
+
+module.exports = { startControlServer, queryControl };
@@ -0,0 +1,194 @@
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { getStateDir } = require("./paths");
+const { queryControl } = require("./control");
+
+/**
+ * Path of the background validator's PID file
+ * @returns {string} - PID file path
+ */
+const getPidFilePath = () => path.join(getStateDir(), "validator.pid");
+
+/**
+ * Path of the background validator's log file
+ * @returns {string} - Log file path
+ */
+const getLogFilePath = () => path.join(getStateDir(), "validator.log");
+
+/**
+ * Check whether a process is alive
+ * @param {number} pid - Process ID
+ * @returns {boolean} - True if the process exists
+ */
+const isProcessRunning = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means it exists but belongs to someone else
+    return error.code === "EPERM";
+  }
+};
+
+/**
+ * Read the PID file of the background validator
+ * @returns {object|null} - { pid, keyPath, configArgs, logFile, startedAt }, or null if none is recorded
+ */
+const readPidFile = () => {
+  const pidFile = getPidFilePath();
+  if (!fs.existsSync(pidFile)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(pidFile, "utf-8"));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Remove the PID file, but only if it still describes the given process
+ * @param {number} pid - Process ID the PID file should belong to
+ */
+const removePidFile = (pid) => {
+  const record = readPidFile();
+  if (record && record.pid === pid) {
+    fs.unlinkSync(getPidFilePath());
+  }
+};
+
+/**
+ * Get the running background validator, clearing a stale PID file
+ * @returns {object|null} - PID file record, or null if no daemon is running
+ */
+const getRunningDaemon = () => {
+  const record = readPidFile();
+  if (!record) {
+    return null;
+  }
+
+  if (!isProcessRunning(record.pid)) {
+    removePidFile(record.pid);
+    return null;
+  }
+
+  return record;
+};
+
+/**
+ * Fork `validator-cli start` into the background
+ * @param {string} keyPath - Absolute path to the private key file
+ * @param {string[]} configArgs - Config flags to pass on (--config, --profile, --set)
+ * @param {string} passphrase - Passphrase for an encrypted key file, or null
+ * @returns {object} - PID file record of the new daemon
+ */
+const startDaemon = (keyPath, configArgs = [], passphrase = null) => {
+  const running = getRunningDaemon();
+  if (running) {
+    throw new Error(`A background validator is already running (PID ${running.pid})`);
+  }
+
+  const logFile = getLogFilePath();
+  const logFd = fs.openSync(logFile, "a");
+
+  // The passphrase goes over a pipe the daemon reads once. In its environment
+  // it would stay readable in /proc for the daemon's life and reach every child
+  const env = { ...process.env, VALIDATOR_DAEMON: "1" };
+  delete env.VALIDATOR_KEY_PASSPHRASE;
+  delete env.VALIDATOR_KEY_PASSPHRASE_FILE;
+
+  const child = spawn(
+    process.execPath,
+    [path.resolve(__dirname, "../bin/index.js"), "start", keyPath, ...configArgs, ...(passphrase !== null ? ["--passphrase-stdin"] : [])],
+    {
+      detached: true,
+      stdio: [passphrase !== null ? "pipe" : "ignore", logFd, logFd],
+      env,
+    }
+  );
+  if (passphrase !== null) {
+    // A daemon that dies before reading shows up in waitForDaemon
+    child.stdin.on("error", () => {});
+    child.stdin.end(`${passphrase}\n`);
+  }
+  child.unref();
+  fs.closeSync(logFd);
+
+  const record = {
+    pid: child.pid,
+    keyPath,
+    configArgs,
+    logFile,
+    startedAt: new Date().toISOString(),
+  };
+  fs.writeFileSync(getPidFilePath(), JSON.stringify(record, null, 2));
+  return record;
+};
+
+/**
+ * Wait for a freshly forked daemon to answer on its control socket
+ * @param {object} record - PID file record from startDaemon
+ * @param {number} timeout - How long to wait, in ms
+ * @returns {Promise<object>} - Status reported by the daemon
+ */
+const waitForDaemon = async (record, timeout = 15000) => {
+  const deadline = Date.now() + timeout;
+
+  while (Date.now() < deadline) {
+    if (!isProcessRunning(record.pid)) {
+      removePidFile(record.pid);
+      throw new Error(`Validator exited during startup, see ${record.logFile}`);
+    }
+
+    const status = await queryControl("/status").catch(() => null);
+    if (status && status.pid === record.pid) {
+      return status;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+
+  throw new Error(`Validator did not become ready within ${timeout / 1000}s, see ${record.logFile}`);
+};
+
+/**
+ * Ask the background validator to stop and wait for it to exit
+ * @param {object} options - Stop options
+ * @param {number} options.timeout - How long to wait for in-flight validations, in ms
+ * @param {boolean} options.force - Kill the process if it hasn't exited by the timeout
+ * @returns {Promise<object|null>} - PID file record of the stopped daemon, or null if none was running
+ */
+const stopDaemon = async ({ timeout = 30000, force = false } = {}) => {
+  const record = getRunningDaemon();
+  if (!record) {
+    return null;
+  }
+
+  process.kill(record.pid, "SIGTERM");
+
+  const deadline = Date.now() + timeout;
+  while (isProcessRunning(record.pid)) {
+    if (Date.now() >= deadline) {
+      if (!force) {
+        throw new Error(`Validator (PID ${record.pid}) did not stop within ${timeout / 1000}s`);
+      }
+      process.kill(record.pid, "SIGKILL");
+      break;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+
+  removePidFile(record.pid);
+  return record;
+};
+
+module.exports = {
+  getPidFilePath,
+  getLogFilePath,
+  getRunningDaemon,
+  removePidFile,
+  startDaemon,
+  waitForDaemon,
+  stopDaemon,
+};
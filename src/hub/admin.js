@@ -0,0 +1,324 @@
+const { timingSafeEqual, createHash } = require("crypto");
+const { adminOpenApi } = require("./openapi");
+const { normalizeWebsite } = require("./scheduler");
+
+// Where the admin API lives on the hub's HTTP port
+const API_PREFIX = "/api";
+
+// Largest request body accepted, in bytes
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Uptime covers this much history unless asked for a range
+const DEFAULT_UPTIME_WINDOW = 24 * 60 * 60 * 1000;
+
+/**
+ * A request the API refuses, with the HTTP status to answer it with
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Human readable reason
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+  }
+}
+
+/**
+ * Send a JSON response
+ * @param {object} res - HTTP response
+ * @param {number} statusCode - HTTP status code
+ * @param {*} body - Response body; undefined for no body
+ * @param {object} headers - Extra headers
+ */
+const sendJson = (res, statusCode, body, headers = {}) => {
+  if (body === undefined) {
+    res.writeHead(statusCode, headers);
+    res.end();
+    return;
+  }
+  res.writeHead(statusCode, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body, null, 2));
+};
+
+/**
+ * Read and parse a JSON request body
+ * @param {object} req - HTTP request
+ * @returns {Promise<object>} - Parsed body
+ */
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let body = "";
+  let size = 0;
+  req.setEncoding("utf-8");
+  req.on("data", (chunk) => {
+    size += Buffer.byteLength(chunk);
+    if (size > MAX_BODY_SIZE) {
+      reject(new ApiError(413, `Request body is larger than ${MAX_BODY_SIZE} bytes`));
+      req.destroy();
+      return;
+    }
+    body += chunk;
+  });
+  req.on("end", () => {
+    try {
+      const value = JSON.parse(body);
+      if (value === null || typeof value !== "object" || Array.isArray(value)) {
+        throw new Error("expected a JSON object");
+      }
+      resolve(value);
+    } catch (error) {
+      reject(new ApiError(400, `Invalid JSON body: ${error.message}`));
+    }
+  });
+  req.on("error", reject);
+});
+
+/**
+ * Compare a bearer token with the admin token in constant time
+ * @param {string} header - Authorization header
+ * @param {string} token - Admin token
+ * @returns {boolean}
+ */
+const isAuthorized = (header, token) => {
+  const match = /^Bearer\s+(.+)$/i.exec(header || "");
+  if (!match) {
+    return false;
+  }
+  // Hashing first gives both sides the same length
+  const digest = (value) => createHash("sha256").update(value).digest();
+  return timingSafeEqual(digest(match[1].trim()), digest(token));
+};
+
+/**
+ * Read a positive whole number from the query string
+ * @param {URLSearchParams} query - Query string
+ * @param {string} name - Parameter name
+ * @returns {number|undefined} - undefined when the parameter is missing
+ */
+const positiveInteger = (query, name) => {
+  if (!query.has(name)) {
+    return undefined;
+  }
+  const value = Number(query.get(name));
+  if (!Number.isInteger(value) || value < 1) {
+    throw new ApiError(400, `${name} must be a whole number of at least 1, got "${query.get(name)}"`);
+  }
+  return value;
+};
+
+/**
+ * Read an ISO time from the query string
+ * @param {URLSearchParams} query - Query string
+ * @param {string} name - Parameter name
+ * @returns {string|undefined} - undefined when the parameter is missing
+ */
+const isoTime = (query, name) => {
+  if (!query.has(name)) {
+    return undefined;
+  }
+  const time = new Date(query.get(name));
+  if (Number.isNaN(time.getTime())) {
+    throw new ApiError(400, `${name} must be an ISO time, got "${query.get(name)}"`);
+  }
+  return time.toISOString();
+};
+
+/**
+ * Create the hub admin API: a request handler for everything under /api.
+ * Every route but the OpenAPI document needs the admin token as a bearer
+ * token; without a token the API is off
+ * @param {object} options - API options
+ * @param {object} options.storage - Hub storage
+ * @param {object} options.scheduler - Hub scheduler
+ * @param {object} options.ledger - Hub reward ledger
+ * @param {Function} options.getSession - Returns the live session of a validator ID, or null
+ * @param {string} options.token - Admin token; null turns the API off
+ * @returns {Function} - handle(req, res)
+ */
+const createAdminApi = ({ storage, scheduler, ledger, getSession, token }) => {
+  /**
+   * Find a validator record by its ID
+   * @param {string} validatorId - Validator ID
+   * @returns {object} - Record
+   */
+  const findValidator = (validatorId) => {
+    // A rotated key leaves a record behind that shares the ID; the live one has no rotatedTo
+    const record = storage.listValidators().find((validator) => validator.validatorId === validatorId && !validator.rotatedTo);
+    if (!record) {
+      throw new ApiError(404, `No validator ${validatorId}`);
+    }
+    return record;
+  };
+
+  /**
+   * A validator record with its live session, if it has one
+   * @param {object} record - Stored validator
+   * @returns {object}
+   */
+  const describeValidator = (record) => ({ ...record, session: record.rotatedTo ? null : getSession(record.validatorId) });
+
+  /**
+   * Find a monitored website by its ID
+   * @param {string} websiteId - Website ID
+   * @returns {object} - Website
+   */
+  const findWebsite = (websiteId) => {
+    const website = scheduler.listWebsites().find((candidate) => candidate.id === websiteId);
+    if (!website) {
+      throw new ApiError(404, `No website ${websiteId}`);
+    }
+    return website;
+  };
+
+  /**
+   * Monitor a website, or replace its settings, in the scheduler and storage
+   * @param {object} website - Website definition
+   * @returns {object} - Website as monitored
+   */
+  const saveWebsite = (website) => {
+    let saved;
+    try {
+      saved = scheduler.addWebsite(website);
+    } catch (error) {
+      throw new ApiError(400, error.message);
+    }
+    storage.saveWebsite(saved);
+    return saved;
+  };
+
+  // [method, path pattern, handler({ params, query, req })] returning [status, body]
+  const routes = [
+    ["GET", /^\/openapi\.json$/, () => [200, adminOpenApi()]],
+
+    ["GET", /^\/validators$/, () => [200, storage.listValidators().map(describeValidator)]],
+
+    ["GET", /^\/validators\/([^/]+)$/, ({ params }) => [200, describeValidator(findValidator(params[0]))]],
+
+    ["GET", /^\/validators\/([^/]+)\/rewards$/, async ({ params, query }) => {
+      const record = findValidator(params[0]);
+      return [200, await ledger.summary(record.publicKey, positiveInteger(query, "days") || 7)];
+    }],
+
+    ["GET", /^\/websites$/, () => [200, scheduler.listWebsites()]],
+
+    ["POST", /^\/websites$/, async ({ req }) => {
+      const body = await readJsonBody(req);
+      const { id, ...website } = body;
+      if (id !== undefined) {
+        throw new ApiError(400, "A website's ID comes from its URL and check; leave id out");
+      }
+      let normalized;
+      try {
+        normalized = normalizeWebsite(website);
+      } catch (error) {
+        throw new ApiError(400, error.message);
+      }
+      if (scheduler.listWebsites().some((candidate) => candidate.id === normalized.id)) {
+        throw new ApiError(409, `${normalized.url} is already monitored as ${normalized.id}`);
+      }
+      return [201, saveWebsite(normalized)];
+    }],
+
+    ["GET", /^\/websites\/([^/]+)$/, ({ params }) => [200, findWebsite(params[0])]],
+
+    ["PUT", /^\/websites\/([^/]+)$/, async ({ params, req }) => {
+      const website = findWebsite(params[0]);
+      const body = await readJsonBody(req);
+      const unknown = Object.keys(body).filter((key) => !["interval", "expectedStatus", "check"].includes(key));
+      if (unknown.length > 0) {
+        throw new ApiError(400, `Only interval, expectedStatus and check can change, got ${unknown.join(", ")}`);
+      }
+      return [200, saveWebsite({ ...website, ...body })];
+    }],
+
+    ["DELETE", /^\/websites\/([^/]+)$/, ({ params }) => {
+      const website = findWebsite(params[0]);
+      scheduler.removeWebsite(website.id);
+      storage.removeWebsite(website.id);
+      return [204, undefined];
+    }],
+
+    ["GET", /^\/websites\/([^/]+)\/ticks$/, async ({ params, query }) => {
+      const status = query.get("status") || undefined;
+      if (status && !["Good", "Degraded", "Bad"].includes(status)) {
+        throw new ApiError(400, `status must be Good, Degraded or Bad, got "${status}"`);
+      }
+      return [200, await storage.queryTicks({
+        websiteId: params[0],
+        validatorId: query.get("validatorId") || undefined,
+        status,
+        since: isoTime(query, "since"),
+        until: isoTime(query, "until"),
+        limit: positiveInteger(query, "limit"),
+      })];
+    }],
+
+    ["GET", /^\/websites\/([^/]+)\/uptime$/, async ({ params, query }) => {
+      const since = isoTime(query, "since") || new Date(Date.now() - DEFAULT_UPTIME_WINDOW).toISOString();
+      const until = isoTime(query, "until") || null;
+      const ticks = await storage.queryTicks({ websiteId: params[0], since, until });
+      const count = (status) => ticks.filter((tick) => tick.status === status).length;
+      const up = ticks.filter((tick) => tick.status !== "Bad");
+      const latencies = up.map((tick) => tick.latency).filter((latency) => typeof latency === "number");
+
+      return [200, {
+        websiteId: params[0],
+        since,
+        until,
+        total: ticks.length,
+        good: count("Good"),
+        degraded: count("Degraded"),
+        bad: count("Bad"),
+        uptime: ticks.length > 0 ? Math.round((up.length / ticks.length) * 10000) / 100 : null,
+        averageLatency: latencies.length > 0
+          ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length)
+          : null,
+      }];
+    }],
+
+    ["GET", /^\/ledger$/, async ({ query }) => [200, await storage.queryLedger({
+      validatorId: query.get("validatorId") || undefined,
+      websiteId: query.get("websiteId") || undefined,
+      since: isoTime(query, "since"),
+      until: isoTime(query, "until"),
+      limit: positiveInteger(query, "limit"),
+    })]],
+  ];
+
+  return async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+    const route = pathname.substring(API_PREFIX.length) || "/";
+
+    if (!token) {
+      return sendJson(res, 404, { error: "The admin API is off; give the hub an admin token to turn it on" });
+    }
+
+    const matches = routes
+      .map(([method, pattern, handler]) => ({ method, handler, params: pattern.exec(route) }))
+      .filter(({ params }) => params);
+    if (matches.length === 0) {
+      return sendJson(res, 404, { error: `Unknown route ${pathname}` });
+    }
+    const match = matches.find(({ method }) => method === req.method);
+    if (!match) {
+      const allowed = matches.map(({ method }) => method).join(", ");
+      return sendJson(res, 405, { error: `${req.method} is not allowed on ${pathname}` }, { Allow: allowed });
+    }
+
+    if (route !== "/openapi.json" && !isAuthorized(req.headers.authorization, token)) {
+      return sendJson(res, 401, { error: "Missing or wrong admin token" }, { "WWW-Authenticate": "Bearer" });
+    }
+
+    try {
+      const params = match.params.slice(1).map(decodeURIComponent);
+      const [status, body] = await match.handler({ params, query: searchParams, req });
+      sendJson(res, status, body);
+    } catch (error) {
+      sendJson(res, error instanceof ApiError ? error.status : 500, { error: error.message });
+    }
+  };
+};
+
+module.exports = { API_PREFIX, ApiError, createAdminApi };
@@ -0,0 +1,66 @@
+const axios = require("axios");
+const { API_PREFIX } = require("./admin");
+
+// How long to wait for the hub to answer an admin request
+const ADMIN_TIMEOUT = 10000;
+
+/**
+ * Work out the admin API address of a hub from its WebSocket URL: the API
+ * shares the hub's port
+ * @param {string} hubServer - ws:// or wss:// URL of the hub
+ * @returns {string} - http:// or https:// URL of the hub
+ */
+const adminUrlFor = (hubServer) => {
+  const url = new URL(hubServer);
+  url.protocol = url.protocol === "wss:" ? "https:" : "http:";
+  url.pathname = "/";
+  url.search = "";
+  return url.toString().replace(/\/$/, "");
+};
+
+/**
+ * Create a client for a running hub's admin API, see src/hub/admin.js
+ * @param {object} options - Client options
+ * @param {string} options.url - Hub URL, e.g. http://localhost:8081
+ * @param {string} options.token - Admin token
+ * @returns {object} - Admin client
+ */
+const createAdminClient = ({ url, token }) => {
+  const http = axios.create({
+    baseURL: `${url.replace(/\/$/, "")}${API_PREFIX}`,
+    timeout: ADMIN_TIMEOUT,
+    headers: { Authorization: `Bearer ${token}` },
+  });
+
+  /**
+   * Send a request and return the response body, with the API's own error
+   * message when it refuses
+   * @param {object} request - Axios request config
+   * @returns {Promise<*>} - Response body
+   */
+  const send = async (request) => {
+    try {
+      const response = await http.request(request);
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        const reason = error.response.data && error.response.data.error;
+        throw new Error(reason || `Hub answered with status ${error.response.status}`);
+      }
+      throw new Error(`Could not reach the hub at ${url}: ${error.message}`);
+    }
+  };
+
+  const id = (value) => encodeURIComponent(value);
+
+  return {
+    listValidators: () => send({ method: "GET", url: "/validators" }),
+    listWebsites: () => send({ method: "GET", url: "/websites" }),
+    addWebsite: (website) => send({ method: "POST", url: "/websites", data: website }),
+    removeWebsite: (websiteId) => send({ method: "DELETE", url: `/websites/${id(websiteId)}` }),
+    getTicks: (websiteId, query = {}) => send({ method: "GET", url: `/websites/${id(websiteId)}/ticks`, params: query }),
+    getUptime: (websiteId, query = {}) => send({ method: "GET", url: `/websites/${id(websiteId)}/uptime`, params: query }),
+  };
+};
+
+module.exports = { adminUrlFor, createAdminClient };
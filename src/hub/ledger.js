@@ -0,0 +1,81 @@
+// Lamports credited for each accepted validation
+const COST_PER_VALIDATION = 100;
+
+/**
+ * Create the hub's reward ledger. Every credit is an entry in storage and the
+ * validator record carries the running balance
+ * @param {object} storage - Hub storage
+ * @returns {object} - Ledger
+ */
+const createLedger = (storage) => {
+  /**
+   * Credit a validator for an accepted validation
+   * @param {string} publicKey - Validator public key
+   * @param {object} details - What the credit is for ({ validatorId, callbackId, websiteId })
+   * @param {number} amount - Lamports to credit
+   * @returns {number} - The validator's new pending balance
+   */
+  const credit = (publicKey, details, amount = COST_PER_VALIDATION) => {
+    const record = storage.getValidator(publicKey);
+    if (!record) {
+      throw new Error(`Cannot credit unknown validator ${details.validatorId}`);
+    }
+
+    storage.appendLedgerEntry({
+      timestamp: new Date().toISOString(),
+      publicKey,
+      validatorId: details.validatorId,
+      callbackId: details.callbackId,
+      websiteId: details.websiteId,
+      amount,
+    });
+
+    const pendingPayouts = (record.pendingPayouts || 0) + amount;
+    storage.saveValidator({
+      ...record,
+      pendingPayouts,
+      totalEarned: (record.totalEarned || 0) + amount,
+    });
+
+    return pendingPayouts;
+  };
+
+  /**
+   * Summarize a validator's rewards
+   * @param {string} publicKey - Validator public key
+   * @param {number} days - How many days of daily breakdown to include
+   * @returns {Promise<object|null>} - Balance and per-day breakdown, or null for unknown validators
+   */
+  const summary = async (publicKey, days = 7) => {
+    const record = storage.getValidator(publicKey);
+    if (!record) {
+      return null;
+    }
+
+    const since = new Date();
+    since.setUTCHours(0, 0, 0, 0);
+    since.setUTCDate(since.getUTCDate() - (days - 1));
+
+    // Entries follow the validator ID, which survives key rotation
+    const buckets = new Map();
+    const entries = await storage.queryLedger({ validatorId: record.validatorId, since: since.toISOString() });
+    entries.forEach((entry) => {
+      const date = entry.timestamp.substring(0, 10);
+      const bucket = buckets.get(date) || { date, validations: 0, amount: 0 };
+      bucket.validations += 1;
+      bucket.amount += entry.amount;
+      buckets.set(date, bucket);
+    });
+
+    return {
+      validatorId: record.validatorId,
+      pendingPayouts: record.pendingPayouts || 0,
+      totalEarned: record.totalEarned || 0,
+      daily: Array.from(buckets.values()),
+    };
+  };
+
+  return { credit, summary };
+};
+
+module.exports = { createLedger, COST_PER_VALIDATION };
@@ -0,0 +1,322 @@
+const packageJson = require("../../package.json");
+
+/**
+ * Build a JSON response description
+ * @param {string} description - What the response carries
+ * @param {object} schema - Response body schema
+ * @returns {object}
+ */
+const json = (description, schema) => ({
+  description,
+  content: { "application/json": { schema } },
+});
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const ERROR_RESPONSES = {
+  400: { $ref: "#/components/responses/BadRequest" },
+  401: { $ref: "#/components/responses/Unauthorized" },
+};
+
+const NOT_FOUND = { 404: { $ref: "#/components/responses/NotFound" } };
+
+// Query parameters shared by the record queries
+const RANGE_PARAMETERS = [
+  { name: "since", in: "query", description: "Only records at or after this ISO time", schema: { type: "string", format: "date-time" } },
+  { name: "until", in: "query", description: "Only records at or before this ISO time", schema: { type: "string", format: "date-time" } },
+];
+const LIMIT_PARAMETER = { name: "limit", in: "query", description: "Only the newest this many records", schema: { type: "integer", minimum: 1 } };
+
+const pathId = (name, description) => ({ name, in: "path", required: true, description, schema: { type: "string" } });
+
+/**
+ * OpenAPI description of the hub admin API, see src/hub/admin.js
+ * @returns {object} - OpenAPI 3.0 document
+ */
+const adminOpenApi = () => ({
+  openapi: "3.0.3",
+  info: {
+    title: "Validator Hub Admin API",
+    version: packageJson.version,
+    description: "Inspect validators, manage monitored websites and read tick history, uptime and rewards. "
+      + "Every route except this document needs the hub's admin token as a bearer token.",
+  },
+  servers: [{ url: "/api" }],
+  security: [{ bearerAuth: [] }],
+  paths: {
+    "/openapi.json": {
+      get: {
+        summary: "This document",
+        security: [],
+        responses: { 200: json("OpenAPI document", { type: "object" }) },
+      },
+    },
+    "/validators": {
+      get: {
+        summary: "List every validator that has signed up",
+        responses: {
+          200: json("Validators", { type: "array", items: ref("Validator") }),
+          ...ERROR_RESPONSES,
+        },
+      },
+    },
+    "/validators/{validatorId}": {
+      get: {
+        summary: "Inspect a validator",
+        parameters: [pathId("validatorId", "Validator ID")],
+        responses: {
+          200: json("Validator", ref("Validator")),
+          ...ERROR_RESPONSES,
+          ...NOT_FOUND,
+        },
+      },
+    },
+    "/validators/{validatorId}/rewards": {
+      get: {
+        summary: "A validator's balance and daily rewards",
+        parameters: [
+          pathId("validatorId", "Validator ID"),
+          { name: "days", in: "query", description: "Days of daily breakdown (default 7)", schema: { type: "integer", minimum: 1 } },
+        ],
+        responses: {
+          200: json("Reward summary", ref("RewardSummary")),
+          ...ERROR_RESPONSES,
+          ...NOT_FOUND,
+        },
+      },
+    },
+    "/websites": {
+      get: {
+        summary: "List monitored websites",
+        responses: {
+          200: json("Websites", { type: "array", items: ref("Website") }),
+          ...ERROR_RESPONSES,
+        },
+      },
+      post: {
+        summary: "Start monitoring a website",
+        requestBody: { required: true, content: { "application/json": { schema: ref("WebsiteInput") } } },
+        responses: {
+          201: json("Website as monitored", ref("Website")),
+          ...ERROR_RESPONSES,
+          409: { $ref: "#/components/responses/Conflict" },
+        },
+      },
+    },
+    "/websites/{websiteId}": {
+      get: {
+        summary: "Inspect a monitored website",
+        parameters: [pathId("websiteId", "Website ID")],
+        responses: {
+          200: json("Website", ref("Website")),
+          ...ERROR_RESPONSES,
+          ...NOT_FOUND,
+        },
+      },
+      put: {
+        summary: "Change a website's interval, expected status or check",
+        description: "Fields left out keep their value. The website keeps its ID.",
+        parameters: [pathId("websiteId", "Website ID")],
+        requestBody: { required: true, content: { "application/json": { schema: ref("WebsiteUpdate") } } },
+        responses: {
+          200: json("Website as monitored", ref("Website")),
+          ...ERROR_RESPONSES,
+          ...NOT_FOUND,
+        },
+      },
+      delete: {
+        summary: "Stop monitoring a website",
+        description: "Its tick history is kept.",
+        parameters: [pathId("websiteId", "Website ID")],
+        responses: {
+          204: { description: "Removed" },
+          ...ERROR_RESPONSES,
+          ...NOT_FOUND,
+        },
+      },
+    },
+    "/websites/{websiteId}/ticks": {
+      get: {
+        summary: "Validation results recorded for a website, oldest first",
+        parameters: [
+          pathId("websiteId", "Website ID"),
+          ...RANGE_PARAMETERS,
+          LIMIT_PARAMETER,
+          { name: "status", in: "query", schema: { type: "string", enum: ["Good", "Degraded", "Bad"] } },
+          { name: "validatorId", in: "query", schema: { type: "string" } },
+        ],
+        responses: {
+          200: json("Ticks", { type: "array", items: ref("Tick") }),
+          ...ERROR_RESPONSES,
+        },
+      },
+    },
+    "/websites/{websiteId}/uptime": {
+      get: {
+        summary: "Share of a website's results that were up",
+        description: "Good and Degraded results count as up. Without since, covers the last 24 hours.",
+        parameters: [pathId("websiteId", "Website ID"), ...RANGE_PARAMETERS],
+        responses: {
+          200: json("Uptime", ref("Uptime")),
+          ...ERROR_RESPONSES,
+        },
+      },
+    },
+    "/ledger": {
+      get: {
+        summary: "Reward ledger entries, oldest first",
+        parameters: [
+          ...RANGE_PARAMETERS,
+          LIMIT_PARAMETER,
+          { name: "validatorId", in: "query", schema: { type: "string" } },
+          { name: "websiteId", in: "query", schema: { type: "string" } },
+        ],
+        responses: {
+          200: json("Ledger entries", { type: "array", items: ref("LedgerEntry") }),
+          ...ERROR_RESPONSES,
+        },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: "http", scheme: "bearer", description: "The hub's admin token" },
+    },
+    responses: {
+      BadRequest: json("The request is malformed or the website is invalid", ref("Error")),
+      Unauthorized: json("The admin token is missing or wrong", ref("Error")),
+      NotFound: json("No such validator or website", ref("Error")),
+      Conflict: json("The website is already monitored", ref("Error")),
+    },
+    schemas: {
+      Error: {
+        type: "object",
+        required: ["error"],
+        properties: { error: { type: "string" } },
+      },
+      Validator: {
+        type: "object",
+        properties: {
+          validatorId: { type: "string" },
+          publicKey: { type: "string" },
+          online: { type: "boolean" },
+          location: { type: "string" },
+          ip: { type: "string" },
+          pendingPayouts: { type: "integer", description: "Lamports" },
+          totalEarned: { type: "integer", description: "Lamports" },
+          firstSeen: { type: "string", format: "date-time" },
+          lastSeen: { type: "string", format: "date-time" },
+          rotatedTo: { type: "string", description: "Public key this key was rotated to, if it was" },
+          session: {
+            type: "object",
+            nullable: true,
+            description: "The live session, null while offline",
+            properties: {
+              connectedAt: { type: "string", format: "date-time" },
+              lastActive: { type: "string", format: "date-time" },
+              ip: { type: "string" },
+              protocolVersion: { type: "integer" },
+              missedChecks: { type: "integer" },
+            },
+          },
+        },
+      },
+      Check: {
+        type: "object",
+        description: "Check settings; see Check Types in the README",
+        required: ["type"],
+        properties: { type: { type: "string", enum: ["http", "keyword", "tcp", "dns", "tls"] } },
+        additionalProperties: true,
+      },
+      WebsiteInput: {
+        type: "object",
+        required: ["url"],
+        properties: {
+          url: { type: "string" },
+          interval: { type: "integer", description: "ms between checks (default 60000)" },
+          expectedStatus: { type: "integer", nullable: true },
+          check: { ...ref("Check"), nullable: true },
+        },
+      },
+      WebsiteUpdate: {
+        type: "object",
+        properties: {
+          interval: { type: "integer" },
+          expectedStatus: { type: "integer", nullable: true },
+          check: { ...ref("Check"), nullable: true },
+        },
+      },
+      Website: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          url: { type: "string" },
+          interval: { type: "integer" },
+          expectedStatus: { type: "integer", nullable: true },
+          check: { ...ref("Check"), nullable: true },
+        },
+      },
+      Tick: {
+        type: "object",
+        properties: {
+          timestamp: { type: "string", format: "date-time" },
+          websiteId: { type: "string" },
+          url: { type: "string" },
+          validatorId: { type: "string" },
+          status: { type: "string", enum: ["Good", "Degraded", "Bad"] },
+          statusCode: { type: "integer" },
+          latency: { type: "number" },
+          location: { type: "string" },
+          check: { type: "string" },
+          result: { type: "object", description: "What the check found, for protocol v2 validators" },
+        },
+      },
+      Uptime: {
+        type: "object",
+        properties: {
+          websiteId: { type: "string" },
+          since: { type: "string", format: "date-time" },
+          until: { type: "string", format: "date-time", nullable: true },
+          total: { type: "integer" },
+          good: { type: "integer" },
+          degraded: { type: "integer" },
+          bad: { type: "integer" },
+          uptime: { type: "number", nullable: true, description: "Percent of results that were up; null without results" },
+          averageLatency: { type: "number", nullable: true, description: "ms, over results that were up" },
+        },
+      },
+      LedgerEntry: {
+        type: "object",
+        properties: {
+          timestamp: { type: "string", format: "date-time" },
+          publicKey: { type: "string" },
+          validatorId: { type: "string" },
+          callbackId: { type: "string" },
+          websiteId: { type: "string" },
+          amount: { type: "integer", description: "Lamports" },
+        },
+      },
+      RewardSummary: {
+        type: "object",
+        properties: {
+          validatorId: { type: "string" },
+          pendingPayouts: { type: "integer" },
+          totalEarned: { type: "integer" },
+          daily: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                date: { type: "string", format: "date" },
+                validations: { type: "integer" },
+                amount: { type: "integer" },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+});
+
+module.exports = { adminOpenApi };
@@ -0,0 +1,232 @@
+const { randomUUID, createHash } = require("crypto");
+const logger = require("../../utils/logger").child("hub");
+const { encodeMessage, TO_VALIDATOR, CHECKS_VERSION } = require("../protocol");
+const { verifyCheck } = require("../checks");
+
+const DEFAULT_INTERVAL = 60000;
+const DEFAULT_VALIDATORS_PER_CHECK = 3;
+const DEFAULT_RESPONSE_TIMEOUT = 15000;
+
+/**
+ * Derive a stable website ID from its URL and check
+ * @param {string} url - Website URL
+ * @param {object} check - Check definition, or null for a plain HTTP check
+ * @returns {string} - Website ID
+ */
+const websiteIdFor = (url, check = null) => {
+  // Plain HTTP checks keep the IDs they had before other check types existed
+  const key = check ? `${url} ${JSON.stringify(check)}` : url;
+  return `website-${createHash("sha256").update(key).digest("hex").substring(0, 12)}`;
+};
+
+/**
+ * Normalize a website definition from the hub config
+ * @param {object} website - Website definition ({ url, interval, expectedStatus, check })
+ * @returns {object} - Website with ID and defaults applied
+ */
+const normalizeWebsite = (website) => {
+  if (!website || typeof website.url !== "string") {
+    throw new Error("Website must have a url");
+  }
+  if (website.interval !== undefined && website.interval !== null && (!Number.isInteger(website.interval) || website.interval < 1)) {
+    throw new Error(`Website interval must be a whole number of ms, got ${JSON.stringify(website.interval)}`);
+  }
+  if (website.expectedStatus !== undefined && website.expectedStatus !== null && !Number.isInteger(website.expectedStatus)) {
+    throw new Error(`Website expectedStatus must be a status code, got ${JSON.stringify(website.expectedStatus)}`);
+  }
+
+  // An HTTP check without options is the same as no check at all
+  const check = website.check && (website.check.type !== "http" || Object.keys(website.check).length > 1)
+    ? website.check
+    : null;
+
+  // Throws on malformed URLs, bad check options and targets a check can't connect to
+  verifyCheck(website.url, check || { type: "http" });
+
+  return {
+    id: website.id || websiteIdFor(website.url, check),
+    url: website.url,
+    interval: website.interval || DEFAULT_INTERVAL,
+    expectedStatus: website.expectedStatus || null,
+    check,
+  };
+};
+
+/**
+ * Create a scheduler that sends validate jobs to connected validators
+ * @param {object} options - Scheduler options
+ * @param {Function} options.getValidators - Returns an array of { validatorId, socket, protocolVersion } for connected validators
+ * @param {number} options.validatorsPerCheck - How many validators check each website per round
+ * @param {number} options.responseTimeout - How long a validator has to answer, in ms
+ * @param {Function} options.onTimeout - Called with the job when a validator does not answer in time
+ * @returns {object} - Scheduler
+ */
+const createScheduler = (options = {}) => {
+  const validatorsPerCheck = options.validatorsPerCheck || DEFAULT_VALIDATORS_PER_CHECK;
+  const responseTimeout = options.responseTimeout || DEFAULT_RESPONSE_TIMEOUT;
+  const onTimeout = options.onTimeout || (() => {});
+
+  // websiteId -> website with its next run time
+  const websites = new Map();
+  // callbackId -> job awaiting a reply
+  const pending = new Map();
+  let cursor = 0;
+  let timer = null;
+
+  /**
+   * Pick validators for a check, rotating through the connected validators
+   * that speak a protocol version able to run it
+   * @param {object} website - Website to check
+   * @returns {Array<object>} - Selected validators
+   */
+  const pickValidators = (website) => {
+    const minVersion = website.check ? CHECKS_VERSION : 1;
+    const connected = options.getValidators()
+      .filter((validator) => validator.protocolVersion >= minVersion)
+      .sort((a, b) => a.validatorId.localeCompare(b.validatorId));
+
+    if (connected.length <= validatorsPerCheck) {
+      return connected;
+    }
+
+    const picked = [];
+    for (let i = 0; i < validatorsPerCheck; i++) {
+      picked.push(connected[(cursor + i) % connected.length]);
+    }
+    cursor = (cursor + validatorsPerCheck) % connected.length;
+    return picked;
+  };
+
+  /**
+   * Send validate requests for a website to the selected validators
+   * @param {object} website - Website to check
+   * @returns {number} - Number of requests sent
+   */
+  const dispatch = (website) => {
+    const selected = pickValidators(website);
+
+    selected.forEach(({ validatorId, socket, protocolVersion }) => {
+      const callbackId = randomUUID();
+
+      const job = {
+        callbackId,
+        validatorId,
+        website,
+        sentAt: Date.now(),
+        timer: setTimeout(() => {
+          pending.delete(callbackId);
+          onTimeout(job);
+        }, responseTimeout),
+      };
+      pending.set(callbackId, job);
+
+      try {
+        socket.send(
+          encodeMessage(TO_VALIDATOR, "validate", {
+            url: website.url,
+            callbackId,
+            websiteId: website.id,
+            ...(website.check ? { check: website.check } : {}),
+          }, protocolVersion)
+        );
+        logger.debug(`Sent ${website.url} to ${validatorId} as ${callbackId}`);
+      } catch (error) {
+        clearTimeout(job.timer);
+        pending.delete(callbackId);
+        logger.error(`Failed to send validate request to ${validatorId}: ${error.message}`);
+      }
+    });
+
+    return selected.length;
+  };
+
+  /**
+   * Run every website that is due
+   */
+  const tick = () => {
+    if (options.getValidators().length === 0) {
+      return;
+    }
+
+    const now = Date.now();
+    websites.forEach((website) => {
+      if (website.nextRun > now) {
+        return;
+      }
+      // Leave websites due until someone can check them
+      if (dispatch(website) > 0) {
+        website.nextRun = now + website.interval;
+      }
+    });
+  };
+
+  return {
+    /**
+     * Add or replace a monitored website
+     * @param {object} website - Website definition
+     * @returns {object} - Normalized website
+     */
+    addWebsite: (website) => {
+      const normalized = normalizeWebsite(website);
+      websites.set(normalized.id, { ...normalized, nextRun: Date.now() });
+      return normalized;
+    },
+
+    /**
+     * Stop monitoring a website
+     * @param {string} websiteId - Website ID
+     * @returns {boolean} - True if the website was monitored
+     */
+    removeWebsite: (websiteId) => websites.delete(websiteId),
+
+    /**
+     * List monitored websites
+     * @returns {Array<object>} - Websites
+     */
+    listWebsites: () => Array.from(websites.values()).map(({ nextRun, ...website }) => website),
+
+    /**
+     * Match a validate reply to the job it answers
+     * @param {string} callbackId - Callback ID from the reply
+     * @param {string} validatorId - Validator that sent the reply
+     * @returns {object|null} - The job, or null if it was never issued to this validator or already expired
+     */
+    resolve: (callbackId, validatorId) => {
+      const job = pending.get(callbackId);
+      if (!job || job.validatorId !== validatorId) {
+        return null;
+      }
+
+      clearTimeout(job.timer);
+      pending.delete(callbackId);
+      return { ...job, responseTime: Date.now() - job.sentAt };
+    },
+
+    /**
+     * Number of jobs waiting for a reply
+     * @returns {number}
+     */
+    pendingCount: () => pending.size,
+
+    /**
+     * Start dispatching jobs
+     */
+    start: () => {
+      if (!timer) {
+        timer = setInterval(tick, 1000);
+      }
+    },
+
+    /**
+     * Stop dispatching jobs and drop pending ones
+     */
+    stop: () => {
+      clearInterval(timer);
+      timer = null;
+      pending.forEach((job) => clearTimeout(job.timer));
+      pending.clear();
+    },
+  };
+};
+
+module.exports = { createScheduler, normalizeWebsite, websiteIdFor };
@@ -0,0 +1,251 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+// How long validator changes may wait before validators.json is rewritten, in ms
+const VALIDATORS_WRITE_DELAY = 1000;
+
+/**
+ * Build a predicate for timestamped records such as ticks and ledger entries
+ * @param {object} query - Query ({ since, until } plus fields that must match exactly; limit is ignored)
+ * @returns {function(object): boolean} - Whether a record matches
+ */
+const recordMatcher = (query = {}) => {
+  const { since, until, limit, ...fields } = query;
+  const sinceTime = since ? new Date(since).getTime() : null;
+  const untilTime = until ? new Date(until).getTime() : null;
+
+  return (record) => {
+    const time = new Date(record.timestamp).getTime();
+    return Object.keys(fields).every((key) => fields[key] === undefined || record[key] === fields[key]) &&
+      (sinceTime === null || time >= sinceTime) &&
+      (untilTime === null || time <= untilTime);
+  };
+};
+
+/**
+ * Filter and limit timestamped records such as ticks and ledger entries
+ * @param {Array<object>} records - Records in the order they were written
+ * @param {object} query - Query ({ since, until, limit } plus fields that must match exactly)
+ * @returns {Array<object>} - Matching records, newest last
+ */
+const filterRecords = (records, query = {}) => {
+  const matching = records.filter(recordMatcher(query));
+  return query.limit ? matching.slice(-query.limit) : matching;
+};
+
+/**
+ * Create an in-memory store. Nothing survives a restart; useful for tests and throwaway hubs
+ * @returns {object} - Store
+ */
+const createMemoryStore = () => {
+  const validators = new Map();
+  const websites = new Map();
+  const removedWebsites = new Set();
+  const ticks = [];
+  const ledger = [];
+
+  return {
+    saveValidator: (validator) => {
+      validators.set(validator.publicKey, { ...validator });
+    },
+    getValidator: (publicKey) => validators.get(publicKey) || null,
+    listValidators: () => Array.from(validators.values()),
+
+    saveWebsite: (website) => {
+      websites.set(website.id, { ...website });
+      removedWebsites.delete(website.id);
+    },
+    removeWebsite: (websiteId) => {
+      if (!websites.delete(websiteId)) {
+        return false;
+      }
+      removedWebsites.add(websiteId);
+      return true;
+    },
+    listWebsites: () => Array.from(websites.values()),
+    isWebsiteRemoved: (websiteId) => removedWebsites.has(websiteId),
+
+    appendTick: (tick) => {
+      ticks.push({ ...tick });
+    },
+    queryTicks: async (query) => filterRecords(ticks, query),
+
+    appendLedgerEntry: (entry) => {
+      ledger.push({ ...entry });
+    },
+    queryLedger: async (query) => filterRecords(ledger, query),
+
+    flush: () => {},
+  };
+};
+
+/**
+ * Read a JSON file, returning a fallback if it doesn't exist yet
+ * @param {string} filePath - File to read
+ * @param {*} fallback - Value to return for a missing file
+ * @returns {*} - Parsed contents
+ */
+const readJson = (filePath, fallback) => {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+};
+
+/**
+ * Write a JSON file atomically so a crash can't leave it half written
+ * @param {string} filePath - File to write
+ * @param {*} value - Value to serialize
+ */
+const writeJson = (filePath, value) => {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(value, null, 2));
+  fs.renameSync(tempPath, filePath);
+};
+
+/**
+ * Create a file-backed store. Validators, websites and removed website IDs are
+ * JSON documents, ticks and ledger entries are appended to NDJSON logs.
+ * Validators change with every credited tick, so their writes are batched;
+ * call flush() before exiting
+ * @param {object} options - Store options
+ * @param {string} options.directory - Directory holding the data files
+ * @returns {object} - Store
+ */
+const createFileStore = (options = {}) => {
+  const directory = path.resolve(options.directory || "./data");
+  fs.mkdirSync(directory, { recursive: true });
+
+  const validatorsPath = path.join(directory, "validators.json");
+  const websitesPath = path.join(directory, "websites.json");
+  const removedWebsitesPath = path.join(directory, "removed-websites.json");
+  const ticksPath = path.join(directory, "ticks.ndjson");
+  const ledgerPath = path.join(directory, "ledger.ndjson");
+
+  // Keep documents in memory; websites are written through on every change, validators in batches
+  const validators = readJson(validatorsPath, {});
+  const websites = readJson(websitesPath, {});
+  // Removal time by website ID, so the hub config doesn't bring removed websites back
+  const removedWebsites = readJson(removedWebsitesPath, {});
+
+  // Pending write of validators.json, if any
+  let validatorsTimer = null;
+
+  /**
+   * Write validators.json now if it has unsaved changes
+   */
+  const flushValidators = () => {
+    if (!validatorsTimer) {
+      return;
+    }
+    clearTimeout(validatorsTimer);
+    validatorsTimer = null;
+    writeJson(validatorsPath, validators);
+  };
+
+  /**
+   * Stream an NDJSON log line by line, keeping only the records a query matches.
+   * Lines torn by a crash are skipped
+   * @param {string} logPath - Log file
+   * @param {object} query - Query ({ since, until, limit } plus fields that must match exactly)
+   * @returns {Promise<Array<object>>} - Matching records, newest last
+   */
+  const readLog = async (logPath, query = {}) => {
+    if (!fs.existsSync(logPath)) {
+      return [];
+    }
+
+    const matches = recordMatcher(query);
+    const matching = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(logPath, "utf-8"), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+      if (matches(record)) {
+        matching.push(record);
+        // Only the newest `limit` matches are returned, so don't hold on to older ones
+        if (query.limit && matching.length > query.limit) {
+          matching.shift();
+        }
+      }
+    }
+    return matching;
+  };
+
+  return {
+    directory,
+
+    saveValidator: (validator) => {
+      validators[validator.publicKey] = { ...validator };
+      // One write covers every change made until it runs
+      if (!validatorsTimer) {
+        validatorsTimer = setTimeout(flushValidators, VALIDATORS_WRITE_DELAY);
+        validatorsTimer.unref();
+      }
+    },
+    getValidator: (publicKey) => validators[publicKey] || null,
+    listValidators: () => Object.values(validators),
+
+    saveWebsite: (website) => {
+      websites[website.id] = { ...website };
+      writeJson(websitesPath, websites);
+      if (removedWebsites[website.id]) {
+        delete removedWebsites[website.id];
+        writeJson(removedWebsitesPath, removedWebsites);
+      }
+    },
+    removeWebsite: (websiteId) => {
+      if (!websites[websiteId]) {
+        return false;
+      }
+      delete websites[websiteId];
+      writeJson(websitesPath, websites);
+      removedWebsites[websiteId] = new Date().toISOString();
+      writeJson(removedWebsitesPath, removedWebsites);
+      return true;
+    },
+    listWebsites: () => Object.values(websites),
+    isWebsiteRemoved: (websiteId) => Boolean(removedWebsites[websiteId]),
+
+    appendTick: (tick) => {
+      fs.appendFileSync(ticksPath, `${JSON.stringify(tick)}\n`);
+    },
+    queryTicks: (query) => readLog(ticksPath, query),
+
+    appendLedgerEntry: (entry) => {
+      fs.appendFileSync(ledgerPath, `${JSON.stringify(entry)}\n`);
+    },
+    queryLedger: (query) => readLog(ledgerPath, query),
+
+    flush: flushValidators,
+  };
+};
+
+// Available storage drivers, selected by the hub config's storage.driver
+const drivers = {
+  file: createFileStore,
+  memory: createMemoryStore,
+};
+
+/**
+ * Create the hub's storage
+ * @param {object} options - Storage options ({ driver, ...driverOptions })
+ * @returns {object} - Store exposing validator, website, tick and ledger operations
+ */
+const createStorage = (options = {}) => {
+  const driver = options.driver || "file";
+  if (!drivers[driver]) {
+    throw new Error(`Unknown storage driver "${driver}" (available: ${Object.keys(drivers).join(", ")})`);
+  }
+  return drivers[driver](options);
+};
+
+module.exports = { createStorage, drivers, VALIDATORS_WRITE_DELAY };
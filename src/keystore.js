@@ -0,0 +1,273 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { Writable } = require("stream");
+const { scryptSync, randomBytes } = require("crypto");
+const nacl = require("tweetnacl");
+const naclUtil = require("tweetnacl-util");
+const { keypairFromString } = require("./auth");
+
+const KEYSTORE_VERSION = 1;
+
+// scrypt cost parameters for new keystores (~64MB, well under a second)
+const SCRYPT_PARAMS = { N: 2 ** 16, r: 8, p: 1 };
+
+/**
+ * Check the scrypt parameters a keystore file asks for. They are read from
+ * the file, so they are capped at the ones new keystores use; otherwise a
+ * crafted keystore could make decryption allocate or compute without bound
+ * @param {object} params - scrypt parameters ({ N, r, p })
+ */
+const checkScryptParams = (params) => {
+  if (!params || typeof params !== "object") {
+    throw new Error("Keystore is missing its scrypt parameters");
+  }
+  ["N", "r", "p"].forEach((name) => {
+    const value = params[name];
+    if (!Number.isInteger(value) || value < 1 || value > SCRYPT_PARAMS[name]) {
+      throw new Error(`Keystore scrypt parameter ${name} must be a whole number from 1 to ${SCRYPT_PARAMS[name]}, got ${JSON.stringify(value)}`);
+    }
+  });
+  // scrypt needs N to be a power of two above 1
+  if (params.N < 2 || (params.N & (params.N - 1)) !== 0) {
+    throw new Error(`Keystore scrypt parameter N must be a power of two, got ${params.N}`);
+  }
+};
+
+/**
+ * Derive the secretbox key from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Uint8Array} salt - Random salt
+ * @param {object} params - scrypt parameters ({ N, r, p })
+ * @returns {Uint8Array} - 32 byte key
+ */
+const deriveKey = (passphrase, salt, params) => {
+  const key = scryptSync(passphrase.normalize("NFKC"), salt, nacl.secretbox.keyLength, {
+    N: params.N,
+    r: params.r,
+    p: params.p,
+    maxmem: 256 * params.N * params.r,
+  });
+  return new Uint8Array(key);
+};
+
+/**
+ * Check whether key file contents are an encrypted keystore
+ * @param {string} contents - Key file contents
+ * @returns {boolean} - True for an encrypted keystore, false for a plaintext key
+ */
+const isEncryptedKeystore = (contents) => {
+  try {
+    const parsed = JSON.parse(contents);
+    return Boolean(parsed && parsed.version && parsed.crypto);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check whether a key file holds an encrypted keystore
+ * @param {string} filePath - Key file path
+ * @returns {boolean}
+ */
+const isKeyFileEncrypted = (filePath) => isEncryptedKeystore(fs.readFileSync(filePath, "utf-8"));
+
+/**
+ * Encrypt a secret key into a versioned keystore
+ * @param {Uint8Array} secretKey - 64 byte nacl secret key
+ * @param {string} passphrase - Passphrase to protect it with
+ * @returns {object} - Keystore, ready to be written as JSON
+ */
+const encryptSecretKey = (secretKey, passphrase) => {
+  if (!passphrase) {
+    throw new Error("Passphrase must not be empty");
+  }
+
+  const salt = new Uint8Array(randomBytes(32));
+  const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+  const key = deriveKey(passphrase, salt, SCRYPT_PARAMS);
+  const keypair = nacl.sign.keyPair.fromSecretKey(secretKey);
+
+  return {
+    version: KEYSTORE_VERSION,
+    // Stored in the clear so the key can be identified without the passphrase
+    publicKey: naclUtil.encodeBase64(keypair.publicKey),
+    crypto: {
+      kdf: "scrypt",
+      kdfparams: { ...SCRYPT_PARAMS, salt: naclUtil.encodeBase64(salt) },
+      cipher: "xsalsa20-poly1305",
+      nonce: naclUtil.encodeBase64(nonce),
+      ciphertext: naclUtil.encodeBase64(nacl.secretbox(secretKey, nonce, key)),
+    },
+  };
+};
+
+/**
+ * Decrypt a keystore
+ * @param {object} keystore - Parsed keystore
+ * @param {string} passphrase - Passphrase it was encrypted with
+ * @returns {Uint8Array} - 64 byte nacl secret key
+ */
+const decryptSecretKey = (keystore, passphrase) => {
+  if (keystore.version !== KEYSTORE_VERSION) {
+    throw new Error(`Unsupported keystore version ${keystore.version}`);
+  }
+
+  const { kdf, kdfparams, cipher, nonce, ciphertext } = keystore.crypto;
+  if (kdf !== "scrypt" || cipher !== "xsalsa20-poly1305") {
+    throw new Error(`Unsupported keystore encryption ${kdf}/${cipher}`);
+  }
+
+  checkScryptParams(kdfparams);
+  const key = deriveKey(passphrase, naclUtil.decodeBase64(kdfparams.salt), kdfparams);
+  const secretKey = nacl.secretbox.open(naclUtil.decodeBase64(ciphertext), naclUtil.decodeBase64(nonce), key);
+  if (!secretKey) {
+    throw new Error("Wrong passphrase or corrupted keystore");
+  }
+
+  return secretKey;
+};
+
+/**
+ * Read the secret key from a plaintext or encrypted key file
+ * @param {string} filePath - Key file path
+ * @param {string} passphrase - Passphrase, required for encrypted key files
+ * @returns {Uint8Array} - 64 byte nacl secret key
+ */
+const readSecretKey = (filePath, passphrase = null) => {
+  const contents = fs.readFileSync(filePath, "utf-8").trim();
+
+  if (!isEncryptedKeystore(contents)) {
+    return keypairFromString(contents).secretKey;
+  }
+
+  if (!passphrase) {
+    throw new Error("Key file is encrypted and no passphrase was provided");
+  }
+  return decryptSecretKey(JSON.parse(contents), passphrase);
+};
+
+/**
+ * Read the public key of a key file without needing its passphrase
+ * @param {string} filePath - Key file path
+ * @returns {string} - Base64 encoded public key
+ */
+const readPublicKey = (filePath) => {
+  const contents = fs.readFileSync(filePath, "utf-8").trim();
+
+  if (isEncryptedKeystore(contents)) {
+    return JSON.parse(contents).publicKey;
+  }
+  return naclUtil.encodeBase64(keypairFromString(contents).publicKey);
+};
+
+/**
+ * Write a keypair as privateKey.txt and publicKey.txt style files
+ * @param {string} privateKeyPath - Where to write the private key; the public key goes next to it as publicKey.txt
+ * @param {object} keypair - Nacl keypair
+ * @param {string} passphrase - Encrypt the private key with this passphrase, or null for plaintext
+ * @returns {object} - { privateKeyPath, publicKeyPath }
+ */
+const writeKeyFiles = (privateKeyPath, keypair, passphrase = null) => {
+  const publicKeyPath = path.join(path.dirname(privateKeyPath), "publicKey.txt");
+  const contents = passphrase
+    ? JSON.stringify(encryptSecretKey(keypair.secretKey, passphrase), null, 2)
+    : naclUtil.encodeBase64(keypair.secretKey);
+
+  fs.mkdirSync(path.dirname(privateKeyPath), { recursive: true });
+  fs.writeFileSync(privateKeyPath, contents, { mode: 0o600 });
+  fs.writeFileSync(publicKeyPath, naclUtil.encodeBase64(keypair.publicKey));
+  return { privateKeyPath, publicKeyPath };
+};
+
+/**
+ * Prompt for a passphrase on the terminal without echoing it
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} - Entered passphrase
+ */
+const promptPassphrase = (question) => {
+  return new Promise((resolve, reject) => {
+    if (!process.stdin.isTTY) {
+      reject(new Error("No terminal to prompt on; set VALIDATOR_KEY_PASSPHRASE or use --passphrase-file"));
+      return;
+    }
+
+    // Echo the prompt but not what's typed
+    let muted = false;
+    const output = new Writable({
+      write: (chunk, encoding, callback) => {
+        if (!muted) {
+          process.stderr.write(chunk, encoding);
+        }
+        callback();
+      },
+    });
+
+    const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stderr.write("\n");
+      resolve(answer);
+    });
+    muted = true;
+  });
+};
+
+/**
+ * Read a passphrase piped to standard input, up to the end of input
+ * @returns {Promise<string>} - Passphrase
+ */
+const readPassphraseFromStdin = () => {
+  return new Promise((resolve, reject) => {
+    let input = "";
+    process.stdin.setEncoding("utf-8");
+    process.stdin.on("data", (chunk) => {
+      input += chunk;
+    });
+    process.stdin.on("end", () => resolve(input.replace(/\r?\n$/, "")));
+    process.stdin.on("error", reject);
+  });
+};
+
+/**
+ * Work out the passphrase for a key file, for interactive and unattended use.
+ * Sources, in order: --passphrase-file, --passphrase-stdin,
+ * VALIDATOR_KEY_PASSPHRASE, VALIDATOR_KEY_PASSPHRASE_FILE, then a terminal prompt
+ * @param {object} options - Command options ({ passphraseFile, passphraseStdin })
+ * @param {boolean} confirm - Ask twice when prompting, for setting a new passphrase
+ * @returns {Promise<string>} - Passphrase
+ */
+const resolvePassphrase = async (options = {}, confirm = false) => {
+  const passphraseFile = options.passphraseFile ||
+    (!process.env.VALIDATOR_KEY_PASSPHRASE && process.env.VALIDATOR_KEY_PASSPHRASE_FILE);
+
+  if (passphraseFile) {
+    // Drop the trailing newline editors add, keep everything else verbatim
+    return fs.readFileSync(passphraseFile, "utf-8").replace(/\r?\n$/, "");
+  }
+  if (options.passphraseStdin) {
+    return readPassphraseFromStdin();
+  }
+  if (process.env.VALIDATOR_KEY_PASSPHRASE) {
+    return process.env.VALIDATOR_KEY_PASSPHRASE;
+  }
+
+  const passphrase = await promptPassphrase("Key passphrase: ");
+  if (confirm && passphrase !== await promptPassphrase("Repeat passphrase: ")) {
+    throw new Error("Passphrases do not match");
+  }
+  return passphrase;
+};
+
+module.exports = {
+  KEYSTORE_VERSION,
+  isEncryptedKeystore,
+  isKeyFileEncrypted,
+  encryptSecretKey,
+  decryptSecretKey,
+  readSecretKey,
+  readPublicKey,
+  writeKeyFiles,
+  promptPassphrase,
+  resolvePassphrase,
+};
@@ -0,0 +1,221 @@
+const http = require("http");
+
+// Latency buckets in seconds, from a fast local answer to a check timing out
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {*} value - Label value
+ * @returns {string}
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+
+/**
+ * Write a label set as {name="value",...}
+ * @param {object} labels - Label names and values
+ * @returns {string} - Empty when there are no labels
+ */
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length > 0 ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}` : "";
+};
+
+/**
+ * Write a sample value, with Prometheus' spelling of infinity
+ * @param {number} value - Sample value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  if (value === -Infinity) {
+    return "-Inf";
+  }
+  return String(value);
+};
+
+/**
+ * Create a metrics registry: counters, gauges and histograms, rendered in the
+ * Prometheus text format on each scrape
+ * @returns {object} - Registry
+ */
+const createRegistry = () => {
+  const metrics = [];
+
+  /**
+   * Add a metric to the registry
+   * @param {string} type - counter, gauge or histogram
+   * @param {object} definition - { name, help, labels }
+   * @param {function} samples - Returns the metric's sample lines
+   */
+  const register = (type, { name, help, labels = [] }, samples) => {
+    if (metrics.some((metric) => metric.name === name)) {
+      throw new Error(`Metric ${name} is already registered`);
+    }
+    metrics.push({ type, name, help, labels, samples });
+  };
+
+  /**
+   * Key of a label set, in the order the metric declares its labels
+   * @param {string[]} names - Label names of the metric
+   * @param {object} labels - Label values
+   * @returns {string}
+   */
+  const keyOf = (names, labels) => JSON.stringify(names.map((label) => (labels[label] === undefined ? "" : String(labels[label]))));
+
+  /**
+   * Label values from a key made by keyOf
+   * @param {string[]} names - Label names of the metric
+   * @param {string} key - Key from keyOf
+   * @returns {object}
+   */
+  const labelsOf = (names, key) => {
+    const values = JSON.parse(key);
+    return Object.fromEntries(names.map((label, index) => [label, values[index]]));
+  };
+
+  return {
+    /**
+     * Add a counter, a value that only goes up
+     * @param {object} definition - Metric definition
+     * @param {string} definition.name - Metric name, ending in _total
+     * @param {string} definition.help - What it counts
+     * @param {string[]} definition.labels - Label names
+     * @returns {object} - { inc(labels, amount) }
+     */
+    counter: (definition) => {
+      const values = new Map();
+      const { name, labels = [] } = definition;
+      register("counter", definition, () => Array.from(values.entries())
+        .map(([key, value]) => `${name}${formatLabels(labelsOf(labels, key))} ${formatValue(value)}`));
+
+      // Without labels the counter is reported from the start, at 0
+      if (labels.length === 0) {
+        values.set(keyOf(labels, {}), 0);
+      }
+
+      return {
+        inc: (labelValues = {}, amount = 1) => {
+          const key = keyOf(labels, labelValues);
+          values.set(key, (values.get(key) || 0) + amount);
+        },
+      };
+    },
+
+    /**
+     * Add a gauge, a value that goes up and down. A gauge with collect is
+     * read on each scrape instead of being set
+     * @param {object} definition - Metric definition
+     * @param {string} definition.name - Metric name
+     * @param {string} definition.help - What it measures
+     * @param {string[]} definition.labels - Label names
+     * @param {function} definition.collect - Returns the value, or an array of { labels, value }
+     * @returns {object} - { set(value, labels) }
+     */
+    gauge: (definition) => {
+      const values = new Map();
+      const { name, labels = [], collect } = definition;
+      register("gauge", definition, () => {
+        const current = collect ? collect() : Array.from(values.entries()).map(([key, value]) => ({ labels: labelsOf(labels, key), value }));
+        const samples = Array.isArray(current) ? current : [{ labels: {}, value: current }];
+        return samples.map((sample) => `${name}${formatLabels(sample.labels || {})} ${formatValue(sample.value)}`);
+      });
+
+      return {
+        set: (value, labelValues = {}) => {
+          values.set(keyOf(labels, labelValues), value);
+        },
+      };
+    },
+
+    /**
+     * Add a histogram, counting observations into cumulative buckets
+     * @param {object} definition - Metric definition
+     * @param {string} definition.name - Metric name, with its unit, e.g. _seconds
+     * @param {string} definition.help - What it observes
+     * @param {string[]} definition.labels - Label names
+     * @param {number[]} definition.buckets - Upper bounds of the buckets, ascending
+     * @returns {object} - { observe(value, labels) }
+     */
+    histogram: (definition) => {
+      const values = new Map();
+      const { name, labels = [], buckets = DEFAULT_BUCKETS } = definition;
+      register("histogram", definition, () => Array.from(values.entries()).flatMap(([key, series]) => {
+        const labelValues = labelsOf(labels, key);
+        return [
+          ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labelValues, le: formatValue(bound) })} ${series.counts[index]}`),
+          `${name}_bucket${formatLabels({ ...labelValues, le: "+Inf" })} ${series.count}`,
+          `${name}_sum${formatLabels(labelValues)} ${formatValue(series.sum)}`,
+          `${name}_count${formatLabels(labelValues)} ${series.count}`,
+        ];
+      }));
+
+      return {
+        observe: (value, labelValues = {}) => {
+          const key = keyOf(labels, labelValues);
+          if (!values.has(key)) {
+            values.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+          }
+          const series = values.get(key);
+          buckets.forEach((bound, index) => {
+            if (value <= bound) {
+              series.counts[index] += 1;
+            }
+          });
+          series.sum += value;
+          series.count += 1;
+        },
+      };
+    },
+
+    /**
+     * Render every metric in the Prometheus text exposition format
+     * @returns {string}
+     */
+    render: () => metrics.map(({ type, name, help, samples }) => [
+      `# HELP ${name} ${help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`,
+      `# TYPE ${name} ${type}`,
+      ...samples(),
+    ].join("\n")).join("\n") + "\n",
+  };
+};
+
+/**
+ * Serve a registry at /metrics over plain HTTP, for Prometheus to scrape
+ * @param {object} registry - Registry from createRegistry
+ * @param {object} options - Listen options
+ * @param {string} options.host - Address to listen on
+ * @param {number} options.port - Port to listen on
+ * @returns {Promise<object>} - HTTP server; close it to stop serving
+ */
+const startMetricsServer = async (registry, { host = "127.0.0.1", port }) => {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (req.method !== "GET" || pathname !== "/metrics") {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("Not found; metrics are at /metrics\n");
+      return;
+    }
+
+    try {
+      const body = registry.render();
+      res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+      res.end(body);
+    } catch (error) {
+      res.writeHead(500, { "Content-Type": "text/plain" });
+      res.end(`${error.message}\n`);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+
+  // Scrapes shouldn't keep a stopping process alive
+  server.unref();
+  return server;
+};
+
+module.exports = { DEFAULT_BUCKETS, createRegistry, startMetricsServer };
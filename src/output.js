@@ -0,0 +1,122 @@
+// Formats the CLI can print a command's result in. "table" is the human
+// readable output each command draws itself; the rest are for scripts
+const OUTPUT_FORMATS = ["table", "json", "yaml", "plain"];
+
+/**
+ * Turn values JSON would also change (Dates, undefined) into plain data
+ * @param {*} value - Value to normalize
+ * @returns {*} - JSON-compatible value
+ */
+const normalize = (value) => JSON.parse(JSON.stringify(value === undefined ? null : value));
+
+/**
+ * Quote a YAML string when it would otherwise read as something else
+ * @param {string} value - String to write
+ * @returns {string}
+ */
+const yamlString = (value) => {
+  const plain = /^[A-Za-z0-9_./(][A-Za-z0-9 _./@()+,:-]*$/.test(value)
+    && !/^(true|false|null|yes|no|on|off|~)$/i.test(value)
+    && Number.isNaN(Number(value))
+    && !/(: | #)|[ :]$/.test(value);
+  return plain ? value : JSON.stringify(value);
+};
+
+/**
+ * Write a scalar as YAML
+ * @param {*} value - null, boolean, number or string
+ * @returns {string}
+ */
+const yamlScalar = (value) => (typeof value === "string" ? yamlString(value) : String(value));
+
+/**
+ * Write a value as YAML lines, indented by depth
+ * @param {*} value - JSON-compatible value
+ * @param {number} depth - Nesting depth
+ * @returns {string[]}
+ */
+const yamlLines = (value, depth) => {
+  const indent = "  ".repeat(depth);
+  const isEmpty = (entry) => entry === null || typeof entry !== "object" || Object.keys(entry).length === 0;
+  const inline = (entry) => (Array.isArray(entry) ? "[]" : entry !== null && typeof entry === "object" ? "{}" : yamlScalar(entry));
+
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => {
+      if (isEmpty(item)) {
+        return [`${indent}- ${inline(item)}`];
+      }
+      // The first line of a nested block goes on the dash's own line
+      const [first, ...rest] = yamlLines(item, depth + 1);
+      return [`${indent}- ${first.trimStart()}`, ...rest];
+    });
+  }
+
+  return Object.entries(value).flatMap(([key, entry]) => {
+    const name = yamlString(key);
+    if (isEmpty(entry)) {
+      return [`${indent}${name}: ${inline(entry)}`];
+    }
+    return [`${indent}${name}:`, ...yamlLines(entry, Array.isArray(entry) ? depth : depth + 1)];
+  });
+};
+
+/**
+ * Write a value as YAML
+ * @param {*} value - Value to write
+ * @returns {string}
+ */
+const toYaml = (value) => {
+  const data = normalize(value);
+  if (data === null || typeof data !== "object" || Object.keys(data).length === 0) {
+    return Array.isArray(data) ? "[]" : data !== null && typeof data === "object" ? "{}" : yamlScalar(data);
+  }
+  return yamlLines(data, 0).join("\n");
+};
+
+/**
+ * Write a value as "key<TAB>value" lines, with nested keys joined by dots
+ * and array items by their index, for grep, cut and awk. A scalar result is
+ * printed on its own
+ * @param {*} value - Value to write
+ * @returns {string}
+ */
+const toPlain = (value) => {
+  const data = normalize(value);
+  if (data === null || typeof data !== "object") {
+    return data === null ? "" : String(data);
+  }
+
+  const lines = [];
+  const walk = (entry, prefix) => {
+    if (entry !== null && typeof entry === "object" && Object.keys(entry).length > 0) {
+      Object.entries(entry).forEach(([key, child]) => walk(child, prefix ? `${prefix}.${key}` : key));
+    } else if (entry !== null && typeof entry === "object") {
+      lines.push(`${prefix}\t`);
+    } else {
+      lines.push(`${prefix}\t${entry === null ? "" : entry}`);
+    }
+  };
+  walk(data, "");
+  return lines.join("\n");
+};
+
+/**
+ * Render a command result in a machine-readable format
+ * @param {*} result - Command result
+ * @param {string} format - json, yaml or plain
+ * @returns {string}
+ */
+const formatOutput = (result, format) => {
+  switch (format) {
+    case "json":
+      return JSON.stringify(result === undefined ? null : result, null, 2);
+    case "yaml":
+      return toYaml(result);
+    case "plain":
+      return toPlain(result);
+    default:
+      throw new Error(`Unknown output format ${format}; use one of ${OUTPUT_FORMATS.join(", ")}`);
+  }
+};
+
+module.exports = { OUTPUT_FORMATS, formatOutput };
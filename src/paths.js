@@ -0,0 +1,39 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Directory for runtime state of a running validator (control socket, PID and log files)
+ * @returns {string} - Absolute path, created if missing
+ */
+const getStateDir = () => {
+  const stateHome = process.env.XDG_STATE_HOME || path.join(os.homedir(), ".local", "state");
+  const stateDir = process.env.VALIDATOR_STATE_DIR || path.join(stateHome, "validator-cli");
+  fs.mkdirSync(stateDir, { recursive: true, mode: 0o700 });
+  return stateDir;
+};
+
+/**
+ * Path of the running validator's control socket
+ * @returns {string} - Unix socket path, or a named pipe on Windows
+ */
+const getControlSocketPath = () => {
+  if (process.env.VALIDATOR_CONTROL_SOCKET) {
+    return process.env.VALIDATOR_CONTROL_SOCKET;
+  }
+  if (process.platform === "win32") {
+    return "\\\\.\\pipe\\validator-cli";
+  }
+  return path.join(getStateDir(), "validator.sock");
+};
+
+/**
+ * Path of the per-user config file, shared by every project directory
+ * @returns {string} - Absolute path; the file may not exist
+ */
+const getUserConfigPath = () => {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(configHome, "validator-cli", "config.json");
+};
+
+module.exports = { getStateDir, getControlSocketPath, getUserConfigPath };
@@ -0,0 +1,447 @@
+/**
+ * Messages exchanged between validators and the hub. Every message is
+ * { type, data }; a connection starts with a hello exchange that settles the
+ * protocol version, and both ends check every message against the schemas
+ * below before acting on it
+ */
+
+// Protocol versions this code speaks, newest last. Version 2 added check
+// kinds other than HTTP
+const SUPPORTED_VERSIONS = [1, 2];
+const PROTOCOL_VERSION = SUPPORTED_VERSIONS[SUPPORTED_VERSIONS.length - 1];
+
+// First version whose validate messages carry a check and its result
+const CHECKS_VERSION = 2;
+
+// Codes carried by error messages
+const ERROR_CODES = [
+  "INVALID_MESSAGE",
+  "UNKNOWN_TYPE",
+  "UNSUPPORTED_VERSION",
+  "HELLO_REQUIRED",
+  "INVALID_SIGNATURE",
+  "REPLAYED_MESSAGE",
+  "UNKNOWN_VALIDATOR",
+  "UNKNOWN_CALLBACK",
+  "KEY_ROTATED",
+  "KEY_IN_USE",
+];
+
+// Who sends a message: TO_HUB from validators, TO_VALIDATOR from the hub
+const TO_HUB = "toHub";
+const TO_VALIDATOR = "toValidator";
+
+// DNS record types a dns check can ask for
+const DNS_RECORD_TYPES = ["A", "AAAA", "CNAME", "MX", "NS", "TXT"];
+
+// Methods an HTTP check can send
+const HTTP_METHODS = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"];
+
+// How a check's result is judged: Degraded is up but slower than the check allows
+const CHECK_STATUSES = ["Good", "Degraded", "Bad"];
+
+/**
+ * Request options and response assertions of the checks that make an HTTP
+ * request. expectedStatus holds codes (200) and ranges ("2xx", "200-299");
+ * expectHeaders maps response header names to text their value must contain
+ */
+const HTTP_OPTIONS = {
+  method: { type: "string", enum: HTTP_METHODS, optional: true },
+  headers: { type: "object", values: "string", optional: true },
+  body: { type: "string", optional: true },
+  auth: {
+    type: "object",
+    variants: {
+      basic: { username: { type: "string" }, password: { type: "string" } },
+      bearer: { token: { type: "string" } },
+    },
+    optional: true,
+  },
+  expectedStatus: { type: "array", items: ["integer", "string"], optional: true },
+  expectHeaders: { type: "object", values: "string", optional: true },
+  maxResponseTime: { type: "integer", optional: true },
+};
+
+/**
+ * Options each check kind takes, keyed by its type. The target comes from the
+ * website URL; host and port override it
+ */
+const CHECKS = {
+  http: HTTP_OPTIONS,
+  keyword: {
+    ...HTTP_OPTIONS,
+    keyword: { type: "string" },
+    present: { type: "boolean", optional: true },
+    caseSensitive: { type: "boolean", optional: true },
+  },
+  tcp: {
+    host: { type: "string", optional: true },
+    port: { type: "integer", optional: true },
+  },
+  dns: {
+    host: { type: "string", optional: true },
+    recordType: { type: "string", enum: DNS_RECORD_TYPES, optional: true },
+    expected: { type: "array", items: "string", optional: true },
+  },
+  tls: {
+    host: { type: "string", optional: true },
+    port: { type: "integer", optional: true },
+    minDaysRemaining: { type: "integer", optional: true },
+  },
+};
+
+/**
+ * Timing of one request hop, in ms: DNS lookup, TCP connect, TLS handshake,
+ * time to first byte and content transfer. Phases a hop skipped are null
+ */
+const TIMING_FIELDS = {
+  url: { type: "string" },
+  method: { type: "string" },
+  status: { type: "integer" },
+  dns: { type: "number", nullable: true },
+  connect: { type: "number", nullable: true },
+  tls: { type: "number", nullable: true },
+  ttfb: { type: "number", nullable: true },
+  download: { type: "number", nullable: true },
+  total: { type: "number", nullable: true },
+};
+
+/**
+ * Result each check kind reports, keyed by its type. error explains a check
+ * that could not run at all
+ */
+const CHECK_RESULTS = {
+  http: {
+    statusCode: { type: "integer" },
+    latency: { type: "number" },
+    failures: { type: "array", items: "string" },
+    timings: { type: "array", items: "object", fields: TIMING_FIELDS, optional: true },
+    error: { type: "string", optional: true },
+  },
+  keyword: {
+    statusCode: { type: "integer" },
+    latency: { type: "number" },
+    found: { type: "boolean" },
+    failures: { type: "array", items: "string" },
+    timings: { type: "array", items: "object", fields: TIMING_FIELDS, optional: true },
+    error: { type: "string", optional: true },
+  },
+  tcp: {
+    host: { type: "string" },
+    port: { type: "integer" },
+    connected: { type: "boolean" },
+    connectTime: { type: "number", nullable: true },
+    error: { type: "string", optional: true },
+  },
+  dns: {
+    host: { type: "string" },
+    recordType: { type: "string", enum: DNS_RECORD_TYPES },
+    records: { type: "array", items: "string" },
+    missing: { type: "array", items: "string" },
+    resolveTime: { type: "number", nullable: true },
+    error: { type: "string", optional: true },
+  },
+  tls: {
+    host: { type: "string" },
+    port: { type: "integer" },
+    authorized: { type: "boolean" },
+    authorizationError: { type: "string", nullable: true },
+    subject: { type: "string", nullable: true },
+    issuer: { type: "string", nullable: true },
+    validFrom: { type: "string", nullable: true },
+    validTo: { type: "string", nullable: true },
+    daysRemaining: { type: "integer", nullable: true },
+    handshakeTime: { type: "number", nullable: true },
+    error: { type: "string", optional: true },
+  },
+};
+
+/**
+ * Message schemas by direction and type. Each field lists its type and
+ * whether it may be left out; fields not listed are rejected. Fields with
+ * since only exist from that protocol version on, and objects with variants
+ * are checked against the variant named by their own type field. items and
+ * values give the type of array items and object values, and fields the
+ * schema of object items
+ */
+const MESSAGES = {
+  [TO_HUB]: {
+    hello: {
+      versions: { type: "array", items: "integer" },
+      client: { type: "string", optional: true },
+    },
+    signup: {
+      callbackId: { type: "string" },
+      publicKey: { type: "string" },
+      signedMessage: { type: "string" },
+      ip: { type: "string", optional: true },
+      location: { type: "string", optional: true },
+    },
+    validate: {
+      callbackId: { type: "string" },
+      validatorId: { type: "string" },
+      signedMessage: { type: "string" },
+      status: { type: "string", enum: CHECK_STATUSES },
+      statusCode: { type: "integer" },
+      latency: { type: "number" },
+      location: { type: "string", optional: true },
+      ipAddress: { type: "string", optional: true },
+      result: { type: "object", variants: CHECK_RESULTS, optional: true, since: CHECKS_VERSION },
+    },
+    rewards: {
+      callbackId: { type: "string" },
+      publicKey: { type: "string" },
+      signedMessage: { type: "string" },
+      days: { type: "integer", optional: true },
+    },
+    rotate: {
+      callbackId: { type: "string" },
+      statement: { type: "object" },
+    },
+  },
+  [TO_VALIDATOR]: {
+    hello: {
+      version: { type: "integer" },
+      supportedVersions: { type: "array", items: "integer" },
+      challenge: { type: "string" },
+    },
+    signup: {
+      validatorId: { type: "string" },
+      pendingPayouts: { type: "number" },
+    },
+    validate: {
+      callbackId: { type: "string" },
+      url: { type: "string" },
+      websiteId: { type: "string" },
+      check: { type: "object", variants: CHECKS, optional: true, since: CHECKS_VERSION },
+    },
+    rewards: {
+      callbackId: { type: "string" },
+      validatorId: { type: "string" },
+      pendingPayouts: { type: "number" },
+      totalEarned: { type: "number" },
+      daily: { type: "array", items: "object" },
+    },
+    rotate: {
+      callbackId: { type: "string" },
+      validatorId: { type: "string" },
+      publicKey: { type: "string" },
+    },
+    error: {
+      code: { type: "string", enum: ERROR_CODES },
+      message: { type: "string" },
+      requestType: { type: "string", nullable: true },
+      callbackId: { type: "string", nullable: true },
+      supportedVersions: { type: "array", items: "integer", optional: true },
+    },
+  },
+};
+
+/**
+ * A message that breaks the protocol, with the error code to report it under
+ */
+class ProtocolError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - Human readable reason
+   * @param {object} details - { requestType, callbackId } of the offending message, if known
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "ProtocolError";
+    this.code = code;
+    this.requestType = details.requestType || null;
+    this.callbackId = details.callbackId || null;
+  }
+}
+
+/**
+ * Describe a JSON value's type the way the schemas name types
+ * @param {*} value - Value
+ * @returns {string} - Type name
+ */
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+/**
+ * Check whether a value has a schema type; integers count as numbers
+ * @param {*} value - Value
+ * @param {string|string[]} type - Schema type, or a list of allowed types
+ * @returns {boolean}
+ */
+const isType = (value, type) => {
+  if (Array.isArray(type)) {
+    return type.some((one) => isType(value, one));
+  }
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+};
+
+/**
+ * Name a schema type, or list of types, for error messages
+ * @param {string|string[]} type - Schema type
+ * @returns {string}
+ */
+const typeName = (type) => (Array.isArray(type) ? type.join(" or ") : type);
+
+/**
+ * Check message data against its schema
+ * @param {object} data - Message data
+ * @param {object} fields - Schema fields
+ * @param {number} version - Protocol version in use
+ * @param {string} prefix - Path of the data within the message, for nested objects
+ * @returns {string[]} - Problems, empty if the data is valid
+ */
+const checkFields = (data, fields, version, prefix = "") => {
+  const known = (name) => fields[name] && (!fields[name].since || fields[name].since <= version);
+
+  const problems = Object.keys(data)
+    .filter((name) => !known(name))
+    .map((name) => `unexpected field "${prefix}${name}"`);
+
+  Object.entries(fields).forEach(([field, spec]) => {
+    if (!known(field)) {
+      return;
+    }
+    const name = `${prefix}${field}`;
+    const value = data[field];
+
+    if (value === undefined) {
+      if (!spec.optional) {
+        problems.push(`missing field "${name}"`);
+      }
+    } else if (value === null && spec.nullable) {
+      // Allowed
+    } else if (!isType(value, spec.type)) {
+      problems.push(`"${name}" must be ${spec.type}, got ${typeOf(value)}`);
+    } else if (spec.items && !value.every((item) => isType(item, spec.items))) {
+      problems.push(`"${name}" must only hold ${typeName(spec.items)} values`);
+    } else if (spec.fields) {
+      value.forEach((item, index) => problems.push(...checkFields(item, spec.fields, version, `${name}[${index}].`)));
+    } else if (spec.values && !Object.values(value).every((item) => isType(item, spec.values))) {
+      problems.push(`"${name}" must only hold ${typeName(spec.values)} values`);
+    } else if (spec.enum && !spec.enum.includes(value)) {
+      problems.push(`"${name}" must be one of ${spec.enum.join(", ")}, got ${JSON.stringify(value)}`);
+    } else if (spec.variants) {
+      const { type, ...rest } = value;
+      if (!Object.prototype.hasOwnProperty.call(spec.variants, type)) {
+        problems.push(`"${name}.type" must be one of ${Object.keys(spec.variants).join(", ")}, got ${JSON.stringify(type)}`);
+      } else {
+        problems.push(...checkFields(rest, spec.variants[type], version, `${name}.`));
+      }
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * Check a message and throw if it breaks the protocol
+ * @param {string} direction - TO_HUB or TO_VALIDATOR
+ * @param {string} type - Message type
+ * @param {object} data - Message data
+ * @param {number} version - Protocol version in use
+ */
+const validateMessage = (direction, type, data, version) => {
+  const fields = MESSAGES[direction][type];
+  const details = { requestType: type, callbackId: data && typeof data.callbackId === "string" ? data.callbackId : null };
+
+  if (!fields) {
+    throw new ProtocolError("UNKNOWN_TYPE", `Unknown message type ${JSON.stringify(type)}`, details);
+  }
+  if (typeOf(data) !== "object") {
+    throw new ProtocolError("INVALID_MESSAGE", `${type} message data must be an object`, details);
+  }
+
+  const problems = checkFields(data, fields, version);
+  if (problems.length > 0) {
+    throw new ProtocolError("INVALID_MESSAGE", `Invalid ${type} message: ${problems.join("; ")}`, details);
+  }
+};
+
+/**
+ * Build a message for the wire, refusing to send one that breaks the protocol
+ * @param {string} direction - TO_HUB or TO_VALIDATOR
+ * @param {string} type - Message type
+ * @param {object} data - Message data
+ * @param {number} version - Protocol version agreed for the connection
+ * @returns {string} - JSON to send
+ */
+const encodeMessage = (direction, type, data, version = PROTOCOL_VERSION) => {
+  validateMessage(direction, type, data, version);
+  return JSON.stringify({ type, data });
+};
+
+/**
+ * Parse and check a message from the wire
+ * @param {string} direction - TO_HUB or TO_VALIDATOR
+ * @param {string|Buffer} raw - Received message
+ * @param {number} version - Protocol version agreed for the connection
+ * @returns {object} - { type, data }
+ */
+const decodeMessage = (direction, raw, version = PROTOCOL_VERSION) => {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch (error) {
+    throw new ProtocolError("INVALID_MESSAGE", `Message is not valid JSON: ${error.message}`);
+  }
+
+  if (typeOf(message) !== "object" || typeof message.type !== "string") {
+    throw new ProtocolError("INVALID_MESSAGE", "Message must be an object with a string type");
+  }
+
+  const extra = Object.keys(message).filter((key) => key !== "type" && key !== "data");
+  if (extra.length > 0) {
+    throw new ProtocolError("INVALID_MESSAGE", `Unexpected envelope field(s) ${extra.join(", ")}`, { requestType: message.type });
+  }
+
+  validateMessage(direction, message.type, message.data, version);
+  return { type: message.type, data: message.data };
+};
+
+/**
+ * Check a check definition from hub config or the command line
+ * @param {object} check - Check definition ({ type, ...options })
+ */
+const validateCheck = (check) => {
+  const problems = checkFields({ check }, { check: { type: "object", variants: CHECKS } }, PROTOCOL_VERSION);
+  if (problems.length > 0) {
+    throw new Error(`Invalid check: ${problems.join("; ")}`);
+  }
+};
+
+/**
+ * Pick the newest protocol version both ends speak
+ * @param {number[]} offered - Versions offered by the other end
+ * @returns {number|null} - Agreed version, or null if there is none
+ */
+const negotiateVersion = (offered) => {
+  const common = SUPPORTED_VERSIONS.filter((version) => offered.includes(version));
+  return common.length > 0 ? common[common.length - 1] : null;
+};
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  CHECKS_VERSION,
+  ERROR_CODES,
+  DNS_RECORD_TYPES,
+  HTTP_METHODS,
+  CHECK_STATUSES,
+  CHECKS,
+  CHECK_RESULTS,
+  TIMING_FIELDS,
+  TO_HUB,
+  TO_VALIDATOR,
+  MESSAGES,
+  ProtocolError,
+  encodeMessage,
+  decodeMessage,
+  negotiateVersion,
+  validateCheck,
+};
@@ -0,0 +1,47 @@
+/**
+ * Create the reconnect policy for a validator: which hub to try next and how
+ * long to wait first. Attempts go down the hub list in order; each full pass
+ * over the list multiplies the delay, up to maxDelay, and jitter spreads out
+ * validators that lost the same hub at the same moment. A policy covers one
+ * outage; create a new one for the next
+ * @param {object} options - Reconnect options
+ * @param {string[]} options.hubServers - Hubs in order of preference
+ * @param {number} options.initialDelay - Delay before the first pass, in ms
+ * @param {number} options.maxDelay - Longest delay, in ms
+ * @param {number} options.multiplier - Delay growth per pass over the hub list
+ * @param {number} options.jitter - Random spread of each delay, as a fraction of it (0-1)
+ * @param {number} options.maxAttempts - Give up after this many attempts; 0 retries forever
+ * @returns {object} - Reconnect policy
+ */
+const createReconnectPolicy = ({
+  hubServers,
+  initialDelay = 1000,
+  maxDelay = 60000,
+  multiplier = 2,
+  jitter = 0.2,
+  maxAttempts = 0,
+}) => {
+  let attempts = 0;
+
+  /**
+   * Plan the next attempt
+   * @returns {object|null} - { hubServer, delay, attempt }, or null once attempts are used up
+   */
+  const next = () => {
+    if (maxAttempts > 0 && attempts >= maxAttempts) {
+      return null;
+    }
+
+    const pass = Math.floor(attempts / hubServers.length);
+    const hubServer = hubServers[attempts % hubServers.length];
+    const base = Math.min(maxDelay, initialDelay * multiplier ** pass);
+    const delay = Math.round(base * (1 + jitter * (2 * Math.random() - 1)));
+
+    attempts += 1;
+    return { hubServer, delay, attempt: attempts };
+  };
+
+  return { next };
+};
+
+module.exports = { createReconnectPolicy };
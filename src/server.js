@@ -1,108 +1,687 @@
+const fs = require("fs");
+const { randomBytes } = require("crypto");
+const http = require("http");
+const path = require("path");
 const WebSocket = require("ws");
 const figlet = require("figlet");
 const chalk = require("chalk");
-const logger = require("../utils/logger");
+const rootLogger = require("../utils/logger");
+const { verifySignature, signupMessage, validatorIdFor, verifyRotationStatement } = require("./auth");
+const { createScheduler, normalizeWebsite } = require("./hub/scheduler");
+const { createStorage } = require("./hub/storage");
+const { createLedger } = require("./hub/ledger");
+const { createRegistry, startMetricsServer } = require("./metrics");
+const { API_PREFIX, createAdminApi } = require("./hub/admin");
+const {
+  SUPPORTED_VERSIONS,
+  TO_HUB,
+  TO_VALIDATOR,
+  encodeMessage,
+  decodeMessage,
+  negotiateVersion,
+} = require("./protocol");
 
-const PORT = process.env.PORT || 8081;
+const logger = rootLogger.child("hub");
 
-// Display ASCII art banner with updated colors
-console.log(chalk.magentaBright(figlet.textSync('Validator Hub', {
-  font: 'Standard',
-  horizontalLayout: 'default',
-  verticalLayout: 'default'
-})));
+// How long a used callbackId is remembered to block replayed messages
+const CALLBACK_ID_TTL = 24 * 60 * 60 * 1000;
 
-console.log(chalk.greenBright("Decentralized Uptime Monitoring Hub Server"));
-console.log(chalk.greenBright("=========================================\n"));
+/**
+ * Load the hub config file
+ * @param {string} configPath - Config file; defaults to $HUB_CONFIG, then config/hub.json
+ * @returns {object} - Hub config
+ */
+const loadHubConfig = (configPath = process.env.HUB_CONFIG || path.resolve(__dirname, "../config/hub.json")) => {
+  if (!fs.existsSync(configPath)) {
+    logger.warn(`Hub config not found at ${configPath}, no websites will be monitored`);
+    return { websites: [] };
+  }
 
-const wss = new WebSocket.Server({ port: PORT }, () => {
-  logger.success(`WebSocket Hub Server running on ws://localhost:${PORT}`);
-  logger.log("Waiting for validators to connect...");
-  logger.log("Press Ctrl+C to stop the server");
-});
+  try {
+    return JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Failed to load hub config ${configPath}: ${error.message}`);
+  }
+};
+
+/**
+ * Start the hub: the WebSocket server validators connect to, the scheduler
+ * that hands them checks and, when configured, the admin API and metrics
+ * @param {object} options - Hub options
+ * @param {string} options.configPath - Hub config file, see loadHubConfig
+ * @param {number} options.port - Port to listen on, overriding $PORT and the config
+ * @param {object} options.logging - { level, format, file }, overriding the
+ * LOG_* environment variables and the config
+ * @returns {Promise<object>} - { port, close() } once the hub is listening
+ */
+const startHub = async (options = {}) => {
+  const hubConfig = loadHubConfig(options.configPath);
+
+  // Log as the "logging" key of the hub config asks, with LOG_LEVEL, LOG_FORMAT
+  // and LOG_FILE, then the options, taking precedence
+  const logging = hubConfig.logging || {};
+  const overrides = options.logging || {};
+  try {
+    rootLogger.configure({
+      ...logging,
+      level: overrides.level || process.env.LOG_LEVEL || logging.level || "info",
+      format: overrides.format || process.env.LOG_FORMAT || logging.format || "pretty",
+      file: overrides.file || process.env.LOG_FILE || logging.file || null,
+      timestamps: true,
+    });
+  } catch (error) {
+    throw new Error(`Invalid logging settings: ${error.message}`);
+  }
+  const PORT = options.port || parseInt(process.env.PORT, 10) || hubConfig.port || 8081;
+
+  let storage;
+  try {
+    storage = createStorage(hubConfig.storage);
+  } catch (error) {
+    throw new Error(`Failed to open hub storage: ${error.message}`);
+  }
+
+  const ledger = createLedger(storage);
+
+  // How often sockets are pinged; a socket that misses one pong is dropped
+  const HEARTBEAT_INTERVAL = hubConfig.heartbeatInterval || 30000;
+
+  // Display ASCII art banner with updated colors; JSON logs get no banner
+  if (options.banner !== false && !rootLogger.isJson()) {
+    console.log(chalk.magentaBright(figlet.textSync('Validator Hub', {
+      font: 'Standard',
+      horizontalLayout: 'default',
+      verticalLayout: 'default'
+    })));
+
+    console.log(chalk.greenBright("Decentralized Uptime Monitoring Hub Server"));
+    console.log(chalk.greenBright("=========================================\n"));
+  }
+
+  // Validators connect over WebSocket; the admin API shares the port over plain HTTP
+  const httpServer = http.createServer((req, res) => {
+    if (req.url === API_PREFIX || req.url.startsWith(`${API_PREFIX}/`) || req.url.startsWith(`${API_PREFIX}?`)) {
+      return adminApi(req, res);
+    }
+    res.writeHead(426, { "Content-Type": "text/plain", Upgrade: "websocket" });
+    res.end(`Connect over WebSocket, or use the admin API under ${API_PREFIX}\n`);
+  });
+  const wss = new WebSocket.Server({ server: httpServer });
+  // The WebSocket server repeats the HTTP server's errors, which are handled where it listens
+  wss.on("error", () => {});
+
+  // Track connected validators
+  const validators = new Map();
 
-// Track connected validators
-const validators = new Map();
+  // WebSocket -> validatorId of the session it carries
+  const sessions = new Map();
 
-wss.on("connection", (ws, req) => {
-  const clientIp = req.socket.remoteAddress;
-  logger.log(`New connection from ${clientIp}`);
+  // Metrics served at /metrics when the metrics endpoint is enabled
+  const metrics = createRegistry();
+  metrics.gauge({
+    name: "hub_connected_validators",
+    help: "Validators with a live session",
+    collect: () => validators.size,
+  });
+  metrics.gauge({
+    name: "hub_monitored_websites",
+    help: "Websites being checked",
+    collect: () => scheduler.listWebsites().length,
+  });
+  metrics.gauge({
+    name: "hub_pending_validations",
+    help: "Validate requests waiting for a reply",
+    collect: () => scheduler.pendingCount(),
+  });
+  const ticksTotal = metrics.counter({
+    name: "hub_ticks_total",
+    help: "Validation results recorded, by website and status",
+    labels: ["website_id", "url", "status"],
+  });
+  const responseTime = metrics.histogram({
+    name: "hub_response_time_seconds",
+    help: "Time from sending a validate request to its reply",
+  });
+  const missedChecksTotal = metrics.counter({
+    name: "hub_missed_checks_total",
+    help: "Validate requests that got no reply in time",
+  });
+  const rejectedTotal = metrics.counter({
+    name: "hub_rejected_messages_total",
+    help: "Messages rejected, by type and error code; INVALID_SIGNATURE counts rejected signatures",
+    labels: ["type", "code"],
+  });
 
-  ws.on("message", (message) => {
+  /**
+   * Persist a validator's online state
+   * @param {string} publicKey - Validator public key
+   * @param {boolean} online - Whether the validator has a live session
+   */
+  const markOnline = (publicKey, online) => {
+    const record = storage.getValidator(publicKey);
+    if (record) {
+      storage.saveValidator({ ...record, online, lastSeen: new Date().toISOString() });
+    }
+  };
+
+  // Nobody is connected yet, whatever the last run left behind
+  storage.listValidators()
+    .filter((record) => record.online)
+    .forEach((record) => markOnline(record.publicKey, false));
+
+  const scheduler = createScheduler({
+    validatorsPerCheck: hubConfig.validatorsPerCheck,
+    responseTimeout: hubConfig.responseTimeout,
+    getValidators: () => Array.from(validators.entries())
+      .filter(([, info]) => info.socket.readyState === WebSocket.OPEN)
+      .map(([validatorId, info]) => ({ validatorId, socket: info.socket, protocolVersion: info.socket.protocolVersion })),
+    onTimeout: (job) => {
+      const validatorInfo = validators.get(job.validatorId);
+      if (validatorInfo) {
+        validatorInfo.missedChecks += 1;
+      }
+      missedChecksTotal.inc();
+      logger.warn(`Validator ${job.validatorId} did not answer ${job.website.url} in time`);
+    },
+  });
+
+  // Websites from the config file seed storage, which is the source of truth: ones already
+  // stored keep the settings they have there, and ones removed through the admin API stay
+  // removed until they are added again there
+  (hubConfig.websites || []).forEach((website) => {
     try {
-      const data = JSON.parse(message);
+      const normalized = normalizeWebsite(website);
+      if (storage.isWebsiteRemoved(normalized.id)) {
+        logger.log(`Not monitoring ${normalized.url}: it was removed through the admin API`);
+        return;
+      }
+      if (!storage.listWebsites().some((stored) => stored.id === normalized.id)) {
+        storage.saveWebsite(normalized);
+      }
+    } catch (error) {
+      logger.error(`Skipping website ${JSON.stringify(website)}: ${error.message}`);
+    }
+  });
+  storage.listWebsites().forEach((website) => {
+    const added = scheduler.addWebsite(website);
+    logger.log(`Monitoring ${added.url}${added.check ? ` (${added.check.type} check)` : ""} every ${added.interval / 1000}s`);
+  });
+  scheduler.start();
+
+  // The admin API is off until it has a token to check requests against
+  const adminToken = process.env.HUB_ADMIN_TOKEN || (hubConfig.admin && hubConfig.admin.token) || null;
+  const adminApi = createAdminApi({
+    storage,
+    scheduler,
+    ledger,
+    token: adminToken,
+    getSession: (validatorId) => {
+      const info = validators.get(validatorId);
+      return info
+        ? {
+          connectedAt: info.connectionTime.toISOString(),
+          lastActive: info.lastActive.toISOString(),
+          ip: info.ip,
+          protocolVersion: info.socket.protocolVersion || null,
+          missedChecks: info.missedChecks,
+        }
+        : null;
+    },
+  });
+
+  // Opt-in: the "metrics" key of the hub config, or METRICS_PORT and METRICS_HOST
+  const metricsSettings = {
+    host: process.env.METRICS_HOST || (hubConfig.metrics && hubConfig.metrics.host) || "127.0.0.1",
+    port: parseInt(process.env.METRICS_PORT, 10) || (hubConfig.metrics && hubConfig.metrics.port) || null,
+  };
+  let metricsServer = null;
+  if (metricsSettings.port) {
+    try {
+      metricsServer = await startMetricsServer(metrics, metricsSettings);
+      logger.log(`Serving metrics at http://${metricsSettings.host}:${metricsSettings.port}/metrics`);
+    } catch (error) {
+      logger.error(`Could not serve metrics on ${metricsSettings.host}:${metricsSettings.port}: ${error.message}`);
+    }
+  }
+
+  // callbackId -> time it was first seen
+  const usedCallbackIds = new Map();
+
+  /**
+   * Record a callbackId as used
+   * @param {string} callbackId - Callback ID from a signed message
+   * @returns {boolean} - False if the callbackId was already used (replay)
+   */
+  const claimCallbackId = (callbackId) => {
+    if (usedCallbackIds.has(callbackId)) {
+      return false;
+    }
+    usedCallbackIds.set(callbackId, Date.now());
+    return true;
+  };
+
+  /**
+   * Send a structured error reply and log the rejection
+   * @param {object} ws - WebSocket to reply on
+   * @param {string} clientIp - Remote address, for logging
+   * @param {string} type - Type of the rejected message
+   * @param {string} code - Machine readable error code, one of ERROR_CODES
+   * @param {string} message - Human readable reason
+   * @param {string} callbackId - Callback ID of the rejected message, if any
+   * @param {object} extra - Additional error fields, e.g. supportedVersions
+   */
+  const rejectMessage = (ws, clientIp, type, code, message, callbackId = null, extra = {}) => {
+    logger.warn(`Rejected ${type || "message"} from ${clientIp}: ${message}`);
+    rejectedTotal.inc({ type: type || "unknown", code });
+    ws.send(
+      encodeMessage(TO_VALIDATOR, "error", { code, message, requestType: type || null, callbackId: callbackId || null, ...extra }, ws.protocolVersion)
+    );
+  };
+
+  /**
+   * Send a message to a validator
+   * @param {object} ws - WebSocket to send on
+   * @param {string} type - Message type
+   * @param {object} data - Message data
+   */
+  const sendMessage = (ws, type, data) => {
+    ws.send(encodeMessage(TO_VALIDATOR, type, data, ws.protocolVersion));
+  };
+
+  wss.on("connection", (ws, req) => {
+    const clientIp = req.socket.remoteAddress;
+    logger.log(`New connection from ${clientIp}`);
+
+    ws.isAlive = true;
+    ws.on("pong", () => {
+      ws.isAlive = true;
+    });
+
+    ws.on("message", (message) => {
+      try {
+        let data;
+        try {
+          data = decodeMessage(TO_HUB, message, ws.protocolVersion);
+        } catch (error) {
+          return rejectMessage(ws, clientIp, error.requestType, error.code, error.message, error.callbackId);
+        }
+        const payload = data.data;
+
+        // Every connection starts by agreeing on a protocol version
+        if (data.type === "hello") {
+          const version = negotiateVersion(payload.versions);
+          if (!version) {
+            rejectMessage(ws, clientIp, "hello", "UNSUPPORTED_VERSION",
+              `No common protocol version: hub speaks ${SUPPORTED_VERSIONS.join(", ")}, client offered ${payload.versions.join(", ") || "none"}`,
+              null, { supportedVersions: SUPPORTED_VERSIONS });
+            return ws.close(1002, "Unsupported protocol version");
+          }
+
+          ws.protocolVersion = version;
+          logger.log(`${clientIp} speaks protocol v${version}${payload.client ? ` (${payload.client})` : ""}`);
+
+          // Each hello hands out a fresh challenge; the next signup on this socket must sign it
+          ws.challenge = randomBytes(32).toString("hex");
+          return sendMessage(ws, "hello", { version, supportedVersions: SUPPORTED_VERSIONS, challenge: ws.challenge });
+        }
+
+        if (!ws.protocolVersion) {
+          return rejectMessage(ws, clientIp, data.type, "HELLO_REQUIRED", "Send hello to agree on a protocol version first", payload.callbackId);
+        }
+
+        if (data.type === "signup") {
+          const { callbackId, publicKey, signedMessage } = payload;
+
+          // A challenge is good for one signup attempt, whatever its outcome
+          const challenge = ws.challenge;
+          ws.challenge = null;
+          if (!challenge) {
+            return rejectMessage(ws, clientIp, "signup", "HELLO_REQUIRED", "Send hello for a fresh signup challenge first", callbackId);
+          }
+
+          if (!verifySignature(signupMessage(challenge, publicKey), signedMessage, publicKey)) {
+            return rejectMessage(ws, clientIp, "signup", "INVALID_SIGNATURE", `Signature does not match public key ${publicKey.substring(0, 16)}...`, callbackId);
+          }
+
+          if (!claimCallbackId(callbackId)) {
+            return rejectMessage(ws, clientIp, "signup", "REPLAYED_MESSAGE", `callbackId ${callbackId} was already used`, callbackId);
+          }
+
+          const stored = storage.getValidator(publicKey);
+          if (stored && stored.rotatedTo) {
+            return rejectMessage(ws, clientIp, "signup", "KEY_ROTATED", `This key was rotated to ${stored.rotatedTo.substring(0, 16)}...`, callbackId);
+          }
 
-      if (data.type === "signup") {
-        const validatorId = `validator-${Math.floor(Math.random() * 10000)}`;
-        const publicKey = data.data.publicKey;
+          // Rotated keys keep the ID they inherited; new keys get one derived from the key
+          const validatorId = stored ? stored.validatorId : validatorIdFor(publicKey);
+
+          // A reconnect replaces whatever session the validator had before
+          const previous = validators.get(validatorId);
+          if (previous && previous.socket !== ws) {
+            logger.log(`Validator ${validatorId} reconnected, replacing its previous session`);
+            sessions.delete(previous.socket);
+            previous.socket.terminate();
+          }
+
+          // A socket carries a single validator session
+          const previousId = sessions.get(ws);
+          if (previousId && previousId !== validatorId && validators.has(previousId)) {
+            markOnline(validators.get(previousId).publicKey, false);
+            validators.delete(previousId);
+          }
+          sessions.set(ws, validatorId);
         
-        validators.set(validatorId, {
-          publicKey,
-          location: data.data.location || "Unknown",
-          connectionTime: new Date(),
-          lastActive: new Date(),
-          ip: data.data.ip || clientIp, // Use provided IP or connection IP
-          clientIp // Also store the connection IP
-        });
+          validators.set(validatorId, {
+            publicKey,
+            location: payload.location || "Unknown",
+            connectionTime: new Date(),
+            lastActive: new Date(),
+            ip: payload.ip || clientIp, // Use provided IP or connection IP
+            clientIp, // Also store the connection IP
+            socket: ws,
+            missedChecks: 0
+          });
+
+          const pendingPayouts = stored ? stored.pendingPayouts || 0 : 0;
+          storage.saveValidator({
+            ...stored,
+            publicKey,
+            validatorId,
+            location: payload.location || "Unknown",
+            ip: payload.ip || clientIp,
+            pendingPayouts,
+            online: true,
+            firstSeen: stored ? stored.firstSeen : new Date().toISOString(),
+            lastSeen: new Date().toISOString(),
+          });
         
-        logger.success(`Validator signed up with ID: ${validatorId}`);
-        logger.data(`Public key: ${publicKey.substring(0, 16)}...`);
-        logger.data(`IP address: ${data.data.ip || clientIp}`);
+          logger.success(`Validator ${stored ? "resumed" : "signed up"} with ID: ${validatorId}`);
+          logger.data(`Public key: ${publicKey.substring(0, 16)}...`);
+          logger.data(`IP address: ${payload.ip || clientIp}`);
         
-        ws.send(
-          JSON.stringify({
-            type: "signup",
-            data: { validatorId },
-          })
-        );
+          sendMessage(ws, "signup", { validatorId, pendingPayouts });
         
-        // Log active validators count
-        logger.log(`Active validators: ${validators.size}`);
-      }
+          // Log active validators count
+          logger.log(`Active validators: ${validators.size}`);
+        }
 
-      if (data.type === "validate") {
-        const validatorInfo = validators.get(data.data.validatorId);
-        if (validatorInfo) {
-          validators.set(data.data.validatorId, {
+        if (data.type === "validate") {
+          const { callbackId, signedMessage } = payload;
+          const validatorInfo = validators.get(payload.validatorId);
+
+          if (!validatorInfo || sessions.get(ws) !== payload.validatorId) {
+            return rejectMessage(ws, clientIp, "validate", "UNKNOWN_VALIDATOR", `Validator ${payload.validatorId} is not signed up on this connection`, callbackId);
+          }
+
+          if (!verifySignature(`Replying to ${callbackId}`, signedMessage, validatorInfo.publicKey)) {
+            return rejectMessage(ws, clientIp, "validate", "INVALID_SIGNATURE", `Signature does not match ${payload.validatorId}`, callbackId);
+          }
+
+          if (!claimCallbackId(callbackId)) {
+            return rejectMessage(ws, clientIp, "validate", "REPLAYED_MESSAGE", `callbackId ${callbackId} was already used`, callbackId);
+          }
+
+          const job = scheduler.resolve(callbackId, payload.validatorId);
+          if (!job) {
+            return rejectMessage(ws, clientIp, "validate", "UNKNOWN_CALLBACK", `callbackId ${callbackId} was not issued to ${payload.validatorId} or has expired`, callbackId);
+          }
+
+          // A result must be for the kind of check the job asked for
+          const { website } = job;
+          const checkType = website.check ? website.check.type : "http";
+          if (payload.result && payload.result.type !== checkType) {
+            return rejectMessage(ws, clientIp, "validate", "INVALID_MESSAGE", `Result is for a ${payload.result.type} check, the job asked for ${checkType}`, callbackId);
+          }
+
+          // The website's expected status decides plain HTTP checks; checks with
+          // their own assertions keep the validator's verdict unless the status is off
+          let status = payload.status;
+          if (website.expectedStatus && (checkType === "http" || checkType === "keyword")) {
+            if (payload.statusCode !== website.expectedStatus) {
+              status = "Bad";
+            } else if (!website.check) {
+              status = "Good";
+            }
+          }
+
+          validators.set(payload.validatorId, {
             ...validatorInfo,
             lastActive: new Date(),
-            ip: data.data.ipAddress || validatorInfo.ip // Update IP if provided
+            ip: payload.ipAddress || validatorInfo.ip // Update IP if provided
+          });
+
+          storage.appendTick({
+            timestamp: new Date().toISOString(),
+            websiteId: website.id,
+            url: website.url,
+            validatorId: payload.validatorId,
+            status,
+            statusCode: payload.statusCode,
+            latency: payload.latency,
+            location: payload.location || validatorInfo.location,
+            check: checkType,
+            ...(payload.result ? { result: payload.result } : {}),
+          });
+
+          ticksTotal.inc({ website_id: website.id, url: website.url, status });
+          responseTime.observe(job.responseTime / 1000);
+
+          // Only verified, on-time replies reach this point, so they earn a reward
+          ledger.credit(validatorInfo.publicKey, {
+            validatorId: payload.validatorId,
+            callbackId,
+            websiteId: website.id,
           });
-        }
         
-        logger.data(
-          `Validator ${data.data.validatorId} (${data.data.ipAddress || "Unknown IP"}) checked ${data.data.url}: ${data.data.status} with network ping: ${data.data.networkLatency || data.data.latency}ms`
-        );
+          logger.data(
+            `Validator ${payload.validatorId} (${payload.ipAddress || "Unknown IP"}) checked ${website.url}${checkType === "http" ? "" : ` (${checkType})`}: ${status} with network ping: ${payload.latency}ms (answered in ${job.responseTime}ms)`
+          );
+        }
+
+        if (data.type === "rewards") {
+          const { callbackId, publicKey, signedMessage } = payload;
+
+          if (!verifySignature(`Rewards query ${callbackId}, ${publicKey}`, signedMessage, publicKey)) {
+            return rejectMessage(ws, clientIp, "rewards", "INVALID_SIGNATURE", `Signature does not match public key ${publicKey.substring(0, 16)}...`, callbackId);
+          }
+
+          if (!claimCallbackId(callbackId)) {
+            return rejectMessage(ws, clientIp, "rewards", "REPLAYED_MESSAGE", `callbackId ${callbackId} was already used`, callbackId);
+          }
+
+          const record = storage.getValidator(publicKey);
+          if (record && record.rotatedTo) {
+            return rejectMessage(ws, clientIp, "rewards", "KEY_ROTATED", `This key was rotated to ${record.rotatedTo.substring(0, 16)}...`, callbackId);
+          }
+
+          const days = payload.days !== undefined ? Math.min(Math.max(payload.days, 1), 90) : 7;
+          // The ledger is read from storage in the background; answer when it's done
+          ledger.summary(publicKey, days)
+            .then((summary) => {
+              if (!summary) {
+                return rejectMessage(ws, clientIp, "rewards", "UNKNOWN_VALIDATOR", "No validator has signed up with this public key", callbackId);
+              }
+              sendMessage(ws, "rewards", { callbackId, ...summary });
+            })
+            .catch((error) => {
+              logger.error(`Could not read the ledger for ${publicKey.substring(0, 16)}...: ${error.message}`);
+            });
+        }
+
+        if (data.type === "rotate") {
+          const { callbackId, statement } = payload;
+
+          if (!verifyRotationStatement(statement)) {
+            return rejectMessage(ws, clientIp, "rotate", "INVALID_SIGNATURE", "Rotation statement is malformed or not signed by both keys", callbackId);
+          }
+
+          const oldRecord = storage.getValidator(statement.oldPublicKey);
+          if (!oldRecord) {
+            return rejectMessage(ws, clientIp, "rotate", "UNKNOWN_VALIDATOR", "No validator has signed up with the old key", callbackId);
+          }
+          if (oldRecord.rotatedTo) {
+            return rejectMessage(ws, clientIp, "rotate", "KEY_ROTATED", "The old key has already been rotated", callbackId);
+          }
+          if (storage.getValidator(statement.newPublicKey)) {
+            return rejectMessage(ws, clientIp, "rotate", "KEY_IN_USE", "The new key already belongs to a validator", callbackId);
+          }
+
+          // The validator ID, balance and history move to the new key
+          const now = new Date().toISOString();
+          storage.saveValidator({
+            ...oldRecord,
+            publicKey: statement.newPublicKey,
+            rotatedFrom: statement.oldPublicKey,
+            online: false,
+            lastSeen: now,
+          });
+          storage.saveValidator({
+            ...oldRecord,
+            pendingPayouts: 0,
+            rotatedTo: statement.newPublicKey,
+            rotatedAt: now,
+            online: false,
+          });
+
+          // End any session still running on the old key
+          const session = validators.get(oldRecord.validatorId);
+          if (session && session.publicKey === statement.oldPublicKey) {
+            session.socket.close();
+          }
+
+          logger.success(`Validator ${oldRecord.validatorId} rotated to key ${statement.newPublicKey.substring(0, 16)}...`);
+          sendMessage(ws, "rotate", { callbackId, validatorId: oldRecord.validatorId, publicKey: statement.newPublicKey });
+        }
+      } catch (error) {
+        logger.error(`Failed to process message: ${error.message}`);
       }
-    } catch (error) {
-      logger.error(`Failed to process message: ${error.message}`);
-    }
-  });
+    });
 
-  ws.on("close", () => {
-    // Find and remove the disconnected validator
-    for (const [id, info] of validators.entries()) {
-      if (info.ip === clientIp) {
-        logger.warn(`Validator ${id} disconnected`);
-        validators.delete(id);
-        break;
+    ws.on("close", () => {
+      const validatorId = sessions.get(ws);
+      sessions.delete(ws);
+
+      // Only end the session if this socket still owns it; a reconnect may have replaced it
+      const info = validatorId && validators.get(validatorId);
+      if (info && info.socket === ws) {
+        logger.warn(`Validator ${validatorId} disconnected`);
+        validators.delete(validatorId);
+        markOnline(info.publicKey, false);
       }
-    }
     
-    logger.log(`Active validators: ${validators.size}`);
+      logger.log(`Active validators: ${validators.size}`);
+    });
   });
-});
-
-// Display stats periodically with improved colors
-setInterval(() => {
-  if (validators.size > 0) {
-    console.log(chalk.magentaBright("\n--- Hub Statistics ---"));
-    console.log(chalk.cyanBright(`Active validators: ${validators.size}`));
-    console.log(chalk.cyanBright("Active connections:"));
+
+  // Drop half-open connections that stopped answering pings
+  const heartbeatTimer = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        const validatorId = sessions.get(ws);
+        logger.warn(`${validatorId || "Connection"} missed a heartbeat, terminating`);
+        ws.terminate();
+        return;
+      }
+
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  // Display stats periodically with improved colors
+  const statsTimer = setInterval(() => {
+    if (validators.size > 0) {
+      const websites = scheduler.listWebsites().length;
+      const pending = scheduler.pendingCount();
+      logger.title("Hub Statistics");
+      logger.info(`Active validators: ${validators.size}`, { validators: validators.size });
+      logger.info(`Monitored websites: ${websites}, awaiting replies: ${pending}`, { websites, pending });
     
-    validators.forEach((info, id) => {
-      const lastActiveTime = Math.round((new Date() - info.lastActive) / 1000);
-      console.log(chalk.blueBright(`  - ${id} (${info.location}): IP: ${info.ip}, Last active ${lastActiveTime}s ago`));
+      validators.forEach((info, id) => {
+        const lastActiveTime = Math.round((new Date() - info.lastActive) / 1000);
+        logger.data(`${id} (${info.location}): IP: ${info.ip}, Last active ${lastActiveTime}s ago, Missed checks: ${info.missedChecks}`, {
+          validatorId: id,
+          location: info.location,
+          ip: info.ip,
+          lastActive: lastActiveTime,
+          missedChecks: info.missedChecks,
+        });
+      });
+    }
+  }, 30000); // Every 30 seconds
+
+  // Forget old callbackIds so the replay cache doesn't grow forever
+  const replayTimer = setInterval(() => {
+    const cutoff = Date.now() - CALLBACK_ID_TTL;
+    for (const [callbackId, seenAt] of usedCallbackIds.entries()) {
+      if (seenAt < cutoff) {
+        usedCallbackIds.delete(callbackId);
+      }
+    }
+  }, 60 * 60 * 1000); // Every hour
+
+  try {
+    await new Promise((resolve, reject) => {
+      httpServer.once("error", reject);
+      httpServer.listen(PORT, () => {
+        httpServer.off("error", reject);
+        resolve();
+      });
     });
+  } catch (error) {
+    [heartbeatTimer, statsTimer, replayTimer].forEach(clearInterval);
+    scheduler.stop();
+    if (metricsServer) {
+      metricsServer.close();
+    }
+    throw new Error(`Could not listen on port ${PORT}: ${error.message}`);
+  }
+  httpServer.on("error", (error) => logger.error(`Hub server error: ${error.message}`));
+
+  const port = httpServer.address().port;
+  logger.success(`WebSocket Hub Server running on ws://localhost:${port}`);
+  if (adminToken) {
+    logger.log(`Admin API at http://localhost:${port}${API_PREFIX}, described at ${API_PREFIX}/openapi.json`);
   }
-}, 30000); // Every 30 seconds
\ No newline at end of file
+  logger.log("Waiting for validators to connect...");
+  logger.log("Press Ctrl+C to stop the server");
+
+  return {
+    port,
+    /**
+     * Stop the hub: disconnect every validator, stop listening and save what storage still holds
+     * @returns {Promise<void>}
+     */
+    close: async () => {
+      [heartbeatTimer, statsTimer, replayTimer].forEach(clearInterval);
+      scheduler.stop();
+      wss.clients.forEach((ws) => ws.terminate());
+      wss.close();
+      if (metricsServer) {
+        metricsServer.close();
+      }
+      httpServer.closeAllConnections();
+      await new Promise((resolve) => httpServer.close(resolve));
+      storage.flush();
+    },
+  };
+};
+
+// Run the hub when this file is started directly: node src/server.js
+if (require.main === module) {
+  startHub()
+    .then((hub) => {
+      // Save batched storage writes before the hub stops
+      ["SIGINT", "SIGTERM"].forEach((signal) => process.once(signal, async () => {
+        logger.log(`Received ${signal}, stopping the hub`);
+        await hub.close();
+        process.exit(0);
+      }));
+    })
+    .catch((error) => {
+      logger.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { startHub, loadHubConfig };
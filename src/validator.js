@@ -4,32 +4,31 @@ const nacl = require("tweetnacl");
 const naclUtil = require("tweetnacl-util");
 const logger = require("../utils/logger");
 const chalk = require('chalk');
-const { connectWebsocket, getValidatorStatus } = require("./connection");
+const { connectWebsocket, getValidatorStatus, fetchRewards, stopValidator, updateConfig, metrics } = require("./connection");
+const { startControlServer } = require("./control");
+const { startMetricsServer } = require("./metrics");
+const { removePidFile } = require("./daemon");
+const { readSecretKey } = require("./keystore");
+const { loadConfig, watchConfig, getHubServers } = require("./config");
+const { measureLatency } = require("../utils/network");
 
 /**
- * Load private key from file
+ * Load private key from a plaintext or encrypted key file
  * @param {string} filePath - Path to private key file
+ * @param {string} passphrase - Passphrase for encrypted key files
  * @returns {object} - Nacl keypair
  */
-const loadPrivateKeyFromFile = (filePath) => {
+const loadPrivateKeyFromFile = (filePath, passphrase = null) => {
   try {
     // Resolve to absolute path if relative
     const absolutePath = path.resolve(filePath);
     if (!fs.existsSync(absolutePath)) {
       logger.error(`Private key file not found: ${absolutePath}`);
-      console.log(chalk.red(`
-┌──────────────────────────────────────────────────┐
-│  ERROR: PRIVATE KEY NOT FOUND                    │
-│                                                  │
-│  Create a keypair first with:                    │
-│  ${chalk.white('validator-cli generate-keys')}                    │
-└──────────────────────────────────────────────────┘
-      `));
+      logger.log(`Create a keypair first with: ${chalk.white('validator-cli generate-keys')}`);
       process.exit(1);
     }
 
-    const privateKeyBase64 = fs.readFileSync(absolutePath, "utf-8").trim();
-    const privateKeyBytes = naclUtil.decodeBase64(privateKeyBase64);
+    const privateKeyBytes = readSecretKey(absolutePath, passphrase);
     const keypair = nacl.sign.keyPair.fromSecretKey(privateKeyBytes);
 
     logger.success("Private key loaded successfully");
@@ -41,36 +40,48 @@ const loadPrivateKeyFromFile = (filePath) => {
 };
 
 /**
- * Load config file
- * @returns {object} - Config object
+ * Check the config's targetURL with the same settings used for validations
+ * @param {object} config - Validator config
+ * @param {object} spinner - Ora spinner for UI feedback
+ * @returns {Promise<void>}
  */
-const loadConfig = () => {
-  const configPath = process.env.CONFIG_PATH || 
-    path.resolve(__dirname, "../config/config.json");
+const checkConnectivity = async (config, spinner) => {
+  if (spinner) {
+    spinner.text = `Checking connectivity to ${config.targetURL}...`;
+  }
   
-  if (!fs.existsSync(configPath)) {
-    // Create a default config if one doesn't exist
-    const defaultConfig = {
-      hubServer: "ws://localhost:8081",
-      pingInterval: 10000
-    };
-    
-    try {
-      fs.mkdirSync(path.dirname(configPath), { recursive: true });
-      fs.writeFileSync(configPath, JSON.stringify(defaultConfig, null, 2));
-      logger.success(`Created default config at: ${configPath}`);
-    } catch (error) {
-      logger.error(`Failed to create default config: ${error.message}`);
-      process.exit(1);
-    }
+  const result = await measureLatency(config.targetURL, config.latencySettings);
+  if (result.status) {
+    logger.success(`Reached ${config.targetURL} (status ${result.status}, ${result.bestLatency}ms)`);
+  } else {
+    // Every site would look down from here; warn rather than refuse to start
+    logger.warn(`Could not reach ${config.targetURL}${result.error ? `: ${result.error}` : ''}. Validations may report sites as down`);
+  }
+};
+
+/**
+ * Serve /metrics as the metrics settings ask, replacing the endpoint already
+ * running if there is one. A validator that can't serve metrics keeps validating
+ * @param {object|null} server - Running metrics server
+ * @param {object} settings - metrics settings from the config
+ * @returns {Promise<object|null>} - Metrics server, or null when disabled or failed
+ */
+const serveMetrics = async (server, settings) => {
+  if (server) {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+  if (!settings.enabled) {
+    return null;
   }
   
   try {
-    const config = require(configPath);
-    return config;
+    const next = await startMetricsServer(metrics, settings);
+    logger.log(`Serving metrics at http://${settings.host}:${settings.port}/metrics`);
+    return next;
   } catch (error) {
-    logger.error(`Failed to load config: ${error.message}`);
-    process.exit(1);
+    logger.error(`Could not serve metrics on ${settings.host}:${settings.port}: ${error.message}`);
+    return null;
   }
 };
 
@@ -78,21 +89,25 @@ const loadConfig = () => {
  * Start the validator
  * @param {string} privateKeyPath - Path to private key file
  * @param {object} spinner - Ora spinner for UI feedback
+ * @param {string} passphrase - Passphrase for an encrypted key file
+ * @param {object} configOptions - Config file, profile and overrides, see resolveConfig
  * @returns {Promise<void>}
  */
-const startValidator = async (privateKeyPath, spinner) => {
+const startValidator = async (privateKeyPath, spinner, passphrase = null, configOptions = {}) => {
+  let config = loadConfig(configOptions);
+  
+  // A long-running process: every line gets a timestamp
+  logger.configure({ ...config.logging, timestamps: true });
+  
   // Display startup header
-  console.log(chalk.magenta('\n ┌─────────────────────────────────────┐'));
-  console.log(chalk.magenta(' │        STARTING VALIDATOR NODE        │'));
-  console.log(chalk.magenta(' └─────────────────────────────────────┘\n'));
+  logger.box("STARTING VALIDATOR NODE", {}, chalk.magenta);
   
   // Load private key from the provided path
-  const keypair = loadPrivateKeyFromFile(privateKeyPath);
-  const privateKeyBase64 = fs.readFileSync(privateKeyPath, "utf-8").trim();
-  const config = loadConfig();
+  const keypair = loadPrivateKeyFromFile(privateKeyPath, passphrase);
+  const privateKeyBase64 = naclUtil.encodeBase64(keypair.secretKey);
   
   // Log the hub server we're connecting to
-  logger.log(`Hub server: ${chalk.magenta.bold(config.hubServer)}`);
+  logger.log(`Hub server: ${getHubServers(config).map((hub) => chalk.magenta.bold(hub)).join(', ')}`);
   logger.log(`Key path: ${chalk.yellow(privateKeyPath)}`);
   
   if (spinner) {
@@ -100,21 +115,97 @@ const startValidator = async (privateKeyPath, spinner) => {
     spinner.color = 'magenta';
   }
   
+  // Let other CLI invocations inspect this process
+  const startedAt = new Date().toISOString();
+  await startControlServer({
+    "/status": async () => ({
+      ...getValidatorStatus(),
+      publicKey: naclUtil.encodeBase64(keypair.publicKey),
+      keyPath: path.resolve(privateKeyPath),
+      pid: process.pid,
+      startedAt
+    }),
+    "/rewards": async (params) => ({
+      ledger: await fetchRewards(keypair, getValidatorStatus().hubServer || getHubServers(config)[0], parseInt(params.get("days"), 10) || 7),
+      localEstimate: getValidatorStatus().pendingPayouts
+    })
+  });
+  
+  // Finish in-flight work, then exit through process.exit so the control socket is cleaned up
+  const shutdown = async (signal) => {
+    logger.log(`Received ${signal}, stopping validator...`);
+    await stopValidator();
+    logger.success("Validator stopped");
+    process.exit(0);
+  };
+  ["SIGINT", "SIGTERM"].forEach((signal) => process.once(signal, () => shutdown(signal)));
+  
+  let metricsServer = await serveMetrics(null, config.metrics);
+  
+  const isDaemon = Boolean(process.env.VALIDATOR_DAEMON);
+  if (isDaemon) {
+    process.once("exit", () => removePidFile(process.pid));
+  }
+  
+  // Make sure this machine can reach the internet before taking on checks
+  if (config.targetURL) {
+    await checkConnectivity(config, spinner);
+  }
+  
   // Connect to websocket using our new module
-  await connectWebsocket(privateKeyBase64, config.hubServer, spinner);
+  await connectWebsocket(privateKeyBase64, config, spinner, () => {
+    // Exit non-zero so a supervisor can decide what to do next
+    logger.error("Could not reach any hub, stopping validator");
+    process.exit(1);
+  });
   
-  // Display active indicator
-  setInterval(() => {
-    const status = getValidatorStatus();
-    if (status.connected) {
-      const time = new Date().toLocaleTimeString();
-      process.stdout.write(`\r${chalk.gray(time)} ${chalk.green('●')} Validator active | Latest ping: ${status.lastPingTime ? new Date(status.lastPingTime).toLocaleTimeString() : 'N/A'}`);
+  // Display active indicator; a daemon's log file and JSON logs have no use for it
+  let statusTimer = null;
+  const startStatusLine = () => {
+    clearInterval(statusTimer);
+    if (isDaemon || logger.isJson()) {
+      return;
+    }
+    statusTimer = setInterval(() => {
+      const status = getValidatorStatus();
+      if (status.connected) {
+        const time = new Date().toLocaleTimeString();
+        process.stdout.write(`\r${chalk.gray(time)} ${chalk.green('●')} Validator active | Latest ping: ${status.lastPingTime ? new Date(status.lastPingTime).toLocaleTimeString() : 'N/A'}`);
+      }
+    }, config.pingInterval);
+  };
+  startStatusLine();
+  
+  // Pick up config edits, and reload on SIGHUP, without restarting
+  const watcher = watchConfig(configOptions, config, async (next, changes) => {
+    const changed = (key) => changes.some((change) => change.key === key);
+    
+    // Throws on logging settings the logger can't use, before anything else
+    // changes, so watchConfig keeps the previous config
+    if (changes.some((change) => change.key.startsWith("logging."))) {
+      logger.configure(next.logging);
+    }
+    config = next;
+    
+    if (changes.some((change) => change.key.startsWith("logging.")) || changed("pingInterval")) {
+      startStatusLine();
+    }
+    if (changes.some((change) => change.key.startsWith("metrics."))) {
+      metricsServer = await serveMetrics(metricsServer, config.metrics);
+    }
+    if (changed("targetURL") && config.targetURL) {
+      await checkConnectivity(config, null);
     }
-  }, 10000);
+    await updateConfig(next, changes);
+  });
+  process.on("SIGHUP", () => {
+    logger.log("Received SIGHUP, reloading config...");
+    watcher.reload();
+  });
 };
 
 module.exports = { 
   startValidator, 
   getValidatorStatus, 
-  loadPrivateKeyFromFile 
+  loadPrivateKeyFromFile
 };
\ No newline at end of file
@@ -0,0 +1,103 @@
+const assert = require('assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const { startHub } = require('../src/server');
+
+const TOKEN = 'admin-secret';
+
+// Find a port nothing listens on
+function freePort() {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Call the admin API of a running hub
+async function api(hub, method, route, body) {
+  const response = await fetch(`http://127.0.0.1:${hub.port}/api${route}`, {
+    method,
+    headers: { Authorization: `Bearer ${TOKEN}`, Connection: 'close' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: response.status === 204 ? null : await response.json() };
+}
+
+async function testChangesSurviveRestarts(configPath) {
+  let hub = await startHub({ configPath, port: await freePort(), banner: false });
+  let websites;
+  try {
+    websites = (await api(hub, 'GET', '/websites')).body;
+    assert.strictEqual(websites.length, 2);
+
+    // Tick and ledger queries answer once storage has been read
+    const uptime = await api(hub, 'GET', `/websites/${websites[0].id}/uptime`);
+    assert.strictEqual(uptime.status, 200);
+    assert.strictEqual(uptime.body.total, 0);
+    assert.deepStrictEqual((await api(hub, 'GET', `/websites/${websites[0].id}/ticks`)).body, []);
+    assert.deepStrictEqual((await api(hub, 'GET', '/ledger')).body, []);
+
+    const changed = await api(hub, 'PUT', `/websites/${websites[0].id}`, { interval: 120000, expectedStatus: 204 });
+    assert.strictEqual(changed.status, 200);
+    assert.strictEqual((await api(hub, 'DELETE', `/websites/${websites[1].id}`)).status, 204);
+  } finally {
+    await hub.close();
+  }
+
+  // hub.json still lists both websites with their old settings
+  hub = await startHub({ configPath, port: await freePort(), banner: false });
+  try {
+    const after = (await api(hub, 'GET', '/websites')).body;
+    assert.deepStrictEqual(after.map((website) => website.id), [websites[0].id]);
+    assert.strictEqual(after[0].interval, 120000);
+    assert.strictEqual(after[0].expectedStatus, 204);
+
+    // Adding a removed website through the API brings it back for good
+    const { id, ...removed } = websites[1];
+    assert.strictEqual((await api(hub, 'POST', '/websites', removed)).status, 201);
+  } finally {
+    await hub.close();
+  }
+
+  hub = await startHub({ configPath, port: await freePort(), banner: false });
+  try {
+    assert.strictEqual((await api(hub, 'GET', '/websites')).body.length, 2);
+  } finally {
+    await hub.close();
+  }
+}
+
+async function runTests() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'validator-admin-'));
+  const configPath = path.join(directory, 'hub.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    storage: { driver: 'file', directory: path.join(directory, 'data') },
+    admin: { token: TOKEN },
+    websites: [
+      { url: 'http://127.0.0.1:9/first', interval: 60000 },
+      { url: 'http://127.0.0.1:9/second', interval: 60000 },
+    ],
+  }));
+
+  try {
+    logger.log('=== TESTING HUB ADMIN API ===');
+
+    await testChangesSurviveRestarts(configPath);
+    logger.success('Website changes and removals made through the API survive restarts');
+
+    logger.success('=== ALL TESTS COMPLETED ===');
+  } catch (error) {
+    logger.error(`Test suite failed: ${error.stack}`);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+runTests();
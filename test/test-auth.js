@@ -0,0 +1,215 @@
+const assert = require('assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const nacl = require('tweetnacl');
+const naclUtil = require('tweetnacl-util');
+const logger = require('../utils/logger');
+const {
+  signMessage,
+  verifySignature,
+  signupMessage,
+  validatorIdFor,
+  createRotationStatement,
+  verifyRotationStatement,
+} = require('../src/auth');
+const { startHub } = require('../src/server');
+const { TO_HUB, encodeMessage } = require('../src/protocol');
+
+// Find a port nothing listens on
+function freePort() {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Open a connection to the hub that buffers what the hub sends
+async function connect(port) {
+  const socket = new WebSocket(`ws://127.0.0.1:${port}`);
+  const received = [];
+  const waiters = [];
+
+  socket.on('message', (raw) => {
+    received.push(JSON.parse(raw));
+    waiters.slice().forEach((waiter) => waiter());
+  });
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+
+  return {
+    socket,
+    send: (type, data) => socket.send(encodeMessage(TO_HUB, type, data)),
+    // Wait for the first message of a type the test hasn't taken yet
+    next: (type) => new Promise((resolve, reject) => {
+      const waiter = () => {
+        const index = received.findIndex((message) => message.type === type);
+        if (index === -1) {
+          return;
+        }
+        clearTimeout(timer);
+        waiters.splice(waiters.indexOf(waiter), 1);
+        resolve(received.splice(index, 1)[0].data);
+      };
+      const timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        reject(new Error(`No ${type} message from the hub`));
+      }, 5000);
+      waiters.push(waiter);
+      waiter();
+    }),
+  };
+}
+
+function signupData(keypair, challenge) {
+  const publicKey = naclUtil.encodeBase64(keypair.publicKey);
+  return {
+    callbackId: `signup-${Math.random()}`,
+    publicKey,
+    signedMessage: signMessage(signupMessage(challenge, publicKey), keypair),
+  };
+}
+
+function testSignatures() {
+  const keypair = nacl.sign.keyPair();
+  const other = nacl.sign.keyPair();
+  const publicKey = naclUtil.encodeBase64(keypair.publicKey);
+  const signature = signMessage('hello', keypair);
+
+  assert.strictEqual(verifySignature('hello', signature, publicKey), true);
+  assert.strictEqual(verifySignature('hello!', signature, publicKey), false);
+  assert.strictEqual(verifySignature('hello', signature, naclUtil.encodeBase64(other.publicKey)), false);
+  assert.strictEqual(verifySignature('hello', 'not json', publicKey), false);
+  assert.strictEqual(verifySignature('hello', '[1,2,3]', publicKey), false);
+  assert.strictEqual(verifySignature('hello', signature, 'c2hvcnQ='), false);
+
+  // IDs are stable per key and differ between keys
+  assert.strictEqual(validatorIdFor(publicKey), validatorIdFor(publicKey));
+  assert.notStrictEqual(validatorIdFor(publicKey), validatorIdFor(naclUtil.encodeBase64(other.publicKey)));
+}
+
+function testRotationStatements() {
+  const oldKeypair = nacl.sign.keyPair();
+  const newKeypair = nacl.sign.keyPair();
+  const statement = createRotationStatement(oldKeypair, newKeypair);
+
+  assert.strictEqual(verifyRotationStatement(statement), true);
+  assert.strictEqual(verifyRotationStatement({ ...statement, timestamp: new Date(0).toISOString() }), false);
+  assert.strictEqual(verifyRotationStatement({ ...statement, newSignature: statement.oldSignature }), false);
+  assert.strictEqual(verifyRotationStatement({ ...statement, newPublicKey: naclUtil.encodeBase64(nacl.sign.keyPair().publicKey) }), false);
+  assert.strictEqual(verifyRotationStatement(null), false);
+}
+
+async function testSignupReplay(port, connections) {
+  const keypair = nacl.sign.keyPair();
+  const publicKey = naclUtil.encodeBase64(keypair.publicKey);
+
+  const validator = await connect(port);
+  connections.push(validator);
+
+  // There is nothing to sign before the hello exchange
+  validator.send('signup', signupData(keypair, 'no challenge yet'));
+  assert.strictEqual((await validator.next('error')).code, 'HELLO_REQUIRED');
+
+  validator.send('hello', { versions: [1] });
+  const hello = await validator.next('hello');
+  assert.strictEqual(hello.version, 1);
+  assert.match(hello.challenge, /^[0-9a-f]{64}$/);
+
+  const signup = signupData(keypair, hello.challenge);
+  validator.send('signup', signup);
+  const registered = await validator.next('signup');
+  assert.strictEqual(registered.validatorId, validatorIdFor(publicKey));
+
+  // The challenge was used up
+  validator.send('signup', { ...signup, callbackId: 'again' });
+  assert.strictEqual((await validator.next('error')).code, 'HELLO_REQUIRED');
+
+  // A captured signup replayed on another connection signs the wrong challenge
+  const attacker = await connect(port);
+  connections.push(attacker);
+  attacker.send('hello', { versions: [1] });
+  const attackerHello = await attacker.next('hello');
+  assert.notStrictEqual(attackerHello.challenge, hello.challenge);
+  attacker.send('signup', { ...signup, callbackId: 'replayed' });
+  assert.strictEqual((await attacker.next('error')).code, 'INVALID_SIGNATURE');
+
+  // ...and leaves the real validator's session alone
+  assert.strictEqual(validator.socket.readyState, WebSocket.OPEN);
+
+  return { validator, keypair, validatorId: registered.validatorId };
+}
+
+async function testValidateReplay({ validator, keypair, validatorId }) {
+  // The only validator signed up gets every job
+  const { callbackId } = await validator.next('validate');
+  const reply = {
+    callbackId,
+    validatorId,
+    signedMessage: signMessage(`Replying to ${callbackId}`, keypair),
+    status: 'Good',
+    statusCode: 200,
+    latency: 12,
+  };
+
+  // A forged reply is refused and doesn't use up the callbackId
+  validator.send('validate', { ...reply, signedMessage: signMessage(`Replying to ${callbackId}`, nacl.sign.keyPair()) });
+  assert.strictEqual((await validator.next('error')).code, 'INVALID_SIGNATURE');
+
+  validator.send('validate', reply);
+  validator.send('validate', reply);
+  const replayed = await validator.next('error');
+  assert.strictEqual(replayed.code, 'REPLAYED_MESSAGE');
+  assert.strictEqual(replayed.callbackId, callbackId);
+}
+
+async function runTests() {
+  let hub = null;
+  const connections = [];
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'validator-auth-'));
+  const configPath = path.join(directory, 'hub.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    validatorsPerCheck: 1,
+    responseTimeout: 5000,
+    storage: { driver: 'memory' },
+    websites: [{ url: 'http://127.0.0.1:9/', interval: 60000 }],
+  }));
+
+  try {
+    logger.log('=== TESTING SIGNATURES AND REPLAY PROTECTION ===');
+
+    testSignatures();
+    logger.success('Signatures verify only for the signed message and key, and IDs follow the key');
+
+    testRotationStatements();
+    logger.success('Rotation statements need both signatures');
+
+    hub = await startHub({ configPath, port: await freePort(), banner: false });
+
+    const session = await testSignupReplay(hub.port, connections);
+    logger.success('Signups sign a one-time challenge and replays are refused');
+
+    await testValidateReplay(session);
+    logger.success('Replayed validate replies are refused');
+
+    logger.success('=== ALL TESTS COMPLETED ===');
+  } catch (error) {
+    logger.error(`Test suite failed: ${error.stack}`);
+    process.exitCode = 1;
+  } finally {
+    connections.forEach(({ socket }) => socket.close());
+    if (hub) {
+      await hub.close();
+    }
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+runTests();
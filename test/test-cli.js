@@ -7,13 +7,15 @@ const logger = require('../utils/logger');
 const configDir = path.resolve(__dirname, '../config');
 const privateKeyPath = path.join(configDir, 'privateKey.txt');
 const publicKeyPath = path.join(configDir, 'publicKey.txt');
+// Run this checkout's CLI rather than whatever validator-cli is installed globally
+const cliPath = path.resolve(__dirname, '../bin/index.js');
 
 // Helper function to run CLI commands
 function runCommand(command) {
   return new Promise((resolve, reject) => {
     logger.log(`Running: validator-cli ${command}`);
     
-    exec(`validator-cli ${command}`, (error, stdout, stderr) => {
+    exec(`"${process.execPath}" "${cliPath}" ${command}`, (error, stdout, stderr) => {
       if (error) {
         logger.error(`Command failed: ${error.message}`);
         return reject(error);
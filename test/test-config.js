@@ -0,0 +1,211 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const { resolveConfig, diffConfig, envVarFor, setConfigValue, watchConfig } = require('../src/config');
+
+function writeJson(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(value));
+}
+
+// Run with only the given VALIDATOR_* variables set
+function withEnv(vars, run) {
+  const saved = Object.keys(process.env).filter((name) => name.startsWith('VALIDATOR_'));
+  const values = saved.map((name) => [name, process.env[name]]);
+  saved.forEach((name) => delete process.env[name]);
+  Object.assign(process.env, vars);
+  try {
+    return run();
+  } finally {
+    Object.keys(vars).forEach((name) => delete process.env[name]);
+    values.forEach(([name, value]) => { process.env[name] = value; });
+  }
+}
+
+function testDefaults(projectPath) {
+  const { config, origins } = withEnv({}, () => resolveConfig({ configPath: projectPath }));
+  assert.strictEqual(config.hubServer, 'ws://localhost:8081');
+  assert.strictEqual(config.pingInterval, 10000);
+  assert.strictEqual(config.latencySettings.timeout, 3000);
+  assert.deepStrictEqual(config.hubServers, []);
+  assert.strictEqual(origins.pingInterval, 'default');
+}
+
+function testLayerOrder(userPath, projectPath) {
+  writeJson(userPath, {
+    hubServer: 'ws://user:8081',
+    pingInterval: 20000,
+    latencySettings: { timeout: 4000, maxRedirects: 2 },
+    reconnect: { maxAttempts: 3 },
+  });
+  writeJson(projectPath, {
+    pingInterval: 30000,
+    latencySettings: { timeout: 5000 },
+  });
+
+  // Files: the project file beats the user file, key by key within sections
+  let result = withEnv({}, () => resolveConfig({ configPath: projectPath }));
+  assert.strictEqual(result.config.hubServer, 'ws://user:8081');
+  assert.strictEqual(result.origins.hubServer, userPath);
+  assert.strictEqual(result.config.pingInterval, 30000);
+  assert.strictEqual(result.origins.pingInterval, projectPath);
+  assert.strictEqual(result.config.latencySettings.timeout, 5000);
+  assert.strictEqual(result.config.latencySettings.maxRedirects, 2);
+  assert.strictEqual(result.config.reconnect.maxAttempts, 3);
+  assert.strictEqual(result.config.reconnect.initialDelay, 1000);
+
+  // Environment variables beat the files, and flags beat everything
+  assert.strictEqual(envVarFor('latencySettings.timeout'), 'VALIDATOR_LATENCY_SETTINGS_TIMEOUT');
+  const env = { VALIDATOR_PING_INTERVAL: '40000', VALIDATOR_LATENCY_SETTINGS_TIMEOUT: '6000' };
+  result = withEnv(env, () => resolveConfig({ configPath: projectPath }));
+  assert.strictEqual(result.config.pingInterval, 40000);
+  assert.strictEqual(result.origins.pingInterval, '$VALIDATOR_PING_INTERVAL');
+  assert.strictEqual(result.config.latencySettings.timeout, 6000);
+
+  result = withEnv(env, () => resolveConfig({ configPath: projectPath, overrides: { pingInterval: '50000' } }));
+  assert.strictEqual(result.config.pingInterval, 50000);
+  assert.strictEqual(result.origins.pingInterval, 'command line');
+  assert.strictEqual(result.config.latencySettings.timeout, 6000);
+
+  // Lists are comma separated outside the files
+  result = withEnv({ VALIDATOR_HUB_SERVERS: 'ws://a:1, ws://b:2' }, () => resolveConfig({ configPath: projectPath }));
+  assert.deepStrictEqual(result.config.hubServers, ['ws://a:1', 'ws://b:2']);
+}
+
+function testProfiles(userPath, projectPath) {
+  writeJson(userPath, { profiles: { staging: { hubServer: 'ws://user-staging:8081' } } });
+  writeJson(projectPath, {
+    pingInterval: 30000,
+    profiles: { staging: { pingInterval: 15000 }, other: { pingInterval: 25000 } },
+  });
+
+  // A file's profile section applies on top of that file's own settings
+  let result = withEnv({}, () => resolveConfig({ configPath: projectPath, profile: 'staging' }));
+  assert.strictEqual(result.profile, 'staging');
+  assert.strictEqual(result.config.hubServer, 'ws://user-staging:8081');
+  assert.strictEqual(result.config.pingInterval, 15000);
+  assert.strictEqual(result.origins.pingInterval, `${projectPath} (profile staging)`);
+
+  // ...and below the environment
+  result = withEnv({ VALIDATOR_PROFILE: 'other', VALIDATOR_PING_INTERVAL: '45000' }, () => resolveConfig({ configPath: projectPath }));
+  assert.strictEqual(result.profile, 'other');
+  assert.strictEqual(result.config.pingInterval, 45000);
+
+  assert.throws(
+    () => withEnv({}, () => resolveConfig({ configPath: projectPath, profile: 'missing' })),
+    /Profile "missing" is not defined/
+  );
+}
+
+function testInvalidConfig(directory, projectPath) {
+  writeJson(projectPath, { pingInterval: 10 });
+  assert.throws(() => withEnv({}, () => resolveConfig({ configPath: projectPath })), /pingInterval/);
+
+  writeJson(projectPath, {});
+  assert.throws(
+    () => withEnv({ VALIDATOR_PING_INTERVAL: 'often' }, () => resolveConfig({ configPath: projectPath })),
+    /VALIDATOR_PING_INTERVAL/
+  );
+  assert.throws(
+    () => withEnv({}, () => resolveConfig({ configPath: projectPath, overrides: { noSuchSetting: '1' } })),
+    /Unknown setting "noSuchSetting"/
+  );
+  assert.throws(
+    () => withEnv({}, () => resolveConfig({ configPath: path.join(directory, 'missing.json') })),
+    /Config file not found/
+  );
+
+  fs.writeFileSync(projectPath, '{ not json');
+  assert.throws(() => withEnv({}, () => resolveConfig({ configPath: projectPath })), /Cannot read/);
+}
+
+function testSetAndDiff(projectPath) {
+  writeJson(projectPath, { pingInterval: 30000 });
+  assert.strictEqual(setConfigValue(projectPath, 'latencySettings.timeout', '7000'), 7000);
+  assert.strictEqual(setConfigValue(projectPath, 'pingInterval', '12000', 'fast'), 12000);
+
+  const written = JSON.parse(fs.readFileSync(projectPath, 'utf-8'));
+  assert.deepStrictEqual(written, { pingInterval: 30000, latencySettings: { timeout: 7000 }, profiles: { fast: { pingInterval: 12000 } } });
+  assert.throws(() => setConfigValue(projectPath, 'pingInterval', '10'), /pingInterval/);
+
+  const before = withEnv({}, () => resolveConfig({ configPath: projectPath })).config;
+  const after = withEnv({}, () => resolveConfig({ configPath: projectPath, profile: 'fast' })).config;
+  assert.deepStrictEqual(diffConfig(before, after), [{ key: 'pingInterval', from: 30000, to: 12000 }]);
+}
+
+async function testReloadFailure(projectPath) {
+  writeJson(projectPath, { pingInterval: 30000 });
+  const options = { configPath: projectPath };
+  const current = withEnv({}, () => resolveConfig(options)).config;
+  const applied = [];
+  let failNext = true;
+  const watcher = watchConfig(options, current, async (next, changes) => {
+    if (failNext) {
+      failNext = false;
+      throw new Error('cannot apply');
+    }
+    applied.push(changes);
+  });
+
+  try {
+    // A change that fails to apply is rolled back instead of crashing...
+    writeJson(projectPath, { pingInterval: 20000 });
+    withEnv({}, () => watcher.reload());
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepStrictEqual(applied, []);
+
+    // ...so the next reload sees the same change and tries it again
+    withEnv({}, () => watcher.reload());
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepStrictEqual(applied, [[{ key: 'pingInterval', from: 30000, to: 20000 }]]);
+  } finally {
+    watcher.close();
+  }
+}
+
+async function runTests() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'validator-config-'));
+  const savedConfigHome = process.env.XDG_CONFIG_HOME;
+  process.env.XDG_CONFIG_HOME = path.join(directory, 'home');
+  const userPath = path.join(directory, 'home', 'validator-cli', 'config.json');
+  const projectPath = path.join(directory, 'project', 'config.json');
+  writeJson(projectPath, {});
+
+  try {
+    logger.log('=== TESTING CONFIG LAYERS ===');
+
+    testDefaults(projectPath);
+    logger.success('Built-in defaults fill every setting');
+
+    testLayerOrder(userPath, projectPath);
+    logger.success('User file < project file < environment < flags');
+
+    testProfiles(userPath, projectPath);
+    logger.success('Profiles apply on top of their file');
+
+    testInvalidConfig(directory, projectPath);
+    logger.success('Invalid settings are refused with their source');
+
+    testSetAndDiff(projectPath);
+    logger.success('config set writes checked values and diffs list the changes');
+
+    await testReloadFailure(projectPath);
+    logger.success('A reload that fails to apply keeps the previous config');
+
+    logger.success('=== ALL TESTS COMPLETED ===');
+  } catch (error) {
+    logger.error(`Test suite failed: ${error.stack}`);
+    process.exitCode = 1;
+  } finally {
+    if (savedConfigHome === undefined) {
+      delete process.env.XDG_CONFIG_HOME;
+    } else {
+      process.env.XDG_CONFIG_HOME = savedConfigHome;
+    }
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+runTests();
@@ -0,0 +1,117 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nacl = require('tweetnacl');
+const naclUtil = require('tweetnacl-util');
+const logger = require('../utils/logger');
+const {
+  isEncryptedKeystore,
+  encryptSecretKey,
+  decryptSecretKey,
+  readSecretKey,
+  readPublicKey,
+  writeKeyFiles,
+} = require('../src/keystore');
+
+function testRoundTrip() {
+  const keypair = nacl.sign.keyPair();
+  const keystore = encryptSecretKey(keypair.secretKey, 'correct horse');
+
+  assert.strictEqual(isEncryptedKeystore(JSON.stringify(keystore)), true);
+  assert.strictEqual(keystore.publicKey, naclUtil.encodeBase64(keypair.publicKey));
+  // The secret must not appear in the file in any form
+  assert.ok(!JSON.stringify(keystore).includes(naclUtil.encodeBase64(keypair.secretKey)));
+
+  const secretKey = decryptSecretKey(keystore, 'correct horse');
+  assert.deepStrictEqual(Array.from(secretKey), Array.from(keypair.secretKey));
+
+  // Two encryptions of the same key share neither salt nor nonce
+  const again = encryptSecretKey(keypair.secretKey, 'correct horse');
+  assert.notStrictEqual(again.crypto.kdfparams.salt, keystore.crypto.kdfparams.salt);
+  assert.notStrictEqual(again.crypto.nonce, keystore.crypto.nonce);
+
+  assert.throws(() => encryptSecretKey(keypair.secretKey, ''), /must not be empty/);
+}
+
+function testWrongPassphrase() {
+  const keystore = encryptSecretKey(nacl.sign.keyPair().secretKey, 'correct horse');
+  assert.throws(() => decryptSecretKey(keystore, 'battery staple'), /Wrong passphrase or corrupted keystore/);
+
+  // A flipped ciphertext byte fails authentication the same way
+  const ciphertext = naclUtil.decodeBase64(keystore.crypto.ciphertext);
+  ciphertext[0] ^= 1;
+  const tampered = { ...keystore, crypto: { ...keystore.crypto, ciphertext: naclUtil.encodeBase64(ciphertext) } };
+  assert.throws(() => decryptSecretKey(tampered, 'correct horse'), /Wrong passphrase or corrupted keystore/);
+
+  assert.throws(() => decryptSecretKey({ ...keystore, version: 99 }, 'correct horse'), /Unsupported keystore version/);
+  assert.throws(
+    () => decryptSecretKey({ ...keystore, crypto: { ...keystore.crypto, kdf: 'pbkdf2' } }, 'correct horse'),
+    /Unsupported keystore encryption/
+  );
+}
+
+function testScryptLimits() {
+  const keystore = encryptSecretKey(nacl.sign.keyPair().secretKey, 'correct horse');
+  const withParams = (params) => ({
+    ...keystore,
+    crypto: { ...keystore.crypto, kdfparams: { ...keystore.crypto.kdfparams, ...params } },
+  });
+
+  // Each of these would otherwise take gigabytes or minutes before failing
+  const startedAt = Date.now();
+  assert.throws(() => decryptSecretKey(withParams({ N: 2 ** 30 }), 'correct horse'), /parameter N/);
+  assert.throws(() => decryptSecretKey(withParams({ r: 1024 }), 'correct horse'), /parameter r/);
+  assert.throws(() => decryptSecretKey(withParams({ p: 1000 }), 'correct horse'), /parameter p/);
+  assert.ok(Date.now() - startedAt < 1000, 'oversized parameters must be refused before deriving a key');
+
+  assert.throws(() => decryptSecretKey(withParams({ N: 1000 }), 'correct horse'), /power of two/);
+  assert.throws(() => decryptSecretKey(withParams({ N: '65536' }), 'correct horse'), /parameter N/);
+  assert.throws(() => decryptSecretKey(withParams({ r: 0 }), 'correct horse'), /parameter r/);
+}
+
+function testKeyFiles(directory) {
+  const keypair = nacl.sign.keyPair();
+  const publicKey = naclUtil.encodeBase64(keypair.publicKey);
+
+  const plain = writeKeyFiles(path.join(directory, 'plain', 'privateKey.txt'), keypair);
+  assert.deepStrictEqual(Array.from(readSecretKey(plain.privateKeyPath)), Array.from(keypair.secretKey));
+  assert.strictEqual(readPublicKey(plain.privateKeyPath), publicKey);
+  assert.strictEqual(fs.readFileSync(plain.publicKeyPath, 'utf-8'), publicKey);
+
+  const encrypted = writeKeyFiles(path.join(directory, 'encrypted', 'privateKey.txt'), keypair, 'correct horse');
+  assert.strictEqual(fs.statSync(encrypted.privateKeyPath).mode & 0o777, 0o600);
+  // The public key reads without the passphrase
+  assert.strictEqual(readPublicKey(encrypted.privateKeyPath), publicKey);
+  assert.throws(() => readSecretKey(encrypted.privateKeyPath), /no passphrase was provided/);
+  assert.throws(() => readSecretKey(encrypted.privateKeyPath, 'battery staple'), /Wrong passphrase/);
+  assert.deepStrictEqual(Array.from(readSecretKey(encrypted.privateKeyPath, 'correct horse')), Array.from(keypair.secretKey));
+}
+
+function runTests() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'validator-keystore-'));
+  try {
+    logger.log('=== TESTING KEYSTORE ===');
+
+    testRoundTrip();
+    logger.success('Keystores decrypt to the key they were made from');
+
+    testWrongPassphrase();
+    logger.success('Wrong passphrases and tampered keystores are refused');
+
+    testScryptLimits();
+    logger.success('Oversized scrypt parameters are refused before deriving a key');
+
+    testKeyFiles(directory);
+    logger.success('Plaintext and encrypted key files read back');
+
+    logger.success('=== ALL TESTS COMPLETED ===');
+  } catch (error) {
+    logger.error(`Test suite failed: ${error.stack}`);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+runTests();
@@ -0,0 +1,127 @@
+const assert = require('assert');
+const http = require('http');
+const logger = require('../utils/logger');
+const { probeHttp } = require('../utils/network');
+
+// Start a local HTTP server on a free port
+function listen(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function urlOf(server, path) {
+  return `http://127.0.0.1:${server.address().port}${path}`;
+}
+
+// Request options carrying every kind of credential probeHttp sends
+const credentials = {
+  headers: { 'X-Api-Key': 'secret-key', Cookie: 'session=secret' },
+  auth: { type: 'bearer', token: 'secret-token' },
+  timeout: 2000,
+};
+
+async function testSameOriginRedirectKeepsCredentials() {
+  let seen = null;
+  const site = await listen((req, res) => {
+    if (req.url === '/start') {
+      res.writeHead(302, { Location: '/landing' });
+      res.end();
+      return;
+    }
+    seen = req.headers;
+    res.end('ok');
+  });
+
+  try {
+    const response = await probeHttp(urlOf(site, '/start'), credentials);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.hops.length, 2);
+    assert.strictEqual(seen.authorization, 'Bearer secret-token');
+    assert.strictEqual(seen['x-api-key'], 'secret-key');
+    assert.strictEqual(seen.cookie, 'session=secret');
+  } finally {
+    site.close();
+  }
+}
+
+async function testCrossOriginRedirectDropsCredentials() {
+  let seen = null;
+  // A different port is a different origin
+  const thirdParty = await listen((req, res) => {
+    seen = req.headers;
+    res.end('ok');
+  });
+  const site = await listen((req, res) => {
+    res.writeHead(302, { Location: urlOf(thirdParty, '/collect') });
+    res.end();
+  });
+
+  try {
+    const response = await probeHttp(urlOf(site, '/start'), credentials);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.finalUrl, urlOf(thirdParty, '/collect'));
+    assert.strictEqual(seen.authorization, undefined);
+    assert.strictEqual(seen['x-api-key'], undefined);
+    assert.strictEqual(seen.cookie, undefined);
+
+    // Basic auth is dropped the same way
+    await probeHttp(urlOf(site, '/start'), { auth: { type: 'basic', username: 'user', password: 'pass' }, timeout: 2000 });
+    assert.strictEqual(seen.authorization, undefined);
+  } finally {
+    site.close();
+    thirdParty.close();
+  }
+}
+
+async function testCredentialsStayDroppedAfterLeavingTheOrigin() {
+  let seen = null;
+  let site = null;
+  // Bounces straight back to the site it came from
+  const thirdParty = await listen((req, res) => {
+    res.writeHead(302, { Location: urlOf(site, '/back') });
+    res.end();
+  });
+  site = await listen((req, res) => {
+    if (req.url === '/start') {
+      res.writeHead(302, { Location: urlOf(thirdParty, '/bounce') });
+      res.end();
+      return;
+    }
+    seen = req.headers;
+    res.end('ok');
+  });
+
+  try {
+    const response = await probeHttp(urlOf(site, '/start'), credentials);
+    assert.strictEqual(response.hops.length, 3);
+    assert.strictEqual(seen.authorization, undefined);
+    assert.strictEqual(seen['x-api-key'], undefined);
+  } finally {
+    site.close();
+    thirdParty.close();
+  }
+}
+
+async function runTests() {
+  try {
+    logger.log('=== TESTING NETWORK PROBES ===');
+
+    await testSameOriginRedirectKeepsCredentials();
+    logger.success('Same-origin redirects keep credentials');
+
+    await testCrossOriginRedirectDropsCredentials();
+    logger.success('Cross-origin redirects drop credentials');
+
+    await testCredentialsStayDroppedAfterLeavingTheOrigin();
+    logger.success('Credentials stay dropped after a redirect leaves the origin');
+
+    logger.success('=== ALL TESTS COMPLETED ===');
+  } catch (error) {
+    logger.error(`Test suite failed: ${error.stack}`);
+    process.exitCode = 1;
+  }
+}
+
+runTests();
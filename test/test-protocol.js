@@ -0,0 +1,161 @@
+const assert = require('assert');
+const logger = require('../utils/logger');
+const {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  CHECKS_VERSION,
+  TO_HUB,
+  TO_VALIDATOR,
+  ProtocolError,
+  encodeMessage,
+  decodeMessage,
+  negotiateVersion,
+  validateCheck,
+} = require('../src/protocol');
+
+const validate = {
+  callbackId: 'job-1',
+  validatorId: 'validator-abc',
+  signedMessage: '[1,2,3]',
+  status: 'Good',
+  statusCode: 200,
+  latency: 42.5,
+};
+
+// Decode a message and return the ProtocolError it throws
+function rejection(direction, message, version) {
+  const raw = typeof message === 'string' ? message : JSON.stringify(message);
+  try {
+    decodeMessage(direction, raw, version);
+  } catch (error) {
+    assert.ok(error instanceof ProtocolError, `expected a ProtocolError, got ${error}`);
+    return error;
+  }
+  assert.fail(`${raw} was accepted`);
+}
+
+function testRoundTrip() {
+  const raw = encodeMessage(TO_HUB, 'validate', validate);
+  assert.deepStrictEqual(decodeMessage(TO_HUB, raw), { type: 'validate', data: validate });
+
+  // Buffers decode the same as strings, as they arrive from ws
+  assert.deepStrictEqual(decodeMessage(TO_HUB, Buffer.from(raw)).data, validate);
+
+  const hello = decodeMessage(TO_VALIDATOR, encodeMessage(TO_VALIDATOR, 'hello', { version: 2, supportedVersions: [1, 2], challenge: 'abc' }));
+  assert.strictEqual(hello.data.challenge, 'abc');
+}
+
+function testMalformedMessages() {
+  assert.strictEqual(rejection(TO_HUB, 'not json').code, 'INVALID_MESSAGE');
+  assert.strictEqual(rejection(TO_HUB, [1, 2]).code, 'INVALID_MESSAGE');
+  assert.strictEqual(rejection(TO_HUB, { data: {} }).code, 'INVALID_MESSAGE');
+  assert.match(rejection(TO_HUB, { type: 'validate', data: validate, extra: 1 }).message, /envelope field\(s\) extra/);
+
+  const unknown = rejection(TO_HUB, { type: 'teleport', data: { callbackId: 'x' } });
+  assert.strictEqual(unknown.code, 'UNKNOWN_TYPE');
+  assert.strictEqual(unknown.callbackId, 'x');
+
+  // Messages only go one way
+  assert.strictEqual(rejection(TO_VALIDATOR, { type: 'signup', data: { callbackId: 'x' } }).code, 'INVALID_MESSAGE');
+  assert.strictEqual(rejection(TO_HUB, { type: 'error', data: {} }).code, 'UNKNOWN_TYPE');
+}
+
+function testFieldChecks() {
+  const { callbackId, ...missing } = validate;
+  assert.match(rejection(TO_HUB, { type: 'validate', data: missing }).message, /missing field "callbackId"/);
+
+  const extra = rejection(TO_HUB, { type: 'validate', data: { ...validate, admin: true } });
+  assert.match(extra.message, /unexpected field "admin"/);
+  // The offending message is identified in the error
+  assert.strictEqual(extra.requestType, 'validate');
+  assert.strictEqual(extra.callbackId, 'job-1');
+
+  assert.match(rejection(TO_HUB, { type: 'validate', data: { ...validate, statusCode: '200' } }).message, /"statusCode" must be integer, got string/);
+  assert.match(rejection(TO_HUB, { type: 'validate', data: { ...validate, statusCode: 200.5 } }).message, /"statusCode" must be integer/);
+  assert.match(rejection(TO_HUB, { type: 'validate', data: { ...validate, status: 'Fine' } }).message, /"status" must be one of Good, Degraded, Bad/);
+  assert.match(rejection(TO_HUB, { type: 'hello', data: { versions: [1, '2'] } }).message, /"versions" must only hold integer values/);
+  // A hello reply without a challenge leaves nothing to sign up with
+  assert.match(rejection(TO_VALIDATOR, { type: 'hello', data: { version: 1, supportedVersions: [1] } }).message, /missing field "challenge"/);
+  assert.strictEqual(rejection(TO_HUB, { type: 'validate', data: null }).code, 'INVALID_MESSAGE');
+
+  // Every problem is reported at once
+  const many = rejection(TO_HUB, { type: 'validate', data: { ...validate, status: 'Fine', latency: 'slow' } });
+  assert.match(many.message, /"latency".*; .*"status"|"status".*; .*"latency"/);
+}
+
+function testVariants() {
+  const result = { type: 'tcp', host: 'example.com', port: 443, connected: true, connectTime: 12 };
+  assert.doesNotThrow(() => encodeMessage(TO_HUB, 'validate', { ...validate, result }));
+
+  assert.match(
+    rejection(TO_HUB, { type: 'validate', data: { ...validate, result: { ...result, type: 'smtp' } } }).message,
+    /"result.type" must be one of http, keyword, tcp, dns, tls/
+  );
+  assert.match(
+    rejection(TO_HUB, { type: 'validate', data: { ...validate, result: { ...result, port: 'https' } } }).message,
+    /"result.port" must be integer/
+  );
+  const timings = [{ url: 'https://example.com', method: 'GET', status: 200, dns: null, connect: 1, tls: 2, ttfb: 3, download: 4, total: 10, extra: 1 }];
+  assert.match(
+    rejection(TO_HUB, { type: 'validate', data: { ...validate, result: { type: 'http', statusCode: 200, latency: 1, failures: [], timings } } }).message,
+    /unexpected field "result.timings\[0\].extra"/
+  );
+  assert.match(
+    rejection(TO_HUB, { type: 'validate', data: { ...validate, result: { ...result, records: [] } } }).message,
+    /unexpected field "result.records"/
+  );
+
+  assert.doesNotThrow(() => validateCheck({ type: 'dns', recordType: 'MX', expected: ['mail.example.com'] }));
+  assert.throws(() => validateCheck({ type: 'dns', recordType: 'SRV' }), /Invalid check: "check.recordType" must be one of/);
+  assert.throws(() => validateCheck({ type: 'keyword' }), /missing field "check.keyword"/);
+  assert.throws(() => validateCheck({ type: 'http', auth: { type: 'bearer' } }), /missing field "check.auth.token"/);
+}
+
+function testVersions() {
+  assert.strictEqual(PROTOCOL_VERSION, SUPPORTED_VERSIONS[SUPPORTED_VERSIONS.length - 1]);
+
+  // The newest version both ends speak wins
+  assert.strictEqual(negotiateVersion([1, 2]), 2);
+  assert.strictEqual(negotiateVersion([2, 1]), 2);
+  assert.strictEqual(negotiateVersion([1]), 1);
+  assert.strictEqual(negotiateVersion([1, 99]), 1);
+  assert.strictEqual(negotiateVersion([0, 99]), null);
+  assert.strictEqual(negotiateVersion([]), null);
+
+  // Fields added in a version are unknown before it
+  const result = { type: 'tcp', host: 'example.com', port: 443, connected: true, connectTime: 12 };
+  const early = rejection(TO_HUB, { type: 'validate', data: { ...validate, result } }, CHECKS_VERSION - 1);
+  assert.match(early.message, /unexpected field "result"/);
+  assert.doesNotThrow(() => decodeMessage(TO_HUB, JSON.stringify({ type: 'validate', data: { ...validate, result } }), CHECKS_VERSION));
+
+  // encodeMessage refuses to send what decodeMessage would refuse
+  assert.throws(() => encodeMessage(TO_HUB, 'validate', { ...validate, status: 'Fine' }), ProtocolError);
+}
+
+function runTests() {
+  try {
+    logger.log('=== TESTING MESSAGE PROTOCOL ===');
+
+    testRoundTrip();
+    logger.success('Valid messages encode and decode unchanged');
+
+    testMalformedMessages();
+    logger.success('Malformed envelopes and unknown types are refused');
+
+    testFieldChecks();
+    logger.success('Missing, extra and mistyped fields are refused');
+
+    testVariants();
+    logger.success('Check results and definitions are checked by their type');
+
+    testVersions();
+    logger.success('Versions negotiate to the newest common one and gate their fields');
+
+    logger.success('=== ALL TESTS COMPLETED ===');
+  } catch (error) {
+    logger.error(`Test suite failed: ${error.stack}`);
+    process.exitCode = 1;
+  }
+}
+
+runTests();
@@ -0,0 +1,88 @@
+const assert = require('assert');
+const nacl = require('tweetnacl');
+const naclUtil = require('tweetnacl-util');
+const WebSocket = require('ws');
+const logger = require('../utils/logger');
+const { createReconnectPolicy } = require('../src/reconnect');
+const { connectWebsocket, getValidatorStatus } = require('../src/connection');
+
+// Start a hub that accepts each socket and closes it straight away, the way a
+// hub refusing our protocol version or signup does
+function refusingHub(name, connections) {
+  return new Promise((resolve) => {
+    const server = new WebSocket.Server({ port: 0, host: '127.0.0.1' }, () => resolve(server));
+    server.on('connection', (socket) => {
+      connections.push({ hub: name, at: Date.now() });
+      socket.close(1002, 'Unsupported protocol version');
+    });
+  });
+}
+
+function testPolicy() {
+  const policy = createReconnectPolicy({ hubServers: ['ws://a', 'ws://b'], initialDelay: 100, maxDelay: 300, multiplier: 2, jitter: 0, maxAttempts: 6 });
+  const plans = [];
+  for (let plan = policy.next(); plan; plan = policy.next()) {
+    plans.push(plan);
+  }
+
+  // Each pass over the list doubles the delay, up to maxDelay
+  assert.deepStrictEqual(plans.map((plan) => plan.hubServer), ['ws://a', 'ws://b', 'ws://a', 'ws://b', 'ws://a', 'ws://b']);
+  assert.deepStrictEqual(plans.map((plan) => plan.delay), [100, 100, 200, 200, 300, 300]);
+}
+
+async function testRefusingHubs() {
+  const connections = [];
+  const first = await refusingHub('first', connections);
+  const second = await refusingHub('second', connections);
+  const urlOf = (server) => `ws://127.0.0.1:${server.address().port}`;
+
+  const config = {
+    hubServer: urlOf(first),
+    hubServers: [urlOf(first), urlOf(second)],
+    pingInterval: 60000,
+    latencySettings: {},
+    reconnect: { initialDelay: 100, maxDelay: 1000, multiplier: 2, jitter: 0, maxAttempts: 4 },
+  };
+
+  let timer = null;
+  try {
+    await new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Kept reconnecting instead of giving up')), 10000);
+      connectWebsocket(naclUtil.encodeBase64(nacl.sign.keyPair().secretKey), config, null, resolve);
+    });
+
+    // The first connection plus maxAttempts retries, failing over between the hubs
+    assert.deepStrictEqual(connections.map((connection) => connection.hub), ['first', 'first', 'second', 'first', 'second']);
+
+    // ...with the delay growing after each pass instead of starting over on every open socket
+    const gaps = connections.slice(1).map((connection, index) => connection.at - connections[index].at);
+    assert.ok(gaps[2] >= 200 && gaps[3] >= 200, `expected the second pass to wait 200ms, waited ${gaps.join(', ')}ms`);
+
+    const status = getValidatorStatus();
+    assert.strictEqual(status.connection.state, 'failed');
+    assert.ok(!status.connection.history.some((entry) => entry.state === 'connected'), 'a refused socket must not count as connected');
+  } finally {
+    clearTimeout(timer);
+    first.close();
+    second.close();
+  }
+}
+
+async function runTests() {
+  try {
+    logger.log('=== TESTING RECONNECTS ===');
+
+    testPolicy();
+    logger.success('The policy fails over down the hub list and backs off per pass');
+
+    await testRefusingHubs();
+    logger.success('Hubs that close the socket before signup count as failed attempts');
+
+    logger.success('=== ALL TESTS COMPLETED ===');
+  } catch (error) {
+    logger.error(`Test suite failed: ${error.stack}`);
+    process.exitCode = 1;
+  }
+}
+
+runTests();
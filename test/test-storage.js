@@ -0,0 +1,121 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const { createStorage, VALIDATORS_WRITE_DELAY } = require('../src/hub/storage');
+
+function tick(minute, websiteId, status) {
+  return { timestamp: `2026-01-01T00:${String(minute).padStart(2, '0')}:00.000Z`, websiteId, validatorId: 'v1', status };
+}
+
+// Both drivers must answer queries the same way
+async function testQueries(storage) {
+  for (let minute = 0; minute < 10; minute++) {
+    storage.appendTick(tick(minute, minute % 2 === 0 ? 'even' : 'odd', minute < 5 ? 'Good' : 'Bad'));
+  }
+
+  assert.strictEqual((await storage.queryTicks({})).length, 10);
+  assert.deepStrictEqual((await storage.queryTicks({ websiteId: 'even' })).map((record) => record.timestamp.substring(14, 16)), ['00', '02', '04', '06', '08']);
+  assert.strictEqual((await storage.queryTicks({ websiteId: 'odd', status: 'Bad' })).length, 3);
+
+  // since and until are inclusive; limit keeps the newest matches
+  const window = await storage.queryTicks({ since: '2026-01-01T00:03:00.000Z', until: '2026-01-01T00:06:00.000Z' });
+  assert.strictEqual(window.length, 4);
+  const newest = await storage.queryTicks({ websiteId: 'even', limit: 2 });
+  assert.deepStrictEqual(newest.map((record) => record.timestamp.substring(14, 16)), ['06', '08']);
+
+  storage.appendLedgerEntry({ timestamp: '2026-01-01T00:00:00.000Z', validatorId: 'v1', amount: 100 });
+  storage.appendLedgerEntry({ timestamp: '2026-01-02T00:00:00.000Z', validatorId: 'v2', amount: 100 });
+  assert.deepStrictEqual((await storage.queryLedger({ validatorId: 'v2' })).map((entry) => entry.timestamp), ['2026-01-02T00:00:00.000Z']);
+}
+
+async function testTornLines(directory) {
+  const storage = createStorage({ driver: 'file', directory });
+  assert.deepStrictEqual(await storage.queryTicks({}), []);
+
+  storage.appendTick(tick(0, 'site', 'Good'));
+  // A crash mid-write leaves half a line behind
+  fs.appendFileSync(path.join(directory, 'ticks.ndjson'), '{"timestamp":"2026-01-01T00:01\n\n');
+  storage.appendTick(tick(2, 'site', 'Good'));
+
+  assert.strictEqual((await storage.queryTicks({ websiteId: 'site' })).length, 2);
+}
+
+async function testBatchedValidatorWrites(directory) {
+  const validatorsPath = path.join(directory, 'validators.json');
+  const storage = createStorage({ driver: 'file', directory });
+
+  // A burst of changes is one write, not one per change
+  for (let signup = 1; signup <= 50; signup++) {
+    storage.saveValidator({ publicKey: 'key-1', validatorId: 'v1', lastSeen: `signup ${signup}` });
+  }
+  assert.strictEqual(storage.getValidator('key-1').lastSeen, 'signup 50');
+  assert.strictEqual(fs.existsSync(validatorsPath), false);
+
+  await new Promise((resolve) => setTimeout(resolve, VALIDATORS_WRITE_DELAY + 200));
+  assert.strictEqual(createStorage({ driver: 'file', directory }).getValidator('key-1').lastSeen, 'signup 50');
+
+  // flush() saves pending changes straight away, for shutdown
+  storage.saveValidator({ publicKey: 'key-1', validatorId: 'v1', lastSeen: 'signup 51' });
+  storage.flush();
+  assert.strictEqual(createStorage({ driver: 'file', directory }).getValidator('key-1').lastSeen, 'signup 51');
+}
+
+function testRemovedWebsites(directory) {
+  const website = { id: 'site-1', url: 'https://example.com', interval: 60000 };
+  let storage = createStorage({ driver: 'file', directory });
+
+  storage.saveWebsite(website);
+  assert.strictEqual(storage.isWebsiteRemoved('site-1'), false);
+  assert.strictEqual(storage.removeWebsite('site-1'), true);
+  assert.strictEqual(storage.removeWebsite('site-1'), false);
+
+  // The removal survives a restart...
+  storage = createStorage({ driver: 'file', directory });
+  assert.deepStrictEqual(storage.listWebsites(), []);
+  assert.strictEqual(storage.isWebsiteRemoved('site-1'), true);
+
+  // ...until the website is saved again
+  storage.saveWebsite(website);
+  storage = createStorage({ driver: 'file', directory });
+  assert.strictEqual(storage.isWebsiteRemoved('site-1'), false);
+
+  const memory = createStorage({ driver: 'memory' });
+  memory.saveWebsite(website);
+  memory.removeWebsite('site-1');
+  assert.strictEqual(memory.isWebsiteRemoved('site-1'), true);
+  memory.saveWebsite(website);
+  assert.strictEqual(memory.isWebsiteRemoved('site-1'), false);
+}
+
+async function runTests() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'validator-storage-'));
+  try {
+    logger.log('=== TESTING HUB STORAGE ===');
+
+    await testQueries(createStorage({ driver: 'memory' }));
+    logger.success('Memory store filters and limits queries');
+
+    await testQueries(createStorage({ driver: 'file', directory: path.join(directory, 'file') }));
+    logger.success('File store streams its logs and filters while reading');
+
+    await testTornLines(path.join(directory, 'torn'));
+    logger.success('Torn log lines are skipped');
+
+    await testBatchedValidatorWrites(path.join(directory, 'validators'));
+    logger.success('Validator changes are written in batches and flushed on demand');
+
+    testRemovedWebsites(path.join(directory, 'removed'));
+    logger.success('Removed websites are remembered until saved again');
+
+    logger.success('=== ALL TESTS COMPLETED ===');
+  } catch (error) {
+    logger.error(`Test suite failed: ${error.stack}`);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+runTests();
@@ -1,31 +1,278 @@
+const fs = require('fs');
+const path = require('path');
 const chalk = require('chalk');
 
-const logger = {
-  log: (message) => {
-    console.log(chalk.cyan(`[INFO] ${message}`));
-  },
-  success: (message) => {
-    console.log(chalk.greenBright(`[SUCCESS] ${message}`));
-  },
-  warn: (message) => {
-    console.log(chalk.yellowBright(`[WARNING] ${message}`));
-  },
-  error: (message) => {
-    console.log(chalk.redBright(`[ERROR] ${message}`));
-  },
-  title: (message) => {
-    console.log(chalk.bold.magenta(`\n${message}`));
-    console.log(chalk.bold.magenta("=".repeat(message.length)));
-  },
-  data: (message) => {
-    console.log(chalk.blueBright(`[DATA] ${message}`));
-  },
-  ping: (message) => {
-    console.log(chalk.hex('#00FFFF')(`[PING] ${message}`));
-  },
-  network: (message) => {
-    console.log(chalk.hex('#FF00FF')(`[NETWORK] ${message}`));
+// Severity of each level; messages below the configured level are dropped
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// pretty is colored text for people, json is one JSON object per line
+const LOG_FORMATS = ['pretty', 'json'];
+
+// How often the log file starts afresh, besides when it reaches its size limit
+const ROTATIONS = ['none', 'hourly', 'daily'];
+
+// Logging methods: the level each logs at and how pretty output tags it
+const METHODS = {
+  debug: { level: 'debug', tag: 'DEBUG', color: (text) => chalk.gray(text) },
+  log: { level: 'info', tag: 'INFO', color: (text) => chalk.cyan(text) },
+  info: { level: 'info', tag: 'INFO', color: (text) => chalk.cyan(text) },
+  success: { level: 'info', tag: 'SUCCESS', color: (text) => chalk.greenBright(text) },
+  data: { level: 'info', tag: 'DATA', color: (text) => chalk.blueBright(text) },
+  ping: { level: 'info', tag: 'PING', color: (text) => chalk.hex('#00FFFF')(text) },
+  network: { level: 'info', tag: 'NETWORK', color: (text) => chalk.hex('#FF00FF')(text) },
+  warn: { level: 'warn', tag: 'WARNING', color: (text) => chalk.yellowBright(text) },
+  error: { level: 'error', tag: 'ERROR', color: (text) => chalk.redBright(text) },
+};
+
+// Width inside the borders of box headings
+const BOX_WIDTH = 37;
+
+const settings = {
+  level: 'info',
+  format: 'pretty',
+  timestamps: false,
+};
+
+// Console output goes to stdout, or to stderr when the CLI keeps stdout for
+// machine-readable output
+let write = console.log;
+
+// Optional file sink, see createFileSink
+let sink = null;
+
+/**
+ * Remove terminal color codes, for JSON and file output
+ * @param {string} text - Text that may contain color codes
+ * @returns {string}
+ */
+function stripColors(text) {
+  return text.replace(/\x1b\[[0-9;]*m/g, '');
+}
+
+/**
+ * Name of the rotation period a moment falls in
+ * @param {Date} date - Moment
+ * @param {string} rotate - One of ROTATIONS
+ * @returns {string} - Same for every moment of one period
+ */
+function periodOf(date, rotate) {
+  if (rotate === 'daily') {
+    return date.toISOString().substring(0, 10);
+  }
+  if (rotate === 'hourly') {
+    return date.toISOString().substring(0, 13);
+  }
+  return '';
+}
+
+/**
+ * Create a log file sink. The file is rotated when the next line would take
+ * it past maxSize, and when a new hour or day starts: file becomes file.1,
+ * file.1 becomes file.2 and so on, keeping maxFiles old files
+ * @param {object} options - File options
+ * @param {string} options.path - Log file
+ * @param {number} options.maxSize - Largest file size in bytes; 0 for no limit
+ * @param {number} options.maxFiles - Rotated files to keep
+ * @param {string} options.rotate - One of ROTATIONS
+ * @returns {object} - { path, write(line) }
+ */
+function createFileSink({ path: file, maxSize = 10 * 1024 * 1024, maxFiles = 5, rotate = 'none' }) {
+  const filePath = path.resolve(file);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const existing = fs.existsSync(filePath) ? fs.statSync(filePath) : null;
+  let size = existing ? existing.size : 0;
+  let period = periodOf(existing ? existing.mtime : new Date(), rotate);
+
+  function rotateFiles() {
+    for (let index = maxFiles; index >= 1; index--) {
+      const from = index === 1 ? filePath : `${filePath}.${index - 1}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${filePath}.${index}`);
+      }
+    }
+    if (maxFiles === 0 && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+    size = 0;
+  }
+
+  return {
+    path: filePath,
+    write: (line) => {
+      const bytes = Buffer.byteLength(line) + 1;
+      const now = periodOf(new Date(), rotate);
+      if (size > 0 && ((maxSize > 0 && size + bytes > maxSize) || now !== period)) {
+        rotateFiles();
+      }
+      period = now;
+      fs.appendFileSync(filePath, `${line}\n`);
+      size += bytes;
+    },
+  };
+}
+
+/**
+ * Write one message to the file sink, if there is one
+ * @param {string} time - ISO timestamp
+ * @param {string} level - Level name
+ * @param {string} module - Module of a child logger, or null
+ * @param {string} text - Message
+ * @param {object} fields - Extra fields for JSON output
+ */
+function writeSink(time, level, module, text, fields) {
+  if (!sink) {
+    return;
+  }
+  const message = stripColors(text);
+  try {
+    sink.write(settings.format === 'json'
+      ? JSON.stringify({ time, level, ...(module ? { module } : {}), msg: message, ...fields })
+      : `${time} ${level.toUpperCase()} ${module ? `[${module}] ` : ''}${message}`);
+  } catch (error) {
+    // Keep running without the file rather than fail on every message
+    const failed = sink.path;
+    sink = null;
+    console.error(`[ERROR] Stopped writing ${failed}: ${error.message}`);
   }
+}
+
+/**
+ * Log one message to the console and the file sink
+ * @param {string} method - Key of METHODS
+ * @param {string} module - Module of a child logger, or null
+ * @param {*} message - Message
+ * @param {object} fields - Extra fields for JSON output
+ */
+function emit(method, module, message, fields = {}) {
+  const { level, tag, color } = METHODS[method];
+  if (LEVELS[level] < LEVELS[settings.level]) {
+    return;
+  }
+
+  const time = new Date().toISOString();
+  const text = String(message);
+
+  if (settings.format === 'json') {
+    write(JSON.stringify({ time, level, ...(module ? { module } : {}), msg: stripColors(text), ...fields }));
+  } else {
+    const prefix = settings.timestamps ? `${chalk.gray(time)} ` : '';
+    write(`${prefix}${color(`[${tag}]${module ? ` [${module}]` : ''} ${text}`)}`);
+  }
+  writeSink(time, level, module, text, fields);
+}
+
+/**
+ * Create a logger whose messages carry a module name
+ * @param {string} module - Module name, e.g. "connection"; null for the root logger
+ * @returns {object} - Logger
+ */
+function createLogger(module) {
+  const methods = Object.fromEntries(Object.keys(METHODS).map((method) => [
+    method,
+    (message, fields) => emit(method, module, message, fields),
+  ]));
+
+  return {
+    ...methods,
+    // A heading for people; in JSON it's an info message like any other
+    title: (message) => {
+      if (LEVELS.info < LEVELS[settings.level]) {
+        return;
+      }
+      if (settings.format === 'json') {
+        emit('info', module, message);
+        return;
+      }
+      write(chalk.bold.magenta(`\n${message}`));
+      write(chalk.bold.magenta('='.repeat(message.length)));
+    },
+    // A boxed announcement, followed by "Label: value" lines of details
+    box: (message, details = {}, color = chalk.cyan) => {
+      if (LEVELS.info < LEVELS[settings.level]) {
+        return;
+      }
+      if (settings.format === 'json') {
+        emit('info', module, message, details);
+        return;
+      }
+      const padding = BOX_WIDTH - message.length;
+      const line = ' '.repeat(Math.floor(padding / 2)) + message + ' '.repeat(Math.ceil(padding / 2));
+      write(color(`\n ┌${'─'.repeat(BOX_WIDTH)}┐`));
+      write(color(` │${line}│`));
+      write(color(` └${'─'.repeat(BOX_WIDTH)}┘${Object.keys(details).length > 0 ? '' : '\n'}`));
+      const entries = Object.entries(details);
+      if (entries.length > 0) {
+        const width = Math.max(...entries.map(([label]) => label.length)) + 2;
+        write('');
+        entries.forEach(([label, value]) => write(`   ${color.bold(`${label}:`.padEnd(width))}${chalk.white.bold(value)}`));
+        write('');
+      }
+      // The file gets one line, with the details after the heading
+      const summary = entries.map(([label, value]) => `${label}: ${value}`).join(', ');
+      writeSink(new Date().toISOString(), 'info', module, summary ? `${message} (${summary})` : message, details);
+    },
+    child: (name) => createLogger(module ? `${module}.${name}` : name),
+  };
+}
+
+const logger = createLogger(null);
+
+/**
+ * Change how and where messages are logged. Options left out keep their value
+ * @param {object} options - Logging options
+ * @param {string} options.level - Lowest level logged: debug, info, warn, error or silent
+ * @param {string} options.format - pretty or json
+ * @param {boolean} options.timestamps - Start pretty lines with an ISO timestamp
+ * @param {string} options.file - Also write to this file; null for no file
+ * @param {number} options.maxSize - See createFileSink
+ * @param {number} options.maxFiles - See createFileSink
+ * @param {string} options.rotate - See createFileSink
+ */
+logger.configure = (options = {}) => {
+  // Check everything before changing anything, so a bad option leaves the old settings in place
+  if (options.level !== undefined && !LEVELS[options.level]) {
+    throw new Error(`Unknown log level "${options.level}"; use one of ${Object.keys(LEVELS).join(', ')}`);
+  }
+  if (options.format !== undefined && !LOG_FORMATS.includes(options.format)) {
+    throw new Error(`Unknown log format "${options.format}"; use one of ${LOG_FORMATS.join(', ')}`);
+  }
+  let nextSink = sink;
+  if (options.file !== undefined) {
+    const { file, maxSize, maxFiles, rotate = 'none' } = options;
+    if (!ROTATIONS.includes(rotate)) {
+      throw new Error(`Unknown log rotation "${rotate}"; use one of ${ROTATIONS.join(', ')}`);
+    }
+    nextSink = file ? createFileSink({ path: file, maxSize, maxFiles, rotate }) : null;
+  }
+
+  if (options.level !== undefined) {
+    settings.level = options.level;
+  }
+  if (options.format !== undefined) {
+    settings.format = options.format;
+  }
+  if (options.timestamps !== undefined) {
+    settings.timestamps = options.timestamps;
+  }
+  sink = nextSink;
+};
+
+/**
+ * Send console output to stderr
+ */
+logger.toStderr = () => {
+  write = console.error;
 };
 
-module.exports = logger;
\ No newline at end of file
+/**
+ * Whether console output is JSON lines
+ * @returns {boolean}
+ */
+logger.isJson = () => settings.format === 'json';
+
+logger.LEVELS = Object.keys(LEVELS);
+logger.LOG_FORMATS = LOG_FORMATS;
+logger.ROTATIONS = ROTATIONS;
+
+module.exports = logger;
@@ -1,58 +1,27 @@
-const { execSync } = require('child_process');
 const dns = require('dns');
 const http = require('http');
 const https = require('https');
 const net = require('net');
 const axios = require('axios');
-const logger = require('./logger');
+const { probeLatency } = require('./ping');
+const logger = require('./logger').child('network');
 
-// Check if we're on Windows to adjust the ping command
-const isWindows = process.platform === 'win32';
+// Round trips averaged into a validation's network ping
+const PING_SAMPLES = 3;
 
 /**
- * Measure network latency using system ping
+ * Measure network latency with ICMP, or TCP connects when ICMP isn't available
  * @param {string} hostname The hostname to ping
- * @returns {Promise<number|null>} The ping latency in ms, or null if failed
+ * @param {number} port Port for the TCP fallback; without it there is none
+ * @returns {Promise<number|null>} The average round trip in ms, or null if failed
  */
-async function getNetworkLatency(hostname) {
+async function getNetworkLatency(hostname, port = null) {
   try {
-    // Adjust ping command based on OS
-    const pingCmd = isWindows ? `ping -n 1 ${hostname}` : `ping -c 1 ${hostname}`;
-    const pingOutput = execSync(pingCmd, { timeout: 3000 }).toString();
-    
-    // Different regex patterns for different OS outputs
-    let match = null;
-    
-    if (isWindows) {
-      // Windows format: "Minimum = 10ms, Maximum = 10ms, Average = 10ms"
-      const avgMatch = pingOutput.match(/Average\s*=\s*(\d+)ms/);
-      if (avgMatch && avgMatch[1]) {
-        return parseInt(avgMatch[1], 10);
-      }
-      
-      // Alternative Windows format: "time=10ms TTL=54"
-      const timeMatch = pingOutput.match(/time[=<](\d+)ms/);
-      if (timeMatch && timeMatch[1]) {
-        return parseInt(timeMatch[1], 10);
-      }
-    } else {
-      // Unix/Linux/Mac format: "time=10.123 ms"
-      const timeMatch = pingOutput.match(/time=(\d+(\.\d+)?)\s*ms/);
-      if (timeMatch && timeMatch[1]) {
-        return parseFloat(timeMatch[1]);
-      }
-    }
-    
-    // If no pattern matched, try a more generic approach
-    const genericMatch = pingOutput.match(/[=<](\d+(\.\d+)?)\s*ms/);
-    if (genericMatch && genericMatch[1]) {
-      return parseFloat(genericMatch[1]);
-    }
-    
-    logger.log(`Could not extract ping time from output: ${pingOutput}`);
-    return null;
+    const result = await probeLatency(hostname, { count: PING_SAMPLES, port });
+    return result.avg;
   } catch (error) {
-    // Don't log the error to avoid cluttering the output
+    // Only worth a mention when debugging; the check carries on without it
+    logger.debug(`No network ping for ${hostname}: ${error.message}`);
     return null;
   }
 }
@@ -76,14 +45,15 @@ function getDnsResolutionTime(hostname) {
  * Measure TCP connection time to a host
  * @param {string} hostname The hostname to connect to
  * @param {number} port The port to connect to
+ * @param {number} timeout Timeout in ms
  * @returns {Promise<number|null>} The connection time in ms, or null if failed
  */
-function getTcpConnectionTime(hostname, port) {
+function getTcpConnectionTime(hostname, port, timeout = 2000) {
   return new Promise((resolve) => {
     const startTime = Date.now();
     const socket = new net.Socket();
     
-    socket.setTimeout(2000); // 2 second timeout
+    socket.setTimeout(timeout);
     
     socket.on('connect', () => {
       const connectTime = Date.now() - startTime;
@@ -106,78 +76,215 @@ function getTcpConnectionTime(hostname, port) {
 }
 
 /**
- * Perform a simple, fast HTTP HEAD request with accurate timing
+ * Headers for a website check
+ * @param {boolean} disableCache Ask caches and proxies not to answer for the site
+ * @returns {Object} Request headers
+ */
+function requestHeaders(disableCache = true) {
+  return disableCache
+    ? { 'Cache-Control': 'no-cache', 'Pragma': 'no-cache' }
+    : {};
+}
+
+/**
+ * Default port for a URL's protocol
+ * @param {URL} urlObj Parsed URL
+ * @returns {number} The explicit port, or 443/80 by protocol
+ */
+function portFor(urlObj) {
+  return urlObj.port ? parseInt(urlObj.port, 10) : (urlObj.protocol === 'https:' ? 443 : 80);
+}
+
+// Redirect statuses a probe follows
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Most of a response body kept for keyword checks; the rest is read but dropped
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Milliseconds between two performance.now() readings, to 0.1ms
+ * @param {number} from Start reading
+ * @param {number} to End reading
+ * @returns {number|null} Duration, or null if either reading is missing
+ */
+function elapsed(from, to) {
+  return from === null || to === null ? null : Math.round((to - from) * 10) / 10;
+}
+
+/**
+ * Origin of a URL with its port spelled out, so http://a and http://a:80 match
+ * @param {URL} urlObj Parsed URL
+ * @returns {string} protocol//host:port
+ */
+function originOf(urlObj) {
+  return `${urlObj.protocol}//${urlObj.hostname}:${portFor(urlObj)}`;
+}
+
+/**
+ * Send an HTTP request, following redirects, and time every phase of every
+ * hop: DNS lookup, TCP connect, TLS handshake, time to first byte and content
+ * transfer. Each hop gets a fresh connection so none of the phases are skipped.
+ * Auth and the caller's headers only go to the origin of the first URL; once a
+ * redirect leaves it they are dropped for the rest of the chain
  * @param {string} url The URL to request
- * @param {number} timeout Timeout in ms
- * @returns {Promise<{time: number, status: number}>} Time and status
+ * @param {Object} options Request options
+ * @param {string} options.method HTTP method (default GET)
+ * @param {Object} options.headers Extra request headers
+ * @param {string} options.body Request body
+ * @param {Object} options.auth { type: 'basic', username, password } or { type: 'bearer', token }
+ * @param {number} options.timeout Socket timeout per hop in ms
+ * @param {number} options.maxRedirects Redirects to follow; with 0 the redirect itself is returned
+ * @param {boolean} options.disableCache Send no-cache headers
+ * @returns {Promise<Object>} Time, status, response headers, body, final URL and hops; rejects
+ * when there is no response, with the hops so far on error.hops
  */
-async function performHeadRequest(url, timeout = 2000, maxRedirects = 5) {
-  const startTime = Date.now();
-  try {
-    const { protocol, hostname, pathname, search } = new URL(url);
-    const port = protocol === 'https:' ? 443 : 80;
-
-    return new Promise((resolve, reject) => {
-      const makeRequest = (currentUrl, redirectCount = 0) => {
-        const { protocol, hostname, pathname, search } = new URL(currentUrl);
-        const options = {
-          method: 'HEAD',
-          hostname: hostname,
-          path: pathname + (search || ''),
-          port: port,
-          timeout: timeout,
-          headers: {
-            'Cache-Control': 'no-cache',
-            'Connection': 'close',
-          },
-        };
-
-        const req = (protocol === 'https:' ? https : http).request(options, (res) => {
-          if ([301, 302, 303, 307, 308].includes(res.statusCode)) {
-            if (redirectCount >= maxRedirects) {
-              reject(new Error('Too many redirects'));
+function probeHttp(url, options = {}) {
+  const maxRedirects = options.maxRedirects === undefined ? 5 : options.maxRedirects;
+  const auth = options.auth || {};
+  const origin = originOf(new URL(url));
+  const hops = [];
+  const startTime = performance.now();
+
+  return new Promise((resolve, reject) => {
+    const fail = (error) => {
+      error.hops = hops;
+      reject(error);
+    };
+
+    const makeRequest = (currentUrl, method, body, trusted) => {
+      const urlObj = new URL(currentUrl);
+      const hop = { url: currentUrl, method, status: null, dns: null, connect: null, tls: null, ttfb: null, download: null, total: null };
+      hops.push(hop);
+
+      // A redirect to another protocol, host or port must not carry the
+      // credentials or cookies meant for the site being checked
+      const credentials = trusted && originOf(urlObj) === origin;
+      const headers = { ...requestHeaders(options.disableCache), ...(credentials ? options.headers : {}), 'Connection': 'close' };
+      if (auth.type === 'bearer' && credentials) {
+        headers.Authorization = `Bearer ${auth.token}`;
+      }
+      if (body !== undefined) {
+        headers['Content-Length'] = Buffer.byteLength(body);
+      }
+
+      const sentAt = performance.now();
+      let lookupAt = null;
+      let connectAt = null;
+      let secureAt = null;
+
+      const req = (urlObj.protocol === 'https:' ? https : http).request({
+        method,
+        hostname: urlObj.hostname,
+        // Each hop may change protocol or port
+        port: portFor(urlObj),
+        path: urlObj.pathname + (urlObj.search || ''),
+        headers,
+        auth: auth.type === 'basic' && credentials ? `${auth.username}:${auth.password}` : undefined,
+        // A pooled socket would hide the DNS, connect and TLS phases
+        agent: false,
+        timeout: options.timeout,
+      }, (res) => {
+        const firstByteAt = performance.now();
+        const chunks = [];
+        let size = 0;
+
+        res.on('data', (chunk) => {
+          size += chunk.length;
+          if (size <= MAX_BODY_BYTES) {
+            chunks.push(chunk);
+          }
+        });
+
+        res.on('end', () => {
+          const endAt = performance.now();
+          Object.assign(hop, {
+            status: res.statusCode,
+            dns: elapsed(sentAt, lookupAt),
+            connect: elapsed(lookupAt === null ? sentAt : lookupAt, connectAt),
+            tls: elapsed(connectAt, secureAt),
+            ttfb: elapsed(secureAt !== null ? secureAt : (connectAt !== null ? connectAt : sentAt), firstByteAt),
+            download: elapsed(firstByteAt, endAt),
+            total: elapsed(sentAt, endAt),
+          });
+
+          if (REDIRECT_STATUSES.includes(res.statusCode) && maxRedirects > 0) {
+            if (hops.length > maxRedirects) {
+              fail(new Error('Too many redirects'));
               return;
             }
-
-            const location = res.headers.location;
-            if (!location) {
-              reject(new Error('Redirect location missing'));
+            if (!res.headers.location) {
+              fail(new Error('Redirect location missing'));
               return;
             }
 
-            // Resolve the redirect URL relative to the current URL
-            const redirectUrl = new URL(location, currentUrl).toString();
-            makeRequest(redirectUrl, redirectCount + 1);
-          } else {
-            resolve({
-              time: Date.now() - startTime,
-              status: res.statusCode,
-              finalUrl: currentUrl, // Include the final URL after redirects
-            });
+            // 307 and 308 repeat the request; the others turn it into a GET
+            const keepMethod = res.statusCode === 307 || res.statusCode === 308;
+            makeRequest(
+              new URL(res.headers.location, currentUrl).toString(),
+              keepMethod || method === 'HEAD' ? method : 'GET',
+              keepMethod ? body : undefined,
+              credentials
+            );
+            return;
           }
-        });
 
-        req.on('error', (e) => {
-          reject(e);
+          resolve({
+            time: Math.round(endAt - startTime),
+            status: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks).toString('utf-8'),
+            finalUrl: currentUrl,
+            hops,
+          });
         });
 
-        req.on('timeout', () => {
-          req.destroy();
-          reject(new Error('Request timed out'));
-        });
+        res.on('error', fail);
+      });
 
-        req.end();
-      };
+      req.on('socket', (socket) => {
+        socket.once('lookup', () => { lookupAt = performance.now(); });
+        socket.once('connect', () => { connectAt = performance.now(); });
+        socket.once('secureConnect', () => { secureAt = performance.now(); });
+      });
 
-      makeRequest(url);
-    });
-  } catch (error) {
-    return {
-      time: Date.now() - startTime,
-      status: 0,
-      error: error.message,
+      req.on('error', fail);
+
+      req.on('timeout', () => {
+        req.destroy();
+        fail(new Error('Request timed out'));
+      });
+
+      if (body !== undefined) {
+        req.write(body);
+      }
+      req.end();
     };
-  }
+
+    makeRequest(url, options.method || 'GET', options.body, true);
+  });
+}
+
+/**
+ * Perform a simple, fast HTTP HEAD request with accurate timing
+ * @param {string} url The URL to request
+ * @param {number} timeout Timeout in ms
+ * @param {number} maxRedirects Redirects to follow; with 0 the redirect itself is returned
+ * @param {boolean} disableCache Send no-cache headers
+ * @returns {Promise<{time: number, status: number, finalUrl: string, hops: Array}>} Time, status and per-hop timings
+ */
+async function performHeadRequest(url, timeout = 2000, maxRedirects = 5, disableCache = true) {
+  const { time, status, finalUrl, hops } = await probeHttp(url, { method: 'HEAD', timeout, maxRedirects, disableCache });
+  return { time, status, finalUrl, hops };
+}
+
+/**
+ * Send an HTTP request the way a check describes it and time the response
+ * @param {string} url The URL to request
+ * @param {Object} options Request options, see probeHttp
+ * @returns {Promise<Object>} Time, status, response headers, body, final URL and hops; rejects when there is no response
+ */
+function performHttpRequest(url, options = {}) {
+  return probeHttp(url, options);
 }
 
 /**
@@ -193,6 +300,8 @@ async function measureLatency(url, options = {}) {
     measureDns: true,
     useHeadRequest: true,
     maxRedirects: 5, // Add max redirects option
+    disableCache: true,
+    forceLowLatency: false,
   };
 
   const config = { ...defaults, ...options };
@@ -204,35 +313,44 @@ async function measureLatency(url, options = {}) {
     const results = {
       url,
       networkPing: null,
+      tcpTime: null,
       httpLatency: null,
       dnsTime: null,
       status: null,
       finalUrl: url, // Track the final URL after redirects
+      timings: null, // Phases of each request hop, when the HEAD probe answered
     };
 
-    // For speed, run DNS and ping in parallel
-    const [networkPing, dnsTime] = await Promise.all([
-      getNetworkLatency(hostname),
-      config.measureDns ? getDnsResolutionTime(hostname) : Promise.resolve(null),
-    ]);
+    // For speed, run DNS and ping in parallel. Low latency mode only times
+    // the TCP connect, which leaves out the site's own processing time
+    if (config.forceLowLatency) {
+      results.tcpTime = await getTcpConnectionTime(hostname, portFor(urlObj), config.timeout);
+    } else {
+      const [networkPing, dnsTime] = await Promise.all([
+        getNetworkLatency(hostname, portFor(urlObj)),
+        config.measureDns ? getDnsResolutionTime(hostname) : Promise.resolve(null),
+      ]);
 
-    results.networkPing = networkPing;
-    results.dnsTime = dnsTime;
+      results.networkPing = networkPing;
+      results.dnsTime = dnsTime;
+    }
 
     // Perform a HEAD request for fastest response
     if (config.useHeadRequest) {
       try {
-        const headResponse = await performHeadRequest(url, config.timeout, config.maxRedirects);
+        const headResponse = await performHeadRequest(url, config.timeout, config.maxRedirects, config.disableCache);
         results.httpLatency = headResponse.time;
         results.status = headResponse.status;
         results.finalUrl = headResponse.finalUrl; // Update final URL
+        results.timings = headResponse.hops;
       } catch (headError) {
         // Fall back to a simple axios check if HEAD fails
+        logger.debug(`HEAD ${url} failed (${headError.message}), trying GET`);
         try {
           const startTime = Date.now();
           const response = await axios.get(url, {
             timeout: config.timeout,
-            headers: { 'Cache-Control': 'no-cache' },
+            headers: requestHeaders(config.disableCache),
             maxRedirects: config.maxRedirects, // Follow redirects
             validateStatus: () => true,
           });
@@ -240,6 +358,7 @@ async function measureLatency(url, options = {}) {
           results.status = response.status;
           results.finalUrl = response.request.res.responseUrl; // Capture final URL
         } catch (getError) {
+          logger.debug(`GET ${url} failed: ${getError.message}`);
           results.status = 0;
         }
       }
@@ -249,7 +368,7 @@ async function measureLatency(url, options = {}) {
         const startTime = Date.now();
         const response = await axios.get(url, {
           timeout: config.timeout,
-          headers: { 'Cache-Control': 'no-cache' },
+          headers: requestHeaders(config.disableCache),
           maxRedirects: config.maxRedirects, // Follow redirects
           validateStatus: () => true,
         });
@@ -257,16 +376,22 @@ async function measureLatency(url, options = {}) {
         results.status = response.status;
         results.finalUrl = response.request.res.responseUrl; // Capture final URL
       } catch (error) {
+        logger.debug(`GET ${url} failed: ${error.message}`);
         results.status = 0;
       }
     }
 
     // Choose the best latency measure in this order:
-    // 1. Network ping (if available and preferred)
-    // 2. HTTP latency (if available)
-    results.bestLatency = config.preferNetworkPing && results.networkPing
-      ? results.networkPing
-      : results.httpLatency;
+    // 1. TCP connect time (in low latency mode)
+    // 2. Network ping (if available and preferred)
+    // 3. HTTP latency (if available)
+    if (config.forceLowLatency && results.tcpTime) {
+      results.bestLatency = results.tcpTime;
+    } else {
+      results.bestLatency = config.preferNetworkPing && results.networkPing
+        ? results.networkPing
+        : results.httpLatency;
+    }
 
     return results;
   } catch (error) {
@@ -285,5 +410,9 @@ module.exports = {
   getDnsResolutionTime,
   getTcpConnectionTime,
   performHeadRequest,
-  measureLatency
+  performHttpRequest,
+  probeHttp,
+  measureLatency,
+  requestHeaders,
+  portFor
 };
@@ -0,0 +1,221 @@
+const { spawn } = require('child_process');
+const net = require('net');
+
+const isWindows = process.platform === 'win32';
+
+// Hostnames are letters, digits and hyphens in dot separated labels; a
+// leading hyphen would be read as a ping option
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)(?!-)[a-z0-9-]{1,63}(?<!-)(\.(?!-)[a-z0-9-]{1,63}(?<!-))*\.?$/i;
+
+// Gap between ICMP echo requests, in seconds; 0.2 is the least Linux allows unprivileged
+const ICMP_INTERVAL = 0.2;
+
+/**
+ * Check that a value is a hostname or IP address and nothing else
+ * @param {string} hostname Hostname to check
+ * @returns {boolean}
+ */
+function isValidHostname(hostname) {
+  return typeof hostname === 'string' && (net.isIP(hostname) !== 0 || HOSTNAME_PATTERN.test(hostname));
+}
+
+/**
+ * Arguments for the system ping command. The host is always the last
+ * argument and never passes through a shell
+ * @param {string} hostname Host to ping
+ * @param {number} count Echo requests to send
+ * @param {number} timeout Time to wait for each reply in ms
+ * @returns {string[]} Arguments
+ */
+function pingArgs(hostname, count, timeout) {
+  if (isWindows) {
+    return ['-n', String(count), '-w', String(timeout), hostname];
+  }
+  if (process.platform === 'darwin') {
+    // macOS takes the reply timeout in ms
+    return ['-n', '-c', String(count), '-W', String(timeout), hostname];
+  }
+  return ['-n', '-c', String(count), '-i', String(ICMP_INTERVAL), '-W', String(Math.max(1, Math.ceil(timeout / 1000))), hostname];
+}
+
+/**
+ * Pull the round trip times out of ping output. Matches "time=12.3 ms" on
+ * Unix and "time=12ms" or "time<1ms" on Windows
+ * @param {string} output Ping output
+ * @returns {number[]} Round trip times in ms
+ */
+function parseReplies(output) {
+  return Array.from(output.matchAll(/time[=<]\s*(\d+(?:\.\d+)?)\s*ms/gi), (match) => parseFloat(match[1]));
+}
+
+/**
+ * Send ICMP echo requests with the system ping command, without blocking
+ * @param {string} hostname Host to ping, already validated
+ * @param {number} count Echo requests to send
+ * @param {number} timeout Time to wait for each reply in ms
+ * @returns {Promise<Object>} { samples, error }; error is set when ping could not run
+ */
+function runPing(hostname, count, timeout) {
+  return new Promise((resolve) => {
+    let output = '';
+    let errorOutput = '';
+    let settled = false;
+
+    const finish = (result) => {
+      if (!settled) {
+        settled = true;
+        clearTimeout(timer);
+        resolve(result);
+      }
+    };
+
+    // The C locale keeps the output in the format parseReplies expects
+    const child = spawn('ping', pingArgs(hostname, count, timeout), {
+      env: { ...process.env, LC_ALL: 'C', LANG: 'C' },
+      windowsHide: true,
+    });
+
+    // Don't wait on a ping that hangs, e.g. on a slow DNS lookup
+    const timer = setTimeout(() => child.kill(), count * (timeout + ICMP_INTERVAL * 1000) + 1000);
+
+    child.stdout.on('data', (chunk) => { output += chunk; });
+    child.stderr.on('data', (chunk) => { errorOutput += chunk; });
+    child.on('error', (error) => finish({ samples: [], error: error.message }));
+    child.on('close', () => {
+      const samples = parseReplies(output);
+      finish({ samples, error: samples.length === 0 ? (errorOutput.trim() || null) : null });
+    });
+  });
+}
+
+/**
+ * Time TCP connects to a port, as a stand-in for ICMP
+ * @param {string} hostname Host to connect to
+ * @param {number} port Port to connect to
+ * @param {number} count Connects to make
+ * @param {number} timeout Time to wait for each connect in ms
+ * @returns {Promise<number[]>} Connect times in ms of the connects that succeeded
+ */
+async function runTcpPing(hostname, port, count, timeout) {
+  const samples = [];
+  for (let i = 0; i < count; i++) {
+    const time = await new Promise((resolve) => {
+      const startTime = process.hrtime.bigint();
+      const socket = net.connect({ host: hostname, port });
+      socket.setTimeout(timeout);
+      socket.once('connect', () => {
+        socket.destroy();
+        resolve(Number(process.hrtime.bigint() - startTime) / 1e6);
+      });
+      socket.once('timeout', () => {
+        socket.destroy();
+        resolve(null);
+      });
+      socket.once('error', () => {
+        socket.destroy();
+        resolve(null);
+      });
+    });
+    if (time !== null) {
+      samples.push(Math.round(time * 100) / 100);
+    }
+  }
+  return samples;
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @param {number[]} sorted Values in ascending order
+ * @param {number} percent Percentile, 0-100
+ * @returns {number}
+ */
+function percentile(sorted, percent) {
+  return sorted[Math.max(0, Math.ceil((percent / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Summarize round trip samples
+ * @param {number[]} samples Round trip times in ms of the replies received, in the order they came
+ * @param {number} sent Requests sent
+ * @returns {Object} sent, received, loss (0-1), and min, avg, max, p50, p95, stddev and jitter in ms;
+ * null times when nothing came back
+ */
+function summarizeSamples(samples, sent) {
+  const received = samples.length;
+  const round = (value) => Math.round(value * 100) / 100;
+
+  if (received === 0) {
+    return { sent, received, loss: sent > 0 ? 1 : 0, min: null, avg: null, max: null, p50: null, p95: null, stddev: null, jitter: null };
+  }
+
+  const sorted = [...samples].sort((a, b) => a - b);
+  const avg = samples.reduce((sum, sample) => sum + sample, 0) / received;
+  const variance = samples.reduce((sum, sample) => sum + (sample - avg) ** 2, 0) / received;
+
+  // Jitter is the mean difference between consecutive round trips
+  const jitter = received > 1
+    ? samples.slice(1).reduce((sum, sample, i) => sum + Math.abs(sample - samples[i]), 0) / (received - 1)
+    : 0;
+
+  return {
+    sent,
+    received,
+    loss: round(1 - received / sent),
+    min: round(sorted[0]),
+    avg: round(avg),
+    max: round(sorted[received - 1]),
+    p50: round(percentile(sorted, 50)),
+    p95: round(percentile(sorted, 95)),
+    stddev: round(Math.sqrt(variance)),
+    jitter: round(jitter),
+  };
+}
+
+/**
+ * Measure round trip latency to a host. Uses ICMP through the system ping
+ * command, and TCP connects to the given port when ping is missing, not
+ * permitted or gets no replies
+ * @param {string} hostname Host to probe
+ * @param {Object} options Probe options
+ * @param {number} options.count Samples to take (default 3)
+ * @param {number} options.timeout Time to wait for each reply in ms (default 2000)
+ * @param {number} options.port Port for the TCP fallback; without it there is no fallback
+ * @returns {Promise<Object>} host, method ('icmp' or 'tcp'), port, samples and the summarizeSamples statistics
+ */
+async function probeLatency(hostname, options = {}) {
+  const { count = 3, timeout = 2000, port = null } = options;
+
+  // URL hostnames wrap IPv6 addresses in brackets
+  const host = typeof hostname === 'string' ? hostname.replace(/^\[(.*)\]$/, '$1') : hostname;
+  if (!isValidHostname(host)) {
+    throw new Error(`Invalid hostname ${JSON.stringify(hostname)}`);
+  }
+
+  const icmp = await runPing(host, count, timeout);
+  if (icmp.samples.length > 0 || !port) {
+    return {
+      host,
+      method: 'icmp',
+      port: null,
+      samples: icmp.samples,
+      ...summarizeSamples(icmp.samples, count),
+      ...(icmp.error ? { error: icmp.error } : {}),
+    };
+  }
+
+  const samples = await runTcpPing(host, port, count, timeout);
+  return {
+    host,
+    method: 'tcp',
+    port,
+    samples,
+    ...summarizeSamples(samples, count),
+    ...(icmp.error ? { icmpError: icmp.error } : {}),
+  };
+}
+
+module.exports = {
+  isValidHostname,
+  probeLatency,
+  summarizeSamples,
+};